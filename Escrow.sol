@@ -45,11 +45,13 @@ contract HireChainEscrow {
 
 
     /**
-     * @dev The constructor is called only once when the master contract logic is deployed.
-     * It permanently sets the 'arbiter' to be the account that deployed it.
+     * @dev The constructor is called once per escrow instance.
+     * It permanently sets the 'arbiter' to the platform account passed in, since the
+     * instance is deployed (and paid for) by the client rather than the platform.
+     * @param _arbiter The Hedera address of the platform's arbiter account.
      */
-    constructor() {
-        arbiter = msg.sender;
+    constructor(address _arbiter) {
+        arbiter = _arbiter;
         currentState = State.Created;
     }
 
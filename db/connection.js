@@ -3,15 +3,18 @@ import * as dotenv from 'dotenv';
 
 dotenv.config();
 
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/hirechain';
+export const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/hirechain';
+export const DEFAULT_DB_NAME = 'hirechain';
 
 let isConnected = false;
 
 /**
  * Establishes connection to MongoDB
+ * @param {Object} [options]
+ * @param {string} [options.dbName] Database to use (e.g. a scratch database for rebuilds).
  * @returns {Promise<void>}
  */
-export const connectDB = async () => {
+export const connectDB = async ({ dbName = DEFAULT_DB_NAME } = {}) => {
     if (isConnected) {
         console.log('MongoDB already connected');
         return;
@@ -19,7 +22,7 @@ export const connectDB = async () => {
 
     try {
         await mongoose.connect(MONGODB_URI, {
-            dbName: 'hirechain'
+            dbName
         });
 
         isConnected = true;
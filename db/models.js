@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES } from '../utils/roles.js';
 
 // ===========================
 // Profile Schema
@@ -31,11 +32,123 @@ const profileSchema = new mongoose.Schema({
         type: String,
         default: 'freelancer',
         index: true
+    },
+    // Granted roles; left unset until an admin changes them, in which case
+    // roles are derived from profileType (see utils/roles.js)
+    roles: {
+        type: [{
+            type: String,
+            enum: ROLES
+        }],
+        default: undefined,
+        index: true
+    },
+    // Sequence number of the newest PROFILE_CREATE/PROFILE_UPDATE merged into the profile
+    hcsSequenceNumber: Number,
+    // Sequence number of the message that last set each field, so messages can be merged out of order
+    fieldSequenceNumbers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+// Case-insensitive, for matching the skills of new gigs (see services/gigAlert.service.js)
+profileSchema.index({ skills: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+// ===========================
+// Milestone Schema (embedded in Gig, each with its own escrow instance)
+// ===========================
+const milestoneSchema = new mongoose.Schema({
+    milestoneId: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    // Deliverable expected for this milestone
+    description: {
+        type: String,
+        required: true
+    },
+    // In HBAR
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    dueDate: Date,
+    status: {
+        type: String,
+        enum: ['PENDING', 'ESCROW_CREATED', 'ESCROW_INITIALIZED', 'FUNDED', 'SUBMITTED', 'APPROVED', 'RELEASED', 'CANCELLED'],
+        default: 'PENDING'
+    },
+    escrowContractId: {
+        type: String,
+        default: null
+    },
+    submission: {
+        notes: String,
+        submittedAt: Date
+    },
+    approvedAt: Date,
+    releasedAt: Date,
+    transactions: {
+        create: String,
+        init: String,
+        fund: String,
+        release: String,
+        // Set when an arbiter cancels the milestone's escrow
+        cancel: String
     }
 }, {
+    _id: false,
     timestamps: true
 });
 
+// ===========================
+// Deliverable Schema (embedded in Gig; submission history with client reviews)
+// ===========================
+const deliverableSchema = new mongoose.Schema({
+    deliverableId: {
+        type: String,
+        required: true
+    },
+    submittedBy: {
+        type: String,
+        required: true
+    },
+    notes: String,
+    links: {
+        type: [String],
+        default: []
+    },
+    files: [{
+        url: String,
+        name: String,
+        type: { type: String }
+    }],
+    status: {
+        type: String,
+        enum: ['SUBMITTED', 'APPROVED', 'REVISION_REQUESTED'],
+        default: 'SUBMITTED'
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    review: {
+        reviewedBy: String,
+        comment: String,
+        reviewedAt: Date
+    }
+}, {
+    _id: false
+});
+
 // ===========================
 // Gig Schema
 // ===========================
@@ -93,6 +206,20 @@ const gigSchema = new mongoose.Schema({
     skillsRequired: {
         type: [String],
         default: []
+    },
+    milestones: {
+        type: [milestoneSchema],
+        default: []
+    },
+    deliverables: {
+        type: [deliverableSchema],
+        default: []
+    },
+    // Set by an arbiter to allow escrow release without an approved deliverable
+    releaseOverride: {
+        arbiterId: String,
+        reason: String,
+        grantedAt: Date
     }
 }, {
     timestamps: true
@@ -120,20 +247,35 @@ const messageSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Ciphertext (base64) encrypted with the gig's chat key keyVersion; plaintext when keyVersion is 0
     content: {
         type: String,
         required: true
     },
+    keyVersion: {
+        type: Number,
+        default: 0
+    },
+    iv: String,
+    // Time claimed by the sender; consensus order is what counts
     timestamp: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Position on the messages topic (absent on messages stored before chat went through HCS)
+    hcsSequenceNumber: {
+        type: Number,
+        unique: true,
+        sparse: true
+    },
+    consensusTimestamp: String
 }, {
     timestamps: true
 });
 
 // Index for efficient message retrieval
 messageSchema.index({ gigRefId: 1, timestamp: 1 });
+messageSchema.index({ gigRefId: 1, hcsSequenceNumber: 1 });
 
 // ===========================
 // XP Schema
@@ -209,7 +351,9 @@ const applicationSchema = new mongoose.Schema({
     appliedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Sequence number of the APPLICATION_SUBMIT message on the gigs topic
+    hcsSequenceNumber: Number
 }, {
     timestamps: true
 });
@@ -242,7 +386,9 @@ const invitationSchema = new mongoose.Schema({
     invitedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Sequence number of the INVITATION_SEND message on the gigs topic
+    hcsSequenceNumber: Number
 }, {
     timestamps: true
 });
@@ -280,7 +426,9 @@ const reviewSchema = new mongoose.Schema({
         type: String,
         enum: ['CLIENT_TO_FREELANCER', 'FREELANCER_TO_CLIENT'],
         required: true
-    }
+    },
+    // Sequence number of the REVIEW_CREATE message on the gigs topic
+    hcsSequenceNumber: Number
 }, {
     timestamps: true
 });
@@ -289,6 +437,173 @@ const reviewSchema = new mongoose.Schema({
 reviewSchema.index({ gigRefId: 1, reviewerId: 1 }, { unique: true });
 // Note: revieweeId already has index: true on the field; no need for a duplicate schema index
 
+// ===========================
+// Escrow Schema
+// ===========================
+// Mirrors the state of a gig's HireChainEscrow instance (see Escrow.sol),
+// updated on every recorded escrow step
+const escrowTransitionSchema = new mongoose.Schema({
+    state: {
+        type: String,
+        required: true
+    },
+    transactionId: String,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+const escrowSchema = new mongoose.Schema({
+    gigRefId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    contractId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    state: {
+        type: String,
+        enum: ['Created', 'Initialized', 'Locked', 'Released', 'Cancelled'],
+        default: 'Created'
+    },
+    // In HBAR
+    lockedAmount: {
+        type: Number,
+        default: 0
+    },
+    transactions: {
+        create: String,
+        init: String,
+        lock: String,
+        release: String,
+        cancel: String
+    },
+    history: {
+        type: [escrowTransitionSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================
+// Escrow Artifact Schema
+// ===========================
+// Hedera file holding the compiled HireChainEscrow bytecode, one per bytecode hash
+const escrowArtifactSchema = new mongoose.Schema({
+    bytecodeHash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    fileId: {
+        type: String,
+        required: true
+    },
+    bytecodeSize: Number,
+    compilerVersion: String,
+    // Hedera files expire; a new one is uploaded before this date
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    useCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+// ===========================
+// Prepared Transaction Schema
+// ===========================
+// Every transaction handed out by a prepare-* endpoint, so that the matching record-* call can be
+// checked against what actually reached consensus (see services/transactionVerification.service.js)
+const preparedTransactionSchema = new mongoose.Schema({
+    // Mirror node format: 0.0.1234-1700000000-123456789
+    transactionId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    kind: {
+        type: String,
+        enum: [
+            'PROFILE_CREATE',
+            'PROFILE_UPDATE',
+            'GIG_CREATE',
+            'GIG_ASSIGNMENT',
+            'GIG_MESSAGE',
+            'ESCROW_CREATE',
+            'ESCROW_INIT',
+            'ESCROW_LOCK',
+            'ESCROW_RELEASE',
+            'MILESTONE_ESCROW_CREATE',
+            'MILESTONE_ESCROW_INIT',
+            'MILESTONE_FUNDING',
+            'MILESTONE_RELEASE',
+            'APPLICATION_SUBMIT',
+            'APPLICATION_ACCEPT',
+            'APPLICATION_REJECT',
+            'INVITATION_SEND',
+            'INVITATION_ACCEPT',
+            'INVITATION_REJECT',
+            'REVIEW_CREATE'
+        ],
+        required: true
+    },
+    payerAccountId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    gigRefId: {
+        type: String,
+        index: true
+    },
+    milestoneId: String,
+    // Application data behind the transaction (e.g. the GIG_CREATE message), persisted on record
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // What the mirror node must report for the executed transaction
+    expected: {
+        name: {
+            type: String,
+            required: true
+        },
+        entityId: String,
+        message: String, // base64 topic message
+        functionParameters: String, // 0x-prefixed hex
+        amount: Number // tinybars
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'RECORDED'],
+        default: 'PENDING'
+    },
+    consensusTimestamp: String,
+    recordedAt: Date,
+    // Unset once recorded, so only abandoned preparations are purged
+    expiresAt: Date
+}, {
+    timestamps: true
+});
+
+preparedTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // ===========================
 // Export Models
 // ===========================
@@ -356,6 +671,627 @@ projectSchema.index({ freelancer: 1, status: 1 });
 projectSchema.index({ skills: 1, status: 1 });
 projectSchema.index({ title: 'text', description: 'text' });
 
+// ===========================
+// Auth Challenge Schema (wallet-signature login)
+// ===========================
+const authChallengeSchema = new mongoose.Schema({
+    accountId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    nonce: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge unused challenges once they expire
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ===========================
+// Refresh Token Schema
+// ===========================
+const refreshTokenSchema = new mongoose.Schema({
+    tokenId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    accountId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ===========================
+// Audit Log Schema (arbiter and admin actions)
+// ===========================
+const auditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    targetType: String,
+    targetId: {
+        type: String,
+        index: true
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    outcome: {
+        type: String,
+        enum: ['SUCCESS', 'FAILURE'],
+        required: true
+    },
+    error: String,
+    ip: String
+}, {
+    timestamps: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+// ===========================
+// Dispute Schema
+// ===========================
+const disputeEvidenceSchema = new mongoose.Schema({
+    submittedBy: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    attachments: [{
+        url: String,
+        name: String,
+        type: { type: String }
+    }],
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const disputeSchema = new mongoose.Schema({
+    disputeId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    gigRefId: {
+        type: String,
+        required: true
+    },
+    // Set when the dispute is about one milestone's escrow rather than the gig's
+    milestoneId: {
+        type: String,
+        default: null
+    },
+    openedBy: {
+        type: String,
+        required: true,
+        index: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['OPEN', 'RULING', 'RESOLVED'],
+        default: 'OPEN',
+        index: true
+    },
+    evidence: {
+        type: [disputeEvidenceSchema],
+        default: []
+    },
+    ruling: {
+        outcome: {
+            type: String,
+            enum: ['RELEASE', 'CANCEL']
+        },
+        arbiterId: String,
+        notes: String,
+        transactionId: String,
+        ruledAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Only one open (or being ruled on) dispute per gig, or per milestone of a gig
+disputeSchema.index(
+    { gigRefId: 1, milestoneId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['OPEN', 'RULING'] } } }
+);
+disputeSchema.index({ gigRefId: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+// ===========================
+// Sync State Schema
+// ===========================
+// HCS sync checkpoint per topic: sync resumes after the last processed consensus timestamp
+const syncStateSchema = new mongoose.Schema({
+    topicId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    name: String,
+    lastConsensusTimestamp: {
+        type: String,
+        default: null
+    },
+    lastSequenceNumber: {
+        type: Number,
+        default: 0
+    },
+    messagesProcessed: {
+        type: Number,
+        default: 0
+    },
+    lastSyncedAt: Date,
+    lastError: {
+        type: String,
+        default: null
+    },
+    lastErrorAt: Date,
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================
+// Quarantined Message Schema
+// ===========================
+// HCS messages rejected by sync (e.g. paid by an account other than their claimed author)
+const quarantinedMessageSchema = new mongoose.Schema({
+    topicId: {
+        type: String,
+        required: true
+    },
+    sequenceNumber: {
+        type: Number,
+        required: true
+    },
+    consensusTimestamp: String,
+    payerAccountId: String,
+    type: {
+        type: String,
+        index: true
+    },
+    claimedAuthor: String,
+    reason: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+quarantinedMessageSchema.index({ topicId: 1, sequenceNumber: 1 }, { unique: true });
+quarantinedMessageSchema.index({ createdAt: -1 });
+
+// ===========================
+// Profile History Schema (one entry per profile message on the profiles topic)
+// ===========================
+const profileHistorySchema = new mongoose.Schema({
+    userAccountId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['PROFILE_CREATE', 'PROFILE_UPDATE'],
+        required: true
+    },
+    // Fields set by the message
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    sequenceNumber: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    consensusTimestamp: String
+}, {
+    timestamps: true
+});
+
+profileHistorySchema.index({ userAccountId: 1, sequenceNumber: 1 });
+
+// ===========================
+// Chat Key Schema (per-gig symmetric chat keys, wrapped for each participant)
+// ===========================
+// The server only stores the wrapped keys; wrapping and unwrapping happen in the participants' clients.
+const chatKeyEnvelopeSchema = new mongoose.Schema({
+    accountId: {
+        type: String,
+        required: true
+    },
+    // The gig key encrypted with the account's public key (base64)
+    wrappedKey: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+const chatKeySchema = new mongoose.Schema({
+    gigRefId: {
+        type: String,
+        required: true
+    },
+    keyVersion: {
+        type: Number,
+        required: true
+    },
+    // Participants the key was wrapped for; a change of participants requires a new version
+    participants: {
+        type: [String],
+        required: true
+    },
+    // Key wrapping scheme chosen by the client (e.g. ECIES-secp256k1, X25519-HKDF-AES-256-GCM)
+    algorithm: {
+        type: String,
+        required: true
+    },
+    createdBy: {
+        type: String,
+        required: true
+    },
+    envelopes: {
+        type: [chatKeyEnvelopeSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+chatKeySchema.index({ gigRefId: 1, keyVersion: 1 }, { unique: true });
+chatKeySchema.index({ 'envelopes.accountId': 1 });
+
+// ===========================
+// Email Outbox Schema (emails waiting for or done with delivery, see services/emailOutbox.service.js)
+// ===========================
+const emailOutboxSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    // Email type (email_system/templates.js); rendered when sent, so a resend picks up template fixes
+    template: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'SENDING', 'SENT', 'DEAD'],
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // A SENDING email whose lock expired (worker crashed mid-send) is picked up again
+    lockedUntil: Date,
+    lastError: String,
+    messageId: String,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+// ===========================
+// Notification Schema (in-app notification center)
+// ===========================
+const notificationSchema = new mongoose.Schema({
+    recipientId: {
+        type: String,
+        required: true
+    },
+    // See NOTIFICATION_TYPES in services/notification.service.js
+    type: {
+        type: String,
+        required: true
+    },
+    gigRefId: String,
+    title: {
+        type: String,
+        required: true
+    },
+    body: String,
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+notificationSchema.index({ recipientId: 1, readAt: 1 });
+
+// ===========================
+// Notification Preference Schema (delivery channel per notification type)
+// ===========================
+const notificationPreferenceSchema = new mongoose.Schema({
+    userAccountId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Types not listed use their default channel
+    channels: {
+        type: Map,
+        of: {
+            type: String,
+            enum: ['in_app', 'email', 'both']
+        },
+        default: {}
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================
+// Gig Alert Settings Schema (new-gig alerts of a freelancer, see services/gigAlert.service.js)
+// ===========================
+const gigAlertSettingsSchema = new mongoose.Schema({
+    userAccountId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // INSTANT emails each match; DAILY and WEEKLY send digests; OFF stops alerts
+    frequency: {
+        type: String,
+        enum: ['INSTANT', 'DAILY', 'WEEKLY', 'OFF'],
+        default: 'DAILY'
+    },
+    // Whether gigs matching the profile's skills alert, besides saved searches
+    matchSkills: {
+        type: Boolean,
+        default: true
+    },
+    // Frequency cap: instant alerts emailed per 24 hours; further matches wait for the next digest
+    maxInstantPerDay: {
+        type: Number,
+        default: 10
+    },
+    // Secret of the unsubscribe links, which work without logging in
+    unsubscribeToken: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lastDigestAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================
+// Saved Search Schema (gig searches a freelancer is alerted about)
+// ===========================
+const savedSearchSchema = new mongoose.Schema({
+    userAccountId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Lowercased; a gig matches when its title or description contains all keywords...
+    keywords: {
+        type: [String],
+        default: []
+    },
+    // ...and at least one of the skills, if any
+    skills: {
+        type: [String],
+        default: []
+    },
+    // In HBAR
+    minBudget: Number
+}, {
+    timestamps: true
+});
+
+savedSearchSchema.index({ keywords: 1 });
+savedSearchSchema.index({ skills: 1 });
+
+// ===========================
+// Gig Alert Schema (a gig matched for a freelancer, sent at most once)
+// ===========================
+const gigAlertSchema = new mongoose.Schema({
+    userAccountId: {
+        type: String,
+        required: true
+    },
+    gigRefId: {
+        type: String,
+        required: true
+    },
+    // Why the gig matched: 'skill:<skill>' or 'search:<saved search name>'
+    reasons: {
+        type: [String],
+        default: []
+    },
+    // PENDING alerts wait for a digest; SKIPPED ones were not sent (gig closed, alerts turned off)
+    status: {
+        type: String,
+        enum: ['PENDING', 'SENT', 'SKIPPED'],
+        default: 'PENDING'
+    },
+    deliveredBy: {
+        type: String,
+        enum: ['INSTANT', 'DIGEST']
+    },
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+gigAlertSchema.index({ userAccountId: 1, gigRefId: 1 }, { unique: true });
+gigAlertSchema.index({ status: 1, userAccountId: 1 });
+gigAlertSchema.index({ userAccountId: 1, deliveredBy: 1, sentAt: -1 });
+
+// ===========================
+// Webhook Schema (outbound webhook subscription of an account, see services/webhook.service.js)
+// ===========================
+const webhookSchema = new mongoose.Schema({
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // Webhook event names (WEBHOOK_EVENTS), or '*' for all of them
+    events: {
+        type: [String],
+        required: true
+    },
+    description: String,
+    // HMAC-SHA256 key of the payload signatures; only returned on creation and rotation
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// ===========================
+// Webhook Delivery Schema (delivery queue and log of a webhook)
+// ===========================
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    ownerId: {
+        type: String,
+        required: true
+    },
+    // Shared by the deliveries of the same event, so receivers can drop duplicates
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'SENDING', 'SUCCEEDED', 'FAILED'],
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: Date,
+    // Outcome of the last attempt; the response body is not kept
+    responseStatus: Number,
+    durationMs: Number,
+    lastError: String,
+    deliveredAt: Date
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// The delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
 // ===========================
 // Export Models
 // ===========================
@@ -368,3 +1304,22 @@ export const Application = mongoose.model('Application', applicationSchema);
 export const Invitation = mongoose.model('Invitation', invitationSchema);
 export const Review = mongoose.model('Review', reviewSchema);
 export const Project = mongoose.model('Project', projectSchema);
+export const AuthChallenge = mongoose.model('AuthChallenge', authChallengeSchema);
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export const Dispute = mongoose.model('Dispute', disputeSchema);
+export const PreparedTransaction = mongoose.model('PreparedTransaction', preparedTransactionSchema);
+export const Escrow = mongoose.model('Escrow', escrowSchema);
+export const EscrowArtifact = mongoose.model('EscrowArtifact', escrowArtifactSchema);
+export const SyncState = mongoose.model('SyncState', syncStateSchema);
+export const QuarantinedMessage = mongoose.model('QuarantinedMessage', quarantinedMessageSchema);
+export const ProfileHistory = mongoose.model('ProfileHistory', profileHistorySchema);
+export const ChatKey = mongoose.model('ChatKey', chatKeySchema);
+export const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+export const Notification = mongoose.model('Notification', notificationSchema);
+export const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+export const GigAlertSettings = mongoose.model('GigAlertSettings', gigAlertSettingsSchema);
+export const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+export const GigAlert = mongoose.model('GigAlert', gigAlertSchema);
+export const Webhook = mongoose.model('Webhook', webhookSchema);
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -4,6 +4,7 @@ import {
   PrivateKey,
   AccountId,
   ContractCreateFlow, // Easiest way to deploy
+  ContractFunctionParameters,
   Hbar,
   ContractByteCodeQuery
 } from "@hashgraph/sdk";
@@ -46,11 +47,15 @@ async function main() {
   console.log("Compilation successful.");
 
   // 2. --- Deploy the contract ---
-  // NOTE: We don't pass constructor params here. Each escrow will be a NEW contract.
-  // This script just deploys the "master" bytecode.
+  // NOTE: Each escrow will be a NEW contract. This script just deploys the "master" bytecode,
+  // with the treasury as arbiter (its EVM alias when it has one, as that is what msg.sender will be).
+  const mirrorResponse = await fetch(`https://testnet.mirrornode.hedera.com/api/v1/accounts/${myAccountId}`);
+  const { evm_address: arbiterAddress } = await mirrorResponse.json();
+
   console.log("\nDeploying contract...");
   const contractDeployTx = new ContractCreateFlow()
     .setBytecode(bytecode)
+    .setConstructorParameters(new ContractFunctionParameters().addAddress(arbiterAddress))
     .setGas(10_000_000); // Gas fee to execute the transaction
 
   const txResponse = await contractDeployTx.execute(client);
@@ -1,45 +1,79 @@
 import nodemailer from "nodemailer";
-import ejs from "ejs";
+import fs from "fs";
 import path from "path";
 import "dotenv/config";
+import { EmailOutbox } from "../db/models.js";
+import { renderEmailTemplate, validateEmailData } from "./templates.js";
 
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  secure: true,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-    method: "LOGIN"
-  },
-  tls: {
-    minVersion: "TLSv1.2",
-    servername: process.env.SMTP_HOST
-  },
-  logger: true,
-  debug: true
-});
+let transporter = null;
 
-export async function sendEmail({ to, subject, data, template }) {
-  try {
-    const html = await ejs.renderFile(
-      path.resolve("templates", template),
-      data
-    );
+// EMAIL_TRANSPORT=stub writes emails to EMAIL_STUB_DIR instead of sending them (offline development and tests)
+const isStub = () => process.env.EMAIL_TRANSPORT === "stub";
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+  if (isStub()) {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+    return transporter;
+  }
 
-    const options = {
-      from: process.env.SMTP_FROM,
-      to,
-      subject,
-      data,
-      html
-    };
-    const info = await transporter.sendMail(options);
-    console.log("Email sent successfully");
-    console.log({ info });
-    return true
+  const debug = process.env.SMTP_DEBUG === "true";
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE !== "false",
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      method: "LOGIN"
+    },
+    tls: {
+      minVersion: "TLSv1.2",
+      servername: process.env.SMTP_HOST
+    },
+    logger: debug,
+    debug
+  });
+  return transporter;
+};
+
+/**
+ * Renders and sends an email now. Used by the outbox worker; everything else goes through sendEmail.
+ * Throws on failure; errors that retrying cannot fix (the template does not render) are marked
+ * `permanent`.
+ * @param {{to: string, template: string, data: Object}} email template is the email type (see templates.js).
+ * @returns {Promise<Object>} nodemailer's info ({ messageId, ... }).
+ */
+export async function deliverEmail({ to, template, data }) {
+  let rendered;
+  try {
+    rendered = await renderEmailTemplate(template, data);
   } catch (error) {
-    console.error(error);
-    return false
+    error.permanent = true;
+    throw error;
   }
+
+  const { subject, html, text } = rendered;
+  // Emails with an unsubscribe link (gig alerts) also offer the one-click unsubscribe of RFC 8058
+  const headers = data?.unsubscribeUrl
+    ? { "List-Unsubscribe": `<${data.unsubscribeUrl}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" }
+    : undefined;
+  const info = await getTransporter().sendMail({ from: process.env.SMTP_FROM, to, subject, html, text, headers });
+  if (isStub()) {
+    const dir = path.resolve(process.env.EMAIL_STUB_DIR || "tmp/emails");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`), info.message);
+  }
+  return info;
+}
+
+/**
+ * Queues an email in the outbox; the outbox worker sends it and retries failures.
+ * @param {{to: string, type: string, data: Object}} email type is a key of EMAIL_TEMPLATES (templates.js).
+ * @returns {Promise<Object>} The outbox entry.
+ * @throws {Error} When the type is unknown or data lacks a required field.
+ */
+export async function sendEmail({ to, type, data }) {
+  const template = validateEmailData(type, data);
+  return EmailOutbox.create({ to, subject: template.subject(data), template: type, data });
 }
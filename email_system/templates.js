@@ -0,0 +1,204 @@
+import ejs from "ejs";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Registry of the emails the platform sends, keyed by type (the notification type, for emails
+ * sent as notifications). Each type declares its EJS file in templates/, the data fields it needs,
+ * how to build its subject, its plain-text alternative and sample data for the startup check and
+ * previews. sendEmail() only takes registered types.
+ */
+
+const TEMPLATES_DIR = path.resolve("templates");
+
+export const EMAIL_TEMPLATES = {
+  APPLICATION_RECEIVED: {
+    file: "application_notification.ejs",
+    requiredFields: ["clientName", "freelancerName", "gigTitle", "coverLetter", "actionUrl"],
+    subject: ({ gigTitle }) => `New Application for "${gigTitle}"`,
+    text: ({ clientName, freelancerName, gigTitle, coverLetter, actionUrl }) =>
+      `Hi ${clientName},\n\n${freelancerName} applied to "${gigTitle}":\n\n${coverLetter}\n\nReview the application: ${actionUrl}`,
+    sample: { clientName: "Ada", freelancerName: "Grace", gigTitle: "Logo design", gigRefId: "gig-123", coverLetter: "I have designed logos for ten years.", actionUrl: "https://frontendurl/gigs/gig-123/applications" },
+  },
+
+  APPLICATION_ACCEPTED: {
+    file: "application_accepted.ejs",
+    requiredFields: ["freelancerName", "gigTitle", "actionUrl"],
+    subject: ({ gigTitle }) => `Your application for "${gigTitle}" was accepted!`,
+    text: ({ freelancerName, gigTitle, actionUrl }) =>
+      `Hi ${freelancerName},\n\nYour application for "${gigTitle}" was accepted. The client will now assign the gig to you.\n\nView the gig: ${actionUrl}`,
+    sample: { freelancerName: "Grace", gigTitle: "Logo design", gigRefId: "gig-123", actionUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  INVITATION_RECEIVED: {
+    file: "invitation_notification.ejs",
+    requiredFields: ["freelancerName", "clientName", "gigTitle", "gigDescription", "budget", "message", "actionUrl"],
+    subject: ({ gigTitle }) => `You've been invited to work on "${gigTitle}"`,
+    text: ({ freelancerName, clientName, gigTitle, gigDescription, budget, message, actionUrl }) =>
+      `Hi ${freelancerName},\n\n${clientName} invited you to work on "${gigTitle}" (budget: ${budget}).\n\n${gigDescription}\n\n${message}\n\nRespond to the invitation: ${actionUrl}`,
+    sample: { freelancerName: "Grace", clientName: "Ada", gigTitle: "Logo design", gigDescription: "A logo for a coffee shop.", budget: "500", message: "Loved your portfolio!", actionUrl: "https://frontendurl/invitations/abc123" },
+  },
+
+  INVITATION_ACCEPTED: {
+    file: "invitation_accepted.ejs",
+    requiredFields: ["clientName", "freelancerName", "gigTitle", "actionUrl"],
+    subject: ({ freelancerName, gigTitle }) => `${freelancerName} accepted your invitation for "${gigTitle}"`,
+    text: ({ clientName, freelancerName, gigTitle, actionUrl }) =>
+      `Hi ${clientName},\n\n${freelancerName} accepted your invitation for "${gigTitle}". You can now assign the gig.\n\nView the gig: ${actionUrl}`,
+    sample: { clientName: "Ada", freelancerName: "Grace", gigTitle: "Logo design", gigRefId: "gig-123", actionUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  GIG_ASSIGNED: {
+    file: "gig_notifier.ejs",
+    requiredFields: ["name", "gigTitle", "gigRefId", "description", "budget", "duration", "actionUrl"],
+    subject: ({ gigTitle }) => `You've been assigned to "${gigTitle}"`,
+    text: ({ name, gigTitle, description, budget, duration, actionUrl }) =>
+      `Hi ${name},\n\nYou've been assigned to "${gigTitle}" (budget: ${budget}, duration: ${duration}).\n\n${description}\n\nView the gig: ${actionUrl}`,
+    sample: { name: "Grace", gigTitle: "Logo design", gigRefId: "gig-123", description: "A logo for a coffee shop.", budget: "500", duration: "2 weeks", actionUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  ESCROW_RELEASED: {
+    file: "escrowReleased.ejs",
+    requiredFields: ["name", "gigTitle", "gigRefId", "amount", "viewPaymentUrl"],
+    subject: ({ gigTitle }) => `Funds released for "${gigTitle}"`,
+    text: ({ name, gigTitle, amount, viewPaymentUrl }) =>
+      `Hi ${name},\n\nThe escrow of "${gigTitle}" was released: ${amount} HBAR were paid to you.\n\nView the payment: ${viewPaymentUrl}`,
+    sample: { name: "Grace", gigTitle: "Logo design", gigRefId: "gig-123", amount: 500, viewPaymentUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  DELIVERABLE_SUBMITTED: {
+    file: "deliverable_submitted.ejs",
+    requiredFields: ["clientName", "freelancerName", "gigTitle", "notes", "actionUrl"],
+    subject: ({ freelancerName, gigTitle }) => `${freelancerName} submitted work for "${gigTitle}"`,
+    text: ({ clientName, freelancerName, gigTitle, notes, actionUrl }) =>
+      `Hi ${clientName},\n\n${freelancerName} submitted work for "${gigTitle}":\n\n${notes}\n\nReview it: ${actionUrl}`,
+    sample: { clientName: "Ada", freelancerName: "Grace", gigTitle: "Logo design", notes: "Three variants attached.", actionUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  DELIVERABLE_REVIEWED: {
+    file: "deliverable_reviewed.ejs",
+    requiredFields: ["freelancerName", "gigTitle", "approved", "comment", "actionUrl"],
+    subject: ({ approved, gigTitle }) => (approved ? `Your work on "${gigTitle}" was approved` : `Revisions requested for "${gigTitle}"`),
+    text: ({ freelancerName, gigTitle, approved, comment, actionUrl }) =>
+      `Hi ${freelancerName},\n\n${approved ? `Your work on "${gigTitle}" was approved.` : `The client requested revisions on "${gigTitle}".`}\n\n${comment}\n\nView the gig: ${actionUrl}`,
+    sample: { freelancerName: "Grace", gigTitle: "Logo design", approved: false, comment: "Could the text be bolder?", actionUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  DISPUTE_OPENED: {
+    file: "dispute_opened.ejs",
+    requiredFields: ["name", "openerName", "gigTitle", "reason", "actionUrl"],
+    subject: ({ gigTitle }) => `A dispute was opened on "${gigTitle}"`,
+    text: ({ name, openerName, gigTitle, reason, actionUrl }) =>
+      `Hi ${name},\n\n${openerName} opened a dispute on "${gigTitle}":\n\n${reason}\n\nAdd your evidence: ${actionUrl}`,
+    sample: { name: "Ada", openerName: "Grace", gigTitle: "Logo design", reason: "The escrow was not released after approval.", actionUrl: "https://frontendurl/disputes/d-123" },
+  },
+
+  DISPUTE_RESOLVED: {
+    file: "dispute_resolved.ejs",
+    requiredFields: ["name", "gigTitle", "outcome", "notes", "actionUrl"],
+    subject: ({ gigTitle }) => `Dispute resolved for "${gigTitle}"`,
+    text: ({ name, gigTitle, outcome, notes, actionUrl }) =>
+      `Hi ${name},\n\nThe dispute on "${gigTitle}" was resolved: ${outcome === "RELEASE" ? "the escrowed funds were released to the freelancer" : "the escrow was cancelled and the funds refunded to the client"}.\n\n${notes}\n\nView the gig: ${actionUrl}`,
+    sample: { name: "Ada", gigTitle: "Logo design", outcome: "RELEASE", notes: "The work matches the brief.", actionUrl: "https://frontendurl/gigs/gig-123" },
+  },
+
+  NEW_GIG_ALERT: {
+    file: "newGig.ejs",
+    requiredFields: ["name", "gigTitle", "gigRefId", "description", "budget", "duration", "matchedBy", "actionUrl", "manageUrl", "unsubscribeUrl"],
+    subject: ({ gigTitle }) => `New gig: "${gigTitle}"`,
+    text: ({ name, gigTitle, description, budget, duration, matchedBy, actionUrl, manageUrl, unsubscribeUrl }) =>
+      `Hi ${name},\n\nA new gig matching your alerts was posted: "${gigTitle}" (budget: ${budget}, duration: ${duration}).\n\n${description}\n\nMatched: ${matchedBy}\n\nView the gig: ${actionUrl}\n\nManage alerts: ${manageUrl}\nUnsubscribe: ${unsubscribeUrl}`,
+    sample: { name: "Grace", gigTitle: "Logo design", gigRefId: "gig-123", description: "A logo for a coffee shop.", budget: "500 HBAR", duration: "2 weeks", matchedBy: "design, \"Logo jobs\" search", actionUrl: "https://frontendurl/gigs/gig-123", manageUrl: "https://frontendurl/settings/gig-alerts", unsubscribeUrl: "http://localhost:3000/api/gig-alerts/unsubscribe?token=abc123" },
+  },
+
+  GIG_ALERT_DIGEST: {
+    file: "gig_alert_digest.ejs",
+    requiredFields: ["name", "period", "gigs", "moreCount", "gigsUrl", "manageUrl", "unsubscribeUrl"],
+    subject: ({ period, gigs, moreCount }) => `Your ${period} gig digest: ${gigs.length + moreCount} new gig${gigs.length + moreCount === 1 ? "" : "s"}`,
+    text: ({ name, period, gigs, moreCount, gigsUrl, manageUrl, unsubscribeUrl }) =>
+      `Hi ${name},\n\nYour ${period} gig digest:\n\n${gigs.map((gig) => `- ${gig.title} (${gig.budget}), matched: ${gig.matchedBy}\n  ${gig.url}`).join("\n")}${moreCount > 0 ? `\n\n...and ${moreCount} more: ${gigsUrl}` : ""}\n\nManage alerts: ${manageUrl}\nUnsubscribe: ${unsubscribeUrl}`,
+    sample: { name: "Grace", period: "daily", gigs: [{ title: "Logo design", budget: "500 HBAR", matchedBy: "design", url: "https://frontendurl/gigs/gig-123" }, { title: "Coffee shop website", budget: "1200 HBAR", matchedBy: "\"Web jobs\" search", url: "https://frontendurl/gigs/gig-456" }], moreCount: 0, gigsUrl: "https://frontendurl/gigs", manageUrl: "https://frontendurl/settings/gig-alerts", unsubscribeUrl: "http://localhost:3000/api/gig-alerts/unsubscribe?token=abc123" },
+  },
+};
+
+/**
+ * Looks up an email type. Outbox entries queued before the registry name their template file
+ * instead, so file names are accepted too.
+ * @param {string} name Email type or template file name.
+ * @returns {Object|undefined}
+ */
+export const getEmailTemplate = (name) => EMAIL_TEMPLATES[name]
+  || Object.values(EMAIL_TEMPLATES).find((template) => template.file === name);
+
+/**
+ * Throws unless name is a registered email type and data has all its required fields.
+ * @param {string} name
+ * @param {Object} data
+ * @returns {Object} The template definition.
+ */
+export const validateEmailData = (name, data = {}) => {
+  const template = getEmailTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email type: ${name}`);
+  }
+  const missing = template.requiredFields.filter((field) => data[field] === undefined || data[field] === null);
+  if (missing.length > 0) {
+    throw new Error(`${name} email is missing ${missing.join(", ")}`);
+  }
+  return template;
+};
+
+/**
+ * Renders an email.
+ * @param {string} name Email type.
+ * @param {Object} data Template data.
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+export const renderEmailTemplate = async (name, data) => {
+  const template = validateEmailData(name, data);
+  return {
+    subject: template.subject(data),
+    html: await ejs.renderFile(path.join(TEMPLATES_DIR, template.file), data),
+    text: template.text(data),
+  };
+};
+
+/**
+ * Renders an email type with its sample data.
+ * @param {string} name
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+export const previewEmailTemplate = (name) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email type: ${name}`);
+  }
+  return renderEmailTemplate(name, template.sample);
+};
+
+/**
+ * Renders every email type with its sample data, so a broken or missing template is caught at
+ * startup rather than when the first email is sent. Template files that no type uses are
+ * reported too.
+ * @returns {Promise<void>}
+ * @throws {Error} Listing every failure.
+ */
+export const checkEmailTemplates = async () => {
+  const failures = [];
+  for (const name of Object.keys(EMAIL_TEMPLATES)) {
+    try {
+      await previewEmailTemplate(name);
+    } catch (error) {
+      failures.push(`${name}: ${error.message.split("\n")[0]}`);
+    }
+  }
+
+  const files = new Set(Object.values(EMAIL_TEMPLATES).map((template) => template.file));
+  for (const file of fs.readdirSync(TEMPLATES_DIR).filter((entry) => entry.endsWith(".ejs"))) {
+    if (!files.has(file)) failures.push(`${file}: not used by any email type`);
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Email templates failed to render:\n  ${failures.join("\n  ")}`);
+  }
+};
@@ -36,14 +36,35 @@ import freelancersRouter from './routes/freelancers.js';
 import rewardsRouter from './routes/rewards.js';
 import arbiterRouter from './routes/arbiter.js';
 import aiRouter from './routes/ai.routes.js';
+import authRouter from './routes/auth.js';
+import adminRouter from './routes/admin.js';
+import disputesRouter from './routes/disputes.js';
+import eventsRouter from './routes/events.js';
+import notificationsRouter from './routes/notifications.js';
+import gigAlertsRouter from './routes/gigAlerts.js';
+import webhooksRouter from './routes/webhooks.js';
 import { syncFromMirrorNode as runHcsSync } from './services/hcsSync.service.js';
+import { startHcsSubscribers, createPollingTopicSource } from './services/hcsSubscriber.service.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { onEventPublished } from './services/events.service.js';
+import { notifyForEvent } from './services/notification.service.js';
+import { startEmailWorker } from './services/emailOutbox.service.js';
+import { queueGigAlertsForEvent, startGigAlertDigestWorker } from './services/gigAlert.service.js';
+import { queueWebhookDeliveries, startWebhookWorker } from './services/webhook.service.js';
+import { checkEmailTemplates } from './email_system/templates.js';
 
 // --- 1. INITIAL SETUP & CONFIGURATION ---
 dotenv.config();
 const app = express();
 app.use(express.json());
 
+// Gig events (services/events.service.js) become in-app and email notifications
+onEventPublished(notifyForEvent);
+// New gigs alert the freelancers they match
+onEventPublished(queueGigAlertsForEvent);
+// ...and are delivered to the webhooks of their recipients
+onEventPublished(queueWebhookDeliveries);
+
 // Mount route modules
 // API Routes
 app.use('/api/applications', applicationsRouter);
@@ -51,12 +72,26 @@ app.use('/api/invitations', invitationsRouter);
 app.use('/api/reviews', reviewsRouter);
 app.use('/api/freelancers', freelancersRouter);
 app.use('/api/ai', aiRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/disputes', disputesRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/gig-alerts', gigAlertsRouter);
+app.use('/api/webhooks', webhooksRouter);
 
 // Mount other routes
 app.use('/applications', applicationsRouter);
 app.use('/invitations', invitationsRouter);
 app.use('/reviews', reviewsRouter);
 app.use('/freelancers', freelancersRouter);
+app.use('/auth', authRouter);
+app.use('/admin', adminRouter);
+app.use('/disputes', disputesRouter);
+app.use('/events', eventsRouter);
+app.use('/notifications', notificationsRouter);
+app.use('/gig-alerts', gigAlertsRouter);
+app.use('/webhooks', webhooksRouter);
 // Mount refactored route modules at root to keep exact paths intact
 app.use('/', profilesRouter);
 app.use('/', gigsRouter);
@@ -128,127 +163,7 @@ async function getEntityIdFromTransaction(transactionId) {
 }
 
 
-/**
- * Fetches all historical messages from a Hedera Consensus Service topic via the Mirror Node
- * and processes them to build or update the local state.
- * @param {string} topicId The ID of the HCS topic.
- * @param {function} processor The function to handle each decoded message payload.
- * @returns {Promise<number>} The number of messages processed.
- */
-const fetchAndProcessTopicMessages = async (topicId, processor) => {
-    const MIRROR_NODE_URL = `https://testnet.mirrornode.hedera.com/api/v1`;
-    let nextUrl = `${MIRROR_NODE_URL}/topics/${topicId}/messages?limit=100`;
-    let processedCount = 0;
-
-    // Use a while loop to handle pagination
-    while (nextUrl) {
-        try {
-            const response = await axios.get(nextUrl);
-            const messages = response.data.messages;
-
-            for (const msg of messages) {
-                const messageString = Buffer.from(msg.message, "base64").toString("utf-8");
-                try {
-                    const messageJson = JSON.parse(messageString);
-                    processor(messageJson, msg);
-                    processedCount++;
-                } catch (e) {
-                    // Ignore messages that aren't valid JSON
-                }
-            }
-
-            // Check for the next page of results
-            nextUrl = response.data.links?.next ? `${MIRROR_NODE_URL}${response.data.links.next}` : null;
-        } catch (error) {
-            console.error(`Error fetching messages for topic ${topicId}:`, error.message);
-            break; // Stop on error to prevent infinite loops
-        }
-    }
-    return processedCount;
-};
-
-/**
- * Orchestrates the synchronization of MongoDB with the latest state from HCS.
- */
-const syncFromMirrorNode = async () => {
-    console.log("--- Starting HCS Synchronization ---");
-
-    // 1. Gigs Synchronization (Handles both creation and updates)
-    const gigsMap = new Map();
-    const gigsProcessor = (message) => {
-        if (message.type === "GIG_CREATE") {
-            gigsMap.set(message.gigRefId, {
-                ...message,
-                status: "OPEN",
-                visibility: message.visibility || "PUBLIC", // Default to PUBLIC for backward compatibility
-                escrowContractId: null,
-                assignedFreelancerId: null
-            });
-        } else if (message.type === "GIG_UPDATE" && gigsMap.has(message.gigRefId)) {
-            // Apply updates to the existing gig state
-            const existing = gigsMap.get(message.gigRefId);
-            gigsMap.set(message.gigRefId, { ...existing, ...message });
-        }
-    };
-    const gigsCount = await fetchAndProcessTopicMessages(gigsTopicId, gigsProcessor);
-
-    // Bulk upsert to MongoDB
-    const gigsBulkOps = Array.from(gigsMap.values()).map(gig => ({
-        updateOne: {
-            filter: { gigRefId: gig.gigRefId },
-            update: { $set: gig },
-            upsert: true
-        }
-    }));
-    if (gigsBulkOps.length > 0) {
-        await Gig.bulkWrite(gigsBulkOps);
-    }
-    console.log(`[GIGS] Synced ${gigsCount} HCS messages. ${gigsMap.size} unique gigs loaded.`);
-
-    // 2. Profiles Synchronization
-    const profilesMap = new Map();
-    const profilesProcessor = (message) => {
-        if (message.type === "PROFILE_CREATE") {
-            profilesMap.set(message.userAccountId, message);
-        }
-    };
-    const profilesCount = await fetchAndProcessTopicMessages(profileTopicId, profilesProcessor);
-
-    // Bulk upsert to MongoDB
-    const profilesBulkOps = Array.from(profilesMap.values()).map(profile => ({
-        updateOne: {
-            filter: { userAccountId: profile.userAccountId },
-            update: { $set: profile },
-            upsert: true
-        }
-    }));
-    if (profilesBulkOps.length > 0) {
-        console.log({ profilesBulkOps })
-        await Profile.bulkWrite(profilesBulkOps);
-    }
-    console.log(`[PROFILES] Synced ${profilesCount} HCS messages. ${profilesMap.size} unique profiles loaded.`);
-
-    // 3. Messages Synchronization
-    const messagesArray = [];
-    const messagesProcessor = (message) => {
-        if (message.type === "GIG_MESSAGE" && message.gigRefId) {
-            messagesArray.push(message);
-        }
-    };
-    const messagesCount = await fetchAndProcessTopicMessages(messagesTopicId, messagesProcessor);
-
-    // Clear existing messages and insert new ones
-    await Message.deleteMany({});
-    if (messagesArray.length > 0) {
-        await Message.insertMany(messagesArray, { ordered: false }).catch(err => {
-            // Ignore duplicate key errors
-            if (err.code !== 11000) throw err;
-        });
-    }
-    console.log(`[MESSAGES] Synced ${messagesCount} HCS messages.`);
-
-    console.log("--- HCS Synchronization Complete ---");
-};
+// HCS synchronization moved to services/hcsSync.service.js
 
 /**
  * Defines the NFT reward tiers for the platform.
@@ -319,8 +234,33 @@ const initializeNftCollections = async () => {
 
 // --- STARTUP SEQUENCE ---
 const startServer = async () => {
+    // Refuse to start with an email template that does not render
+    await checkEmailTemplates();
     await connectDB();
     await runHcsSync({ profileTopicId, gigsTopicId, messagesTopicId });
+    // Keep MongoDB current with messages submitted after startup (HCS_POLL_INTERVAL_MS=0 disables)
+    const hcsPollInterval = parseInt(process.env.HCS_POLL_INTERVAL_MS ?? '5000');
+    if (hcsPollInterval > 0) {
+        await startHcsSubscribers(
+            { profileTopicId, gigsTopicId, messagesTopicId },
+            { source: createPollingTopicSource({ intervalMs: hcsPollInterval }) }
+        );
+    }
+    // Send queued emails (EMAIL_WORKER_INTERVAL_MS=0 disables the worker on this instance)
+    const emailWorkerInterval = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS ?? '10000');
+    if (emailWorkerInterval > 0) {
+        startEmailWorker({ intervalMs: emailWorkerInterval });
+    }
+    // Send due new-gig digests (GIG_ALERT_DIGEST_INTERVAL_MS=0 disables the worker on this instance)
+    const digestWorkerInterval = parseInt(process.env.GIG_ALERT_DIGEST_INTERVAL_MS ?? '3600000');
+    if (digestWorkerInterval > 0) {
+        startGigAlertDigestWorker({ intervalMs: digestWorkerInterval });
+    }
+    // Send queued webhook deliveries (WEBHOOK_WORKER_INTERVAL_MS=0 disables the worker on this instance)
+    const webhookWorkerInterval = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS ?? '10000');
+    if (webhookWorkerInterval > 0) {
+        startWebhookWorker({ intervalMs: webhookWorkerInterval });
+    }
     const xpCount = await XP.countDocuments();
     const rewardsCount = await Reward.countDocuments();
     console.log(`Loaded ${xpCount} XP records and ${rewardsCount} reward records.`);
@@ -1,29 +1,28 @@
-import jwt from 'jsonwebtoken';
 import { Profile } from '../db/models.js';
+import { verifyAccessToken } from '../services/auth.service.js';
+import { getEffectiveRoles, hasPermission } from '../utils/roles.js';
 
-/**
- * Middleware to authenticate requests using JWT
- */
-export const authenticate = async (req, res, next) => {
+const createAuthenticator = ({ requireProfile }) => async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
+    // Verify token (issued by POST /auth/verify)
+    const decoded = verifyAccessToken(token);
+
     // Find user and attach to request
     const user = await Profile.findOne({ userAccountId: decoded.userId });
-    
-    if (!user) {
+
+    if (!user && requireProfile) {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    req.user = user;
+    // Accounts that have not recorded a profile yet get a minimal principal
+    req.user = user || { userAccountId: decoded.userId, profileType: null };
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -31,6 +30,84 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for clients that cannot set headers (e.g. EventSource): takes the access token from
+ * ?access_token= when there is no Authorization header. Use before authenticate.
+ */
+export const tokenFromQuery = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.header('Authorization') && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+/**
+ * Middleware to authenticate requests using JWT
+ */
+export const authenticate = createAuthenticator({ requireProfile: true });
+
+/**
+ * Like authenticate, but also admits accounts that have no profile yet
+ * (e.g. a freshly created account preparing its profile creation)
+ */
+export const authenticateAccount = createAuthenticator({ requireProfile: false });
+
+const getPath = (obj, keys) => keys.reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, keys, value) => {
+  let target = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Middleware binding request identity fields to the authenticated account.
+ * Each spec is a dotted path rooted at `body` or `query` (e.g. 'body.clientId', 'body.gigData.clientId').
+ *
+ * Compatibility period: clients may still send these IDs, but they must match the token
+ * (403 otherwise). Missing IDs are filled in from the token so handlers can keep reading them.
+ */
+export const actingAs = (...specs) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const accountId = req.user.userAccountId;
+    const supplied = [];
+
+    for (const spec of specs) {
+      const [source, ...keys] = spec.split('.');
+      if (source === 'query') {
+        // Express 5 re-parses req.query on every access; pin it so filled-in IDs stick
+        Object.defineProperty(req, 'query', { value: { ...req.query }, writable: true, configurable: true, enumerable: true });
+      } else if (req[source] == null) {
+        req[source] = {};
+      }
+      const value = getPath(req[source], keys);
+      const field = keys.join('.');
+
+      if (value !== undefined && value !== null && value !== '') {
+        if (value !== accountId) {
+          return res.status(403).json({ message: `${field} does not match the authenticated account.` });
+        }
+        supplied.push(field);
+      } else {
+        setPath(req[source], keys, accountId);
+      }
+    }
+
+    if (supplied.length) {
+      res.set('Warning', `299 - "${supplied.join(', ')} is taken from the access token; sending it is deprecated"`);
+    }
+    next();
+  };
+};
+
 /**
  * Middleware to check if user has a specific role
  */
@@ -40,10 +117,27 @@ export const authorize = (roles = []) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (roles.length && !roles.includes(req.user.profileType)) {
+    if (roles.length && !getEffectiveRoles(req.user).some((role) => roles.includes(role))) {
       return res.status(403).json({ error: 'Not authorized to access this resource' });
     }
 
     next();
   };
 };
+
+/**
+ * Middleware to check that the user's roles grant a permission (see utils/roles.js)
+ */
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: `Missing permission: ${permission}` });
+    }
+
+    next();
+  };
+};
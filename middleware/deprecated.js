@@ -0,0 +1,14 @@
+/**
+ * Answers an endpoint that was replaced by a wallet-signed prepare/record pair with 410 Gone.
+ * The replacements sit next to the old path, e.g. /applications/:id/accept -> /applications/:id/prepare-accept.
+ * @param {string} prepareStep Last path segment of the prepare endpoint, e.g. 'prepare-accept'.
+ * @param {string} recordStep Last path segment of the record endpoint, e.g. 'record-accept'.
+ */
+export const replacedBy = (prepareStep, recordStep) => (req, res) => {
+  const basePath = `${req.baseUrl}${req.path.replace(/[^/]+\/?$/, '')}`;
+  res.status(410).json({
+    message: `This endpoint has been removed: the transaction is now signed by your wallet. Call ${basePath}${prepareStep}, sign and execute the returned transaction, then call ${basePath}${recordStep} with its transactionId.`,
+    prepare: `${basePath}${prepareStep}`,
+    record: `${basePath}${recordStep}`,
+  });
+};
@@ -0,0 +1,297 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { Profile, AuditLog, QuarantinedMessage, EmailOutbox } from '../db/models.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { ROLES, getEffectiveRoles, rolesForProfileType } from '../utils/roles.js';
+import { recordAudit } from '../services/audit.service.js';
+import { getEscrowArtifactStatus } from '../services/escrow.service.js';
+import { getSyncStatus } from '../services/hcsSync.service.js';
+import { getSubscriberStatus } from '../services/hcsSubscriber.service.js';
+import { resendEmail } from '../services/emailOutbox.service.js';
+import { EMAIL_TEMPLATES, previewEmailTemplate } from '../email_system/templates.js';
+import { profileTopicId, gigsTopicId, messagesTopicId } from '../utils/env.js';
+
+const router = express.Router();
+
+// =================================================================
+// --- ADMIN ENDPOINTS (Roles & Audit) ---
+// =================================================================
+
+/**
+ * GET /admin/accounts/:accountId/roles
+ * Get the stored and effective roles of an account
+ */
+router.get('/accounts/:accountId/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { accountId } = req.params;
+
+        const profile = await Profile.findOne({ userAccountId: accountId });
+        if (!profile) {
+            return res.status(404).json({ message: 'Profile not found for this account.' });
+        }
+
+        res.status(200).json({
+            accountId,
+            roles: profile.roles ?? null,
+            effectiveRoles: getEffectiveRoles(profile)
+        });
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ message: 'Error fetching roles', error: error.toString() });
+    }
+});
+
+/**
+ * POST /admin/accounts/:accountId/roles
+ * Grant a role to an account
+ * Body: { role }
+ */
+router.post('/accounts/:accountId/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { accountId } = req.params;
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: `role must be one of: ${ROLES.join(', ')}.` });
+        }
+
+        const profile = await Profile.findOne({ userAccountId: accountId });
+        if (!profile) {
+            return res.status(404).json({ message: 'Profile not found for this account.' });
+        }
+
+        // Persist the derived roles on first change so granting never drops them
+        const roles = new Set(profile.roles ?? rolesForProfileType(profile.profileType));
+        roles.add(role);
+        profile.roles = [...roles];
+        await profile.save();
+
+        await recordAudit({ req, action: 'ROLE_GRANT', targetType: 'Profile', targetId: accountId, details: { role }, outcome: 'SUCCESS' });
+
+        res.status(200).json({ message: `Role ${role} granted.`, accountId, roles: profile.roles });
+    } catch (error) {
+        console.error('Error granting role:', error);
+        res.status(500).json({ message: 'Error granting role', error: error.toString() });
+    }
+});
+
+/**
+ * DELETE /admin/accounts/:accountId/roles/:role
+ * Revoke a role from an account
+ */
+router.delete('/accounts/:accountId/roles/:role', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { accountId, role } = req.params;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: `role must be one of: ${ROLES.join(', ')}.` });
+        }
+
+        const profile = await Profile.findOne({ userAccountId: accountId });
+        if (!profile) {
+            return res.status(404).json({ message: 'Profile not found for this account.' });
+        }
+
+        const current = profile.roles ?? rolesForProfileType(profile.profileType);
+        profile.roles = current.filter((r) => r !== role);
+        await profile.save();
+
+        await recordAudit({ req, action: 'ROLE_REVOKE', targetType: 'Profile', targetId: accountId, details: { role }, outcome: 'SUCCESS' });
+
+        res.status(200).json({ message: `Role ${role} revoked.`, accountId, roles: profile.roles });
+    } catch (error) {
+        console.error('Error revoking role:', error);
+        res.status(500).json({ message: 'Error revoking role', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/audit-logs
+ * List audit log entries, newest first
+ * Query params: action, actorId, targetId, limit (default: 50, max: 200)
+ */
+router.get('/audit-logs', authenticate, requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { action, actorId, targetId, limit = 50 } = req.query;
+
+        const query = {};
+        if (action) query.action = action;
+        if (actorId) query.actorId = actorId;
+        if (targetId) query.targetId = targetId;
+
+        const logs = await AuditLog.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 200));
+
+        res.status(200).json(logs);
+    } catch (error) {
+        console.error('Error fetching audit logs:', error);
+        res.status(500).json({ message: 'Error fetching audit logs', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/escrow-artifact
+ * Report the compiled escrow bytecode and the Hedera file it is deployed from
+ */
+router.get('/escrow-artifact', authenticate, requirePermission('system:read'), async (req, res) => {
+    try {
+        const status = await getEscrowArtifactStatus();
+        res.status(200).json(status);
+    } catch (error) {
+        console.error('Error fetching escrow artifact:', error);
+        res.status(500).json({ message: 'Error fetching escrow artifact', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/hcs-sync
+ * HCS sync checkpoint per topic, how far it lags behind the mirror node and live subscriber health
+ */
+router.get('/hcs-sync', authenticate, requirePermission('system:read'), async (req, res) => {
+    try {
+        const topics = await getSyncStatus({ profileTopicId, gigsTopicId, messagesTopicId });
+        const subscribers = getSubscriberStatus();
+        res.status(200).json({
+            healthy: subscribers.length > 0 && subscribers.every((s) => s.healthy),
+            topics,
+            subscribers
+        });
+    } catch (error) {
+        console.error('Error fetching sync status:', error);
+        res.status(500).json({ message: 'Error fetching sync status', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/quarantine
+ * HCS messages rejected by sync, newest first
+ * Query params: topicId, type, payerAccountId, limit (default: 50, max: 200)
+ */
+router.get('/quarantine', authenticate, requirePermission('system:read'), async (req, res) => {
+    try {
+        const { topicId, type, payerAccountId, limit = 50 } = req.query;
+
+        const query = {};
+        if (topicId) query.topicId = topicId;
+        if (type) query.type = type;
+        if (payerAccountId) query.payerAccountId = payerAccountId;
+
+        const [messages, total] = await Promise.all([
+            QuarantinedMessage.find(query)
+                .sort({ createdAt: -1 })
+                .limit(Math.min(parseInt(limit) || 50, 200)),
+            QuarantinedMessage.countDocuments(query)
+        ]);
+
+        res.status(200).json({ total, messages });
+    } catch (error) {
+        console.error('Error fetching quarantined messages:', error);
+        res.status(500).json({ message: 'Error fetching quarantined messages', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/emails
+ * Email outbox entries, newest first, with the number of entries per status
+ * Query params: status (PENDING, SENDING, SENT or DEAD), to, limit (default: 50, max: 200)
+ */
+router.get('/emails', authenticate, requirePermission('email:manage'), async (req, res) => {
+    try {
+        const { status, to, limit = 50 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (to) query.to = to;
+
+        const [emails, statusCounts] = await Promise.all([
+            EmailOutbox.find(query)
+                .sort({ createdAt: -1 })
+                .limit(Math.min(parseInt(limit) || 50, 200)),
+            EmailOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.status(200).json({
+            counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+            emails
+        });
+    } catch (error) {
+        console.error('Error fetching emails:', error);
+        res.status(500).json({ message: 'Error fetching emails', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/email-templates
+ * The email types, with their template file and required data fields
+ */
+router.get('/email-templates', authenticate, requirePermission('email:manage'), (req, res) => {
+    res.status(200).json(Object.entries(EMAIL_TEMPLATES).map(([type, { file, requiredFields }]) => ({ type, file, requiredFields })));
+});
+
+/**
+ * GET /admin/email-templates/:type/preview
+ * Renders an email type with its sample data
+ * Query params: format (html (default), text or json for { subject, html, text })
+ */
+router.get('/email-templates/:type/preview', authenticate, requirePermission('email:manage'), async (req, res) => {
+    try {
+        const { type } = req.params;
+        const { format = 'html' } = req.query;
+        if (!EMAIL_TEMPLATES[type]) {
+            return res.status(404).json({ message: 'Email type not found.' });
+        }
+
+        const email = await previewEmailTemplate(type);
+        if (format === 'json') return res.status(200).json(email);
+        if (format === 'text') return res.status(200).type('text/plain').send(email.text);
+        res.status(200).type('html').send(email.html);
+    } catch (error) {
+        console.error('Error rendering email preview:', error);
+        res.status(500).json({ message: 'Error rendering email preview', error: error.toString() });
+    }
+});
+
+/**
+ * GET /admin/emails/:emailId
+ * One outbox entry, including its template data and last error
+ */
+router.get('/emails/:emailId', authenticate, requirePermission('email:manage'), async (req, res) => {
+    try {
+        const { emailId } = req.params;
+        const email = mongoose.isValidObjectId(emailId) ? await EmailOutbox.findById(emailId) : null;
+        if (!email) {
+            return res.status(404).json({ message: 'Email not found.' });
+        }
+        res.status(200).json(email);
+    } catch (error) {
+        console.error('Error fetching email:', error);
+        res.status(500).json({ message: 'Error fetching email', error: error.toString() });
+    }
+});
+
+/**
+ * POST /admin/emails/:emailId/resend
+ * Queues a dead-lettered (or sent) email again
+ */
+router.post('/emails/:emailId/resend', authenticate, requirePermission('email:manage'), async (req, res) => {
+    try {
+        const { emailId } = req.params;
+        if (!mongoose.isValidObjectId(emailId)) {
+            return res.status(404).json({ message: 'Email not found.' });
+        }
+
+        const email = await resendEmail(emailId);
+        await recordAudit({ req, action: 'EMAIL_RESEND', targetType: 'EmailOutbox', targetId: emailId, details: { to: email.to, subject: email.subject }, outcome: 'SUCCESS' });
+
+        res.status(200).json({ message: 'Email queued for delivery.', email });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error resending email:', error);
+        res.status(500).json({ message: 'Error resending email', error: error.toString() });
+    }
+});
+
+export default router;
@@ -1,23 +1,14 @@
 import express from 'express';
 import { aiAgentService } from '../services/aiAgent.service.js';
 import { Client } from '@hashgraph/sdk';
-
-// Simple validation for Hedera account IDs
-function isValidHederaId(accountId) {
-  if (!accountId) return false;
-  // Basic format validation for Hedera account ID (e.g., 0.0.1234)
-  const parts = accountId.split('.');
-  return parts.length === 3 && 
-         !isNaN(parts[0]) && 
-         !isNaN(parts[1]) && 
-         !isNaN(parts[2]);
-}
+import { isValidHederaId } from '../utils/validation.js';
+import { authenticateAccount, actingAs } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Process AI chat message - Main entry point for all AI interactions
-// Web3 style: Users provide their Hedera account ID with each request
-router.post('/chat', async (req, res) => {
+// The account ID comes from the access token (a body accountId must match it)
+router.post('/chat', authenticateAccount, actingAs('body.accountId'), async (req, res) => {
   try {
     const { 
       message, 
@@ -47,9 +38,6 @@ router.post('/chat', async (req, res) => {
       }
     );
 
-    // In a production environment, you might want to verify a signature
-    // from the user's wallet to prove ownership of the account ID
-
     res.json({
       response,
       toolCalls,
@@ -1,18 +1,25 @@
 import express from 'express';
 import { Application, Gig, Profile } from '../db/models.js';
-import { sendEmail } from '../email_system/email_config.js';
+import { authenticate, actingAs, requirePermission } from '../middleware/auth.js';
+import { replacedBy } from '../middleware/deprecated.js';
+import { gigsTopicId } from '../utils/env.js';
+import { createHcsMessage } from '../utils/hcsMessages.js';
+import { prepareTopicMessage, verifyPreparedTransaction, markTransactionsRecorded } from '../services/transactionVerification.service.js';
+import { publishApplicationEvent } from '../services/events.service.js';
 
 const router = express.Router();
 
 // =================================================================
 // --- APPLICATION ENDPOINTS (For Public Gigs) ---
+// Submissions and responses are APPLICATION_* messages on the gigs topic: prepare-* returns the
+// transaction to sign, record-* stores the change once the mirror node confirms it.
 // =================================================================
 
 /**
- * POST /applications/apply
- * Freelancer applies to a public gig
+ * POST /applications/prepare-apply
+ * Freelancer applies to a public gig: prepares the APPLICATION_SUBMIT message for the freelancer to sign
  */
-router.post('/apply', async (req, res) => {
+router.post('/prepare-apply', authenticate, requirePermission('applications:submit'), actingAs('body.freelancerId'), async (req, res) => {
     try {
         const { gigRefId, freelancerId, coverLetter, proposedRate } = req.body;
 
@@ -40,40 +47,71 @@ router.post('/apply', async (req, res) => {
             return res.status(409).json({ message: 'You have already applied to this gig.' });
         }
 
-        // Create application
-        const application = await Application.create({
-            gigRefId,
-            freelancerId,
-            coverLetter,
-            proposedRate,
-            status: 'PENDING'
+        const applicationData = createHcsMessage('APPLICATION_SUBMIT', { gigRefId, freelancerId, coverLetter, proposedRate, timestamp: new Date().toISOString() });
+        const { encodedTransaction, transactionId } = await prepareTopicMessage({
+            topicId: gigsTopicId,
+            message: applicationData,
+            kind: 'APPLICATION_SUBMIT',
+            payerAccountId: freelancerId,
+            gigRefId
         });
 
-        // Send email notification to client
-        const client = await Profile.findOne({ userAccountId: gig.clientId });
-        const freelancer = await Profile.findOne({ userAccountId: freelancerId });
-        
-        if (client && freelancer) {
-            await sendEmail({
-                to: client.email,
-                subject: `New Application for "${gig.title}"`,
-                template: 'application_notification.ejs',
-                data: {
-                    clientName: client.name,
-                    freelancerName: freelancer.name,
-                    gigTitle: gig.title,
-                    gigRefId,
-                    coverLetter,
-                    actionUrl: `https://frontendurl/gigs/${gigRefId}/applications`
-                }
-            }).catch(err => console.error('Email error:', err));
-        }
-
-        res.status(201).json({ 
+        res.status(200).json({ encodedTransaction, transactionId, applicationData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error preparing application:', error);
+        res.status(500).json({ message: 'Error preparing application', error: error.toString() });
+    }
+});
+
+/**
+ * POST /applications/apply
+ * Removed: applications are signed by the freelancer's wallet (410, pointing to prepare-apply)
+ */
+router.post('/apply', replacedBy('prepare-apply', 'record-apply'));
+
+/**
+ * POST /applications/record-apply
+ * Stores the application once the mirror node confirms its HCS message
+ * Body: { freelancerId, transactionId }
+ */
+router.post('/record-apply', authenticate, requirePermission('applications:submit'), actingAs('body.freelancerId'), async (req, res) => {
+    try {
+        const { freelancerId, transactionId } = req.body;
+
+        const verified = await verifyPreparedTransaction({ transactionId, kind: 'APPLICATION_SUBMIT', payerAccountId: freelancerId });
+        const { gigRefId, coverLetter, proposedRate, timestamp } = verified.prepared.payload;
+
+        // The HCS sync may already have stored this very message; only another application conflicts
+        const hcsSequenceNumber = verified.topicMessage.sequence_number;
+        const existingApplication = await Application.findOne({ gigRefId, freelancerId });
+        if (existingApplication && existingApplication.hcsSequenceNumber !== hcsSequenceNumber) {
+            return res.status(409).json({ message: 'You have already applied to this gig.' });
+        }
+        await markTransactionsRecorded(verified);
+
+        const { value: application, lastErrorObject } = await Application.findOneAndUpdate(
+            { gigRefId, freelancerId },
+            {
+                $setOnInsert: { coverLetter, proposedRate, status: 'PENDING', appliedAt: new Date(timestamp) },
+                $set: { hcsSequenceNumber }
+            },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!lastErrorObject?.updatedExisting) {
+            await publishApplicationEvent(application);
+        }
+
+        res.status(201).json({
             message: 'Application submitted successfully.',
-            application 
+            application
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error submitting application:', error);
         res.status(500).json({ message: 'Error submitting application', error: error.toString() });
     }
@@ -83,7 +121,7 @@ router.post('/apply', async (req, res) => {
  * GET /applications/gig/:gigRefId
  * Get all applications for a specific gig (client only)
  */
-router.get('/gig/:gigRefId', async (req, res) => {
+router.get('/gig/:gigRefId', authenticate, requirePermission('gigs:manage'), actingAs('query.clientId'), async (req, res) => {
     try {
         const { gigRefId } = req.params;
         const { clientId } = req.query;
@@ -152,91 +190,174 @@ router.get('/freelancer/:freelancerId', async (req, res) => {
 });
 
 /**
- * POST /applications/:applicationId/accept
- * Client accepts an application (this triggers gig assignment flow)
+ * Loads an application for a response by the gig owner, or sends the error response.
+ * @returns {Promise<{application: Object, gig: Object}|null>}
+ */
+const loadApplicationForOwner = async (req, res, action) => {
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+        res.status(404).json({ message: 'Application not found.' });
+        return null;
+    }
+
+    // Verify the requester is the gig owner
+    const gig = await Gig.findOne({ gigRefId: application.gigRefId });
+    if (!gig || gig.clientId !== req.body.clientId) {
+        res.status(403).json({ message: `Only the gig owner can ${action} applications.` });
+        return null;
+    }
+    return { application, gig };
+};
+
+/**
+ * Prepares the APPLICATION_ACCEPT or APPLICATION_REJECT message for the gig owner to sign.
+ * @param {'APPLICATION_ACCEPT'|'APPLICATION_REJECT'} type
  */
-router.post('/:applicationId/accept', async (req, res) => {
+const prepareApplicationResponse = (type) => async (req, res) => {
+    const action = type === 'APPLICATION_ACCEPT' ? 'accept' : 'reject';
     try {
-        const { applicationId } = req.params;
         const { clientId } = req.body;
+        const loaded = await loadApplicationForOwner(req, res, action);
+        if (!loaded) return;
+        const { application, gig } = loaded;
 
-        const application = await Application.findById(applicationId);
-        if (!application) {
-            return res.status(404).json({ message: 'Application not found.' });
+        if (type === 'APPLICATION_ACCEPT' && gig.status !== 'OPEN') {
+            return res.status(403).json({ message: 'This gig is no longer open.' });
         }
 
-        // Verify the requester is the gig owner
-        const gig = await Gig.findOne({ gigRefId: application.gigRefId });
-        if (!gig || gig.clientId !== clientId) {
-            return res.status(403).json({ message: 'Only the gig owner can accept applications.' });
-        }
+        const responseData = createHcsMessage(type, {
+            gigRefId: gig.gigRefId,
+            freelancerId: application.freelancerId,
+            clientId,
+            timestamp: new Date().toISOString()
+        });
+        const { encodedTransaction, transactionId } = await prepareTopicMessage({
+            topicId: gigsTopicId,
+            message: responseData,
+            kind: type,
+            payerAccountId: clientId,
+            gigRefId: gig.gigRefId
+        });
 
-        if (gig.status !== 'OPEN') {
-            return res.status(403).json({ message: 'This gig is no longer open.' });
+        res.status(200).json({ encodedTransaction, transactionId, responseData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
         }
+        console.error(`Error preparing to ${action} application:`, error);
+        res.status(500).json({ message: `Error preparing to ${action} application`, error: error.toString() });
+    }
+};
+
+/**
+ * Verifies a prepared response to an application and returns it, or sends the error response.
+ */
+const verifyApplicationResponse = async (req, res, type, application) => {
+    const verified = await verifyPreparedTransaction({
+        transactionId: req.body.transactionId,
+        kind: type,
+        payerAccountId: req.body.clientId,
+        gigRefId: application.gigRefId
+    });
+    if (verified.prepared.payload.freelancerId !== application.freelancerId) {
+        res.status(400).json({ message: 'This transaction was not prepared for this application.' });
+        return null;
+    }
+    await markTransactionsRecorded(verified);
+    return verified;
+};
+
+/**
+ * POST /applications/:applicationId/prepare-accept
+ * Client accepts an application (this triggers gig assignment flow)
+ * Body: { clientId }
+ */
+router.post('/:applicationId/prepare-accept', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), prepareApplicationResponse('APPLICATION_ACCEPT'));
+
+/**
+ * POST /applications/:applicationId/accept
+ * Removed: answers 410, pointing to prepare-accept
+ */
+router.post('/:applicationId/accept', replacedBy('prepare-accept', 'record-accept'));
+
+/**
+ * POST /applications/:applicationId/record-accept
+ * Records the acceptance once confirmed on HCS; other pending applications are rejected
+ * Body: { clientId, transactionId }
+ */
+router.post('/:applicationId/record-accept', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+    try {
+        const loaded = await loadApplicationForOwner(req, res, 'accept');
+        if (!loaded) return;
+        const { application } = loaded;
+
+        if (!await verifyApplicationResponse(req, res, 'APPLICATION_ACCEPT', application)) return;
 
         // Update application status
         application.status = 'ACCEPTED';
         await application.save();
+        await publishApplicationEvent(application);
 
         // Reject all other pending applications
+        const otherApplications = await Application.find({ gigRefId: application.gigRefId, _id: { $ne: application._id }, status: 'PENDING' });
         await Application.updateMany(
-            { gigRefId: application.gigRefId, _id: { $ne: applicationId }, status: 'PENDING' },
+            { _id: { $in: otherApplications.map((other) => other._id) } },
             { status: 'REJECTED' }
         );
+        for (const other of otherApplications) {
+            other.status = 'REJECTED';
+            await publishApplicationEvent(other);
+        }
 
-        // Send notification to accepted freelancer
-        const freelancer = await Profile.findOne({ userAccountId: application.freelancerId });
-        if (freelancer) {
-            await sendEmail({
-                to: freelancer.email,
-                subject: `Your application for "${gig.title}" was accepted!`,
-                template: 'application_accepted.ejs',
-                data: {
-                    freelancerName: freelancer.name,
-                    gigTitle: gig.title,
-                    gigRefId: gig.gigRefId,
-                    actionUrl: `https://frontendurl/gigs/${gig.gigRefId}`
-                }
-            }).catch(err => console.error('Email error:', err));
-        }
-
-        res.status(200).json({ 
+        res.status(200).json({
             message: 'Application accepted. Proceed with gig assignment.',
             freelancerId: application.freelancerId
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error accepting application:', error);
         res.status(500).json({ message: 'Error accepting application', error: error.toString() });
     }
 });
 
 /**
- * POST /applications/:applicationId/reject
+ * POST /applications/:applicationId/prepare-reject
  * Client rejects an application
+ * Body: { clientId }
  */
-router.post('/:applicationId/reject', async (req, res) => {
-    try {
-        const { applicationId } = req.params;
-        const { clientId } = req.body;
+router.post('/:applicationId/prepare-reject', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), prepareApplicationResponse('APPLICATION_REJECT'));
 
-        const application = await Application.findById(applicationId);
-        if (!application) {
-            return res.status(404).json({ message: 'Application not found.' });
-        }
+/**
+ * POST /applications/:applicationId/reject
+ * Removed: answers 410, pointing to prepare-reject
+ */
+router.post('/:applicationId/reject', replacedBy('prepare-reject', 'record-reject'));
 
-        // Verify the requester is the gig owner
-        const gig = await Gig.findOne({ gigRefId: application.gigRefId });
-        if (!gig || gig.clientId !== clientId) {
-            return res.status(403).json({ message: 'Only the gig owner can reject applications.' });
-        }
+/**
+ * POST /applications/:applicationId/record-reject
+ * Records the rejection once confirmed on HCS
+ * Body: { clientId, transactionId }
+ */
+router.post('/:applicationId/record-reject', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+    try {
+        const loaded = await loadApplicationForOwner(req, res, 'reject');
+        if (!loaded) return;
+        const { application } = loaded;
+
+        if (!await verifyApplicationResponse(req, res, 'APPLICATION_REJECT', application)) return;
 
         // Update application status
         application.status = 'REJECTED';
         await application.save();
+        await publishApplicationEvent(application);
 
         res.status(200).json({ message: 'Application rejected.' });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error rejecting application:', error);
         res.status(500).json({ message: 'Error rejecting application', error: error.toString() });
     }
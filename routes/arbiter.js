@@ -1,50 +1,99 @@
 import express from 'express';
-import { ContractExecuteTransaction } from '@hashgraph/sdk';
-import { platformClient } from '../utils/hederaClient.js';
+import { Gig } from '../db/models.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/audit.service.js';
+import { executeArbiterEscrowCall } from '../services/escrow.service.js';
+import { recordEscrowTransition } from '../services/escrowState.service.js';
+import { settleMilestoneEscrow } from '../services/dispute.service.js';
 
 const router = express.Router();
 
 // Keep original path typo to avoid breaking clients
-router.post('/arbister/release', async (req, res) => {
+router.post('/arbister/release', authenticate, requirePermission('escrow:arbitrate'), async (req, res) => {
+  const { contractId, gigRefId, reason } = req.body;
   try {
-    const { contractId } = req.body;
     if (!contractId) {
       return res.status(400).json({ message: 'Contract ID is required.' });
     }
 
-    const releaseTx = await new ContractExecuteTransaction()
-      .setContractId(contractId)
-      .setGas(150000)
-      .setFunction('releaseFunds')
-      .execute(platformClient);
-
-    await releaseTx.getReceipt(platformClient);
+    const transactionId = await executeArbiterEscrowCall(contractId, 'releaseFunds');
+    // Milestone escrows are not tracked as gig escrows; their state lives on the milestone
+    const escrow = await recordEscrowTransition({ contractId, state: 'Released', transactionId, force: true });
+    if (!escrow) {
+      await settleMilestoneEscrow({ contractId, escrowState: 'Released', transactionId });
+    }
+    await recordAudit({
+      req,
+      action: 'ARBITER_RELEASE',
+      targetType: 'Contract',
+      targetId: contractId,
+      details: { gigRefId, reason, transactionId },
+      outcome: 'SUCCESS',
+    });
     res.status(200).json({ message: `Arbiter successfully released funds from contract ${contractId}.` });
   } catch (error) {
     console.error('Arbiter error releasing funds:', error);
+    await recordAudit({ req, action: 'ARBITER_RELEASE', targetType: 'Contract', targetId: contractId, details: { gigRefId, reason }, outcome: 'FAILURE', error });
     res.status(500).json({ message: 'Arbiter error releasing funds', error: error.toString() });
   }
 });
 
-router.post('/arbiter/cancel', async (req, res) => {
+router.post('/arbiter/cancel', authenticate, requirePermission('escrow:arbitrate'), async (req, res) => {
+  const { contractId, gigRefId, reason } = req.body;
   try {
-    const { contractId } = req.body;
     if (!contractId) {
       return res.status(400).json({ message: 'Contract ID is required.' });
     }
 
-    const cancelTx = await new ContractExecuteTransaction()
-      .setContractId(contractId)
-      .setGas(150000)
-      .setFunction('cancelEscrow')
-      .execute(platformClient);
-
-    await cancelTx.getReceipt(platformClient);
+    const transactionId = await executeArbiterEscrowCall(contractId, 'cancelEscrow');
+    // Milestone escrows are not tracked as gig escrows; their state lives on the milestone
+    const escrow = await recordEscrowTransition({ contractId, state: 'Cancelled', transactionId, force: true });
+    if (!escrow) {
+      await settleMilestoneEscrow({ contractId, escrowState: 'Cancelled', transactionId });
+    }
+    await recordAudit({
+      req,
+      action: 'ARBITER_CANCEL',
+      targetType: 'Contract',
+      targetId: contractId,
+      details: { gigRefId, reason, transactionId },
+      outcome: 'SUCCESS',
+    });
     res.status(200).json({ message: `Arbiter successfully cancelled escrow for contract ${contractId}.` });
   } catch (error) {
     console.error('Arbiter error cancelling escrow:', error);
+    await recordAudit({ req, action: 'ARBITER_CANCEL', targetType: 'Contract', targetId: contractId, details: { gigRefId, reason }, outcome: 'FAILURE', error });
     res.status(500).json({ message: 'Arbiter error cancelling escrow', error: error.toString() });
   }
 });
 
+// Allows escrow release without an approved deliverable, e.g. when the client stops responding
+router.post('/arbiter/gigs/:gigRefId/release-override', authenticate, requirePermission('escrow:arbitrate'), async (req, res) => {
+  const { gigRefId } = req.params;
+  const { reason } = req.body;
+  try {
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required.' });
+    }
+
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.status !== 'IN_PROGRESS') {
+      return res.status(403).json({ message: 'Release overrides can only be granted on gigs in progress.' });
+    }
+
+    gig.releaseOverride = { arbiterId: req.user.userAccountId, reason, grantedAt: new Date() };
+    await gig.save();
+
+    await recordAudit({ req, action: 'ARBITER_RELEASE_OVERRIDE', targetType: 'Gig', targetId: gigRefId, details: { reason }, outcome: 'SUCCESS' });
+    res.status(200).json({ message: 'Release override granted. Escrow can now be released without an approved deliverable.', releaseOverride: gig.releaseOverride });
+  } catch (error) {
+    console.error('Arbiter error granting release override:', error);
+    await recordAudit({ req, action: 'ARBITER_RELEASE_OVERRIDE', targetType: 'Gig', targetId: gigRefId, details: { reason }, outcome: 'FAILURE', error });
+    res.status(500).json({ message: 'Arbiter error granting release override', error: error.toString() });
+  }
+});
+
 export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import { createChallenge, verifyChallenge, refreshTokens, revokeRefreshToken } from '../services/auth.service.js';
+import { authenticate } from '../middleware/auth.js';
+import { isValidHederaId } from '../utils/validation.js';
+
+const router = express.Router();
+
+// =================================================================
+// --- AUTH ENDPOINTS (Wallet-signature login) ---
+// =================================================================
+
+/**
+ * POST /auth/challenge
+ * Issues a nonce-bearing message for the account to sign with its Hedera key
+ */
+router.post('/challenge', async (req, res) => {
+    try {
+        const { accountId } = req.body;
+
+        if (!isValidHederaId(accountId)) {
+            return res.status(400).json({ message: 'A valid Hedera accountId is required (e.g., 0.0.1234).' });
+        }
+
+        const challenge = await createChallenge(accountId);
+        res.status(200).json(challenge);
+    } catch (error) {
+        console.error('Error creating auth challenge:', error);
+        res.status(500).json({ message: 'Error creating challenge', error: error.toString() });
+    }
+});
+
+/**
+ * POST /auth/verify
+ * Verifies the signed challenge and returns access and refresh tokens
+ */
+router.post('/verify', async (req, res) => {
+    try {
+        const { accountId, nonce, signature } = req.body;
+
+        if (!accountId || !nonce || !signature) {
+            return res.status(400).json({ message: 'accountId, nonce, and signature are required.' });
+        }
+
+        const tokens = await verifyChallenge({ accountId, nonce, signature });
+        res.status(200).json(tokens);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error verifying auth challenge:', error);
+        res.status(500).json({ message: 'Error verifying challenge', error: error.toString() });
+    }
+});
+
+/**
+ * POST /auth/refresh
+ * Exchanges a refresh token for a new token pair (the old refresh token is revoked)
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'refreshToken is required.' });
+        }
+
+        const tokens = await refreshTokens(refreshToken);
+        res.status(200).json(tokens);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error refreshing tokens:', error);
+        res.status(500).json({ message: 'Error refreshing tokens', error: error.toString() });
+    }
+});
+
+/**
+ * POST /auth/logout
+ * Revokes the given refresh token
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (refreshToken) {
+            await revokeRefreshToken(refreshToken);
+        }
+
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ message: 'Error logging out', error: error.toString() });
+    }
+});
+
+/**
+ * GET /auth/me
+ * Returns the profile of the authenticated account
+ */
+router.get('/me', authenticate, (req, res) => {
+    res.status(200).json(req.user);
+});
+
+export default router;
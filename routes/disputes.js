@@ -0,0 +1,238 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { Dispute, Gig } from '../db/models.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/roles.js';
+import { resolveDispute } from '../services/dispute.service.js';
+import { publishDisputeEvent } from '../services/events.service.js';
+
+const router = express.Router();
+
+const isParticipant = (gig, accountId) => Boolean(gig) && (accountId === gig.clientId || accountId === gig.assignedFreelancerId);
+
+const normalizeAttachments = (attachments) => (Array.isArray(attachments) ? attachments : [])
+    .filter((a) => a && a.url)
+    .map(({ url, name, type }) => ({ url, name, type }));
+
+// =================================================================
+// --- DISPUTE ENDPOINTS ---
+// =================================================================
+
+/**
+ * POST /disputes
+ * Either party opens a dispute on an IN_PROGRESS gig, or on one of its funded milestones
+ * Body: { gigRefId, milestoneId?, reason }
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { gigRefId, milestoneId, reason } = req.body;
+        const accountId = req.user.userAccountId;
+
+        if (!gigRefId || !reason) {
+            return res.status(400).json({ message: 'gigRefId and reason are required.' });
+        }
+
+        const gig = await Gig.findOne({ gigRefId });
+        if (!gig) {
+            return res.status(404).json({ message: 'Gig not found.' });
+        }
+
+        if (!isParticipant(gig, accountId)) {
+            return res.status(403).json({ message: 'Only participants of this gig can open a dispute.' });
+        }
+
+        if (gig.status !== 'IN_PROGRESS') {
+            return res.status(403).json({ message: 'Disputes can only be opened on gigs in progress.' });
+        }
+
+        if (milestoneId !== undefined) {
+            const milestone = gig.milestones.find((m) => m.milestoneId === milestoneId);
+            if (!milestone) {
+                return res.status(404).json({ message: 'Milestone not found.' });
+            }
+            if (!['FUNDED', 'SUBMITTED', 'APPROVED'].includes(milestone.status)) {
+                return res.status(409).json({ message: `Milestone is ${milestone.status}; only funded milestones can be disputed.` });
+            }
+        }
+
+        // Each milestone, and the gig as a whole, can have one open dispute at a time
+        const disputed = { gigRefId, milestoneId: milestoneId ?? null };
+        const alreadyOpen = () => Dispute.findOne({ ...disputed, status: { $in: ['OPEN', 'RULING'] } });
+        const openMessage = `This ${milestoneId !== undefined ? 'milestone' : 'gig'} already has an open dispute.`;
+        const existingDispute = await alreadyOpen();
+        if (existingDispute) {
+            return res.status(409).json({ message: openMessage, disputeId: existingDispute.disputeId });
+        }
+
+        let dispute;
+        try {
+            dispute = await Dispute.create({
+                disputeId: uuidv4(),
+                ...disputed,
+                openedBy: accountId,
+                reason
+            });
+        } catch (error) {
+            // Another request opened one in the meantime
+            if (error.code !== 11000) throw error;
+            const concurrentDispute = await alreadyOpen();
+            return res.status(409).json({ message: openMessage, disputeId: concurrentDispute?.disputeId });
+        }
+        // The other party is notified (DISPUTE_OPENED) so they can respond with evidence
+        await publishDisputeEvent(dispute);
+
+        res.status(201).json({
+            message: 'Dispute opened. An arbiter will review it.',
+            dispute
+        });
+    } catch (error) {
+        console.error('Error opening dispute:', error);
+        res.status(500).json({ message: 'Error opening dispute', error: error.toString() });
+    }
+});
+
+/**
+ * GET /disputes/queue
+ * Open disputes, oldest first (arbiter only)
+ */
+router.get('/queue', authenticate, requirePermission('escrow:arbitrate'), async (req, res) => {
+    try {
+        const disputes = await Dispute.find({ status: 'OPEN' }).sort({ createdAt: 1 });
+
+        // Enrich with gig details
+        const enrichedDisputes = await Promise.all(
+            disputes.map(async (dispute) => {
+                const gig = await Gig.findOne({ gigRefId: dispute.gigRefId });
+                return {
+                    ...dispute.toObject(),
+                    evidenceCount: dispute.evidence.length,
+                    gig
+                };
+            })
+        );
+
+        res.status(200).json(enrichedDisputes);
+    } catch (error) {
+        console.error('Error fetching dispute queue:', error);
+        res.status(500).json({ message: 'Error fetching dispute queue', error: error.toString() });
+    }
+});
+
+/**
+ * GET /disputes/gig/:gigRefId
+ * Dispute history of a gig (participants and arbiters)
+ */
+router.get('/gig/:gigRefId', authenticate, async (req, res) => {
+    try {
+        const { gigRefId } = req.params;
+
+        const gig = await Gig.findOne({ gigRefId });
+        if (!gig) {
+            return res.status(404).json({ message: 'Gig not found.' });
+        }
+
+        if (!isParticipant(gig, req.user.userAccountId) && !hasPermission(req.user, 'escrow:arbitrate')) {
+            return res.status(403).json({ message: 'Only participants of this gig can view its disputes.' });
+        }
+
+        const disputes = await Dispute.find({ gigRefId }).sort({ createdAt: -1 });
+        res.status(200).json(disputes);
+    } catch (error) {
+        console.error('Error fetching gig disputes:', error);
+        res.status(500).json({ message: 'Error fetching disputes', error: error.toString() });
+    }
+});
+
+/**
+ * GET /disputes/:disputeId
+ * Get a dispute with its evidence (participants and arbiters)
+ */
+router.get('/:disputeId', authenticate, async (req, res) => {
+    try {
+        const { disputeId } = req.params;
+
+        const dispute = await Dispute.findOne({ disputeId });
+        if (!dispute) {
+            return res.status(404).json({ message: 'Dispute not found.' });
+        }
+
+        const gig = await Gig.findOne({ gigRefId: dispute.gigRefId });
+        if (!isParticipant(gig, req.user.userAccountId) && !hasPermission(req.user, 'escrow:arbitrate')) {
+            return res.status(403).json({ message: 'Only participants of this gig can view this dispute.' });
+        }
+
+        res.status(200).json({ ...dispute.toObject(), gig });
+    } catch (error) {
+        console.error('Error fetching dispute:', error);
+        res.status(500).json({ message: 'Error fetching dispute', error: error.toString() });
+    }
+});
+
+/**
+ * POST /disputes/:disputeId/evidence
+ * Either party submits evidence while the dispute is open
+ * Body: { text, attachments: [{ url, name, type }] }
+ */
+router.post('/:disputeId/evidence', authenticate, async (req, res) => {
+    try {
+        const { disputeId } = req.params;
+        const { text, attachments } = req.body;
+        const accountId = req.user.userAccountId;
+
+        if (!text) {
+            return res.status(400).json({ message: 'text is required.' });
+        }
+
+        const dispute = await Dispute.findOne({ disputeId });
+        if (!dispute) {
+            return res.status(404).json({ message: 'Dispute not found.' });
+        }
+
+        const gig = await Gig.findOne({ gigRefId: dispute.gigRefId });
+        if (!isParticipant(gig, accountId)) {
+            return res.status(403).json({ message: 'Only participants of this gig can submit evidence.' });
+        }
+
+        if (dispute.status !== 'OPEN') {
+            return res.status(409).json({ message: 'This dispute has already been resolved.' });
+        }
+
+        dispute.evidence.push({ submittedBy: accountId, text, attachments: normalizeAttachments(attachments) });
+        await dispute.save();
+
+        res.status(201).json({
+            message: 'Evidence submitted.',
+            dispute
+        });
+    } catch (error) {
+        console.error('Error submitting evidence:', error);
+        res.status(500).json({ message: 'Error submitting evidence', error: error.toString() });
+    }
+});
+
+/**
+ * POST /disputes/:disputeId/ruling
+ * Arbiter rules on a dispute: executes the escrow call and updates the gig (arbiter only)
+ * Body: { outcome: 'RELEASE' | 'CANCEL', notes }
+ */
+router.post('/:disputeId/ruling', authenticate, requirePermission('escrow:arbitrate'), async (req, res) => {
+    try {
+        const { disputeId } = req.params;
+        const { outcome, notes } = req.body;
+
+        const dispute = await resolveDispute({ disputeId, outcome, notes, req });
+
+        res.status(200).json({
+            message: `Dispute resolved: ${outcome === 'RELEASE' ? 'funds released to the freelancer' : 'escrow cancelled and refunded to the client'}.`,
+            dispute
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error resolving dispute:', error);
+        res.status(500).json({ message: 'Error resolving dispute', error: error.toString() });
+    }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { authenticate, tokenFromQuery } from '../middleware/auth.js';
+import { subscribeEvents } from '../services/events.service.js';
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * GET /events
+ * Server-sent events stream of the caller's gig events: gig_created, gig_updated, message, typing,
+ * application, invitation, deliverable, dispute, escrow and review. Only events addressed to the
+ * caller are delivered. Events missed while disconnected are not replayed; clients refetch the gig
+ * endpoints after reconnecting.
+ * Query: gigs (optional, comma-separated gigRefIds to limit the stream to), access_token (for
+ * EventSource, which cannot send an Authorization header)
+ */
+router.get('/', tokenFromQuery, authenticate, (req, res) => {
+    const accountId = req.user.userAccountId;
+    const gigs = req.query.gigs ? new Set(String(req.query.gigs).split(',').filter(Boolean)) : null;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribeEvents((event) => {
+        if (!event.recipients.includes(accountId) || (gigs && !gigs.has(event.gigRefId))) return;
+        const { recipients, ...delivered } = event;
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(delivered)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+    getGigAlertSettings,
+    updateGigAlertSettings,
+    verifyUnsubscribeToken,
+    unsubscribeGigAlerts,
+    listSavedSearches,
+    createSavedSearch,
+    deleteSavedSearch
+} from '../services/gigAlert.service.js';
+
+const router = express.Router();
+
+// The token has been checked against the stored ones, so it is safe to put in the page
+const confirmUnsubscribePage = (token) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Unsubscribe from gig alerts</title></head>
+<body>
+    <p>Stop receiving new-gig alerts from HireChain?</p>
+    <form method="post" action="?token=${encodeURIComponent(token)}">
+        <button type="submit">Unsubscribe</button>
+    </form>
+</body>
+</html>`;
+
+/**
+ * GET /gig-alerts/unsubscribe
+ * Page asking to confirm the unsubscribe link emailed to an account; changes nothing, so that
+ * link scanners and prefetching cannot unsubscribe anyone
+ * Query params: token
+ */
+router.get('/unsubscribe', async (req, res) => {
+    try {
+        await verifyUnsubscribeToken(req.query.token);
+        res.status(200).type('html').send(confirmUnsubscribePage(req.query.token));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error checking gig alert unsubscribe link:', error);
+        res.status(500).json({ message: 'Error checking unsubscribe link', error: error.toString() });
+    }
+});
+
+/**
+ * POST /gig-alerts/unsubscribe
+ * Turns off the new-gig alerts of the account the link was emailed to; no login needed. Also the
+ * one-click unsubscribe of mail clients (RFC 8058), which post List-Unsubscribe=One-Click.
+ * Query params: token (or token in a form or JSON body)
+ */
+router.post('/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+        await unsubscribeGigAlerts(req.query.token || req.body?.token);
+        res.status(200).json({ message: 'You will no longer receive new-gig alerts.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error unsubscribing from gig alerts:', error);
+        res.status(500).json({ message: 'Error unsubscribing from gig alerts', error: error.toString() });
+    }
+});
+
+/**
+ * GET /gig-alerts/settings
+ * The caller's alert settings: frequency (INSTANT, DAILY, WEEKLY or OFF), matchSkills and maxInstantPerDay
+ */
+router.get('/settings', authenticate, requirePermission('gig-alerts:subscribe'), async (req, res) => {
+    try {
+        const settings = await getGigAlertSettings(req.user.userAccountId);
+        res.status(200).json({ settings });
+    } catch (error) {
+        console.error('Error fetching gig alert settings:', error);
+        res.status(500).json({ message: 'Error fetching gig alert settings', error: error.toString() });
+    }
+});
+
+/**
+ * PUT /gig-alerts/settings
+ * Changes the caller's alert settings
+ * Body: { frequency?, matchSkills?, maxInstantPerDay? }
+ */
+router.put('/settings', authenticate, requirePermission('gig-alerts:subscribe'), async (req, res) => {
+    try {
+        const settings = await updateGigAlertSettings(req.user.userAccountId, req.body);
+        res.status(200).json({ message: 'Gig alert settings updated.', settings });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error updating gig alert settings:', error);
+        res.status(500).json({ message: 'Error updating gig alert settings', error: error.toString() });
+    }
+});
+
+/**
+ * GET /gig-alerts/searches
+ * The caller's saved searches
+ */
+router.get('/searches', authenticate, requirePermission('gig-alerts:subscribe'), async (req, res) => {
+    try {
+        const searches = await listSavedSearches(req.user.userAccountId);
+        res.status(200).json({ searches });
+    } catch (error) {
+        console.error('Error fetching saved searches:', error);
+        res.status(500).json({ message: 'Error fetching saved searches', error: error.toString() });
+    }
+});
+
+/**
+ * POST /gig-alerts/searches
+ * Saves a search to be alerted about
+ * Body: { name, keywords?: string[], skills?: string[], minBudget?: number (HBAR) }
+ */
+router.post('/searches', authenticate, requirePermission('gig-alerts:subscribe'), async (req, res) => {
+    try {
+        const search = await createSavedSearch(req.user.userAccountId, req.body);
+        res.status(201).json({ message: 'Search saved.', search });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error saving search:', error);
+        res.status(500).json({ message: 'Error saving search', error: error.toString() });
+    }
+});
+
+/**
+ * DELETE /gig-alerts/searches/:searchId
+ * Deletes one of the caller's saved searches
+ */
+router.delete('/searches/:searchId', authenticate, requirePermission('gig-alerts:subscribe'), async (req, res) => {
+    try {
+        const { searchId } = req.params;
+        if (!mongoose.isValidObjectId(searchId)) {
+            return res.status(404).json({ message: 'Saved search not found.' });
+        }
+
+        await deleteSavedSearch(req.user.userAccountId, searchId);
+        res.status(200).json({ message: 'Saved search deleted.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error deleting saved search:', error);
+        res.status(500).json({ message: 'Error deleting saved search', error: error.toString() });
+    }
+});
+
+export default router;
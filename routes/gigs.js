@@ -1,16 +1,19 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { Client, TopicMessageSubmitTransaction, TransactionId, ContractExecuteTransaction, ContractCreateTransaction, FileCreateTransaction, FileAppendTransaction, ContractId, Hbar, PrivateKey } from '@hashgraph/sdk';
-import { Gig, Invitation, Profile, XP } from '../db/models.js';
+import { Client, ContractFunctionParameters, TopicMessageSubmitTransaction, TransactionId } from '@hashgraph/sdk';
+import { Gig, Invitation, Profile, XP, Dispute, Escrow } from '../db/models.js';
 import { gigsTopicId } from '../utils/env.js';
-import { platformClient, myPrivateKey } from '../utils/hederaClient.js';
-import { escrowBytecode } from '../utils/solidityCompiler.js';
-import { sendEmail } from '../email_system/email_config.js';
-import { getEntityIdFromTransaction } from '../utils/transactions.js';
+import { authenticate, actingAs, requirePermission } from '../middleware/auth.js';
+import { GIG_COMPLETION_XP } from '../services/rewards.service.js';
+import { getEscrowBytecodeFileId, buildEscrowCreateTransaction, buildEscrowCallTransaction, resolveEvmAddress } from '../services/escrow.service.js';
+import { registerPreparedTransaction, verifyPreparedTransaction, getCreatedContractId, markTransactionsRecorded } from '../services/transactionVerification.service.js';
+import { recordEscrowCreated, recordEscrowTransition, requireEscrowState, publishMilestoneEscrowEvent } from '../services/escrowState.service.js';
+import { createHcsMessage } from '../utils/hcsMessages.js';
+import { publishGigCreatedEvent, publishGigUpdatedEvent, publishDeliverableEvent } from '../services/events.service.js';
 
 const router = express.Router();
 
-router.post('/gigs/prepare-creation', async (req, res) => {
+router.post('/gigs/prepare-creation', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
     const { clientId, title, description, budget, duration, visibility } = req.body;
     if (!clientId || !title || !description || !budget) {
@@ -18,7 +21,7 @@ router.post('/gigs/prepare-creation', async (req, res) => {
     }
     const gigRefId = uuidv4();
     const gigVisibility = visibility || 'PUBLIC';
-    const gigData = { type: 'GIG_CREATE', gigRefId, clientId, title, description, duration, budget: `${budget} HBAR`, status: 'OPEN', visibility: gigVisibility };
+    const gigData = createHcsMessage('GIG_CREATE', { gigRefId, clientId, title, description, duration, budget: `${budget} HBAR`, status: 'OPEN', visibility: gigVisibility });
 
     const transaction = new TopicMessageSubmitTransaction({
       topicId: gigsTopicId,
@@ -26,30 +29,46 @@ router.post('/gigs/prepare-creation', async (req, res) => {
       transactionId: TransactionId.generate(clientId),
     }).setTransactionId(TransactionId.generate(clientId)).freezeWith(Client.forTestnet());
 
+    const transactionId = await registerPreparedTransaction({ transaction, kind: 'GIG_CREATE', payerAccountId: clientId, gigRefId, payload: gigData });
+
     const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
-    res.status(200).json({ encodedTransaction, gigData });
+    res.status(200).json({ encodedTransaction, transactionId, gigData });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error preparing gig creation', error: error.toString() });
   }
 });
 
-// Record gig creation
-router.post('/gigs/record-creation', async (req, res) => {
+// Record gig creation: the gig is stored as prepared, once the mirror node confirms the HCS message
+router.post('/gigs/record-creation', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
-    const { gigData, hcsSequenceNumber } = req.body;
-    await Gig.findOneAndUpdate(
+    const { clientId, transactionId } = req.body;
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'GIG_CREATE', payerAccountId: clientId });
+    await markTransactionsRecorded(verified);
+
+    const { type, version, ...gigData } = verified.prepared.payload;
+    const { value: gig, lastErrorObject } = await Gig.findOneAndUpdate(
       { gigRefId: gigData.gigRefId },
-      { ...gigData, hcsSequenceNumber, escrowContractId: null, assignedFreelancerId: null },
-      { upsert: true, new: true }
+      { ...gigData, hcsSequenceNumber: verified.topicMessage.sequence_number, escrowContractId: null, assignedFreelancerId: null },
+      { upsert: true, new: true, includeResultMetadata: true }
     );
+    // The HCS sync may have stored (and published) the gig first
+    if (!lastErrorObject?.updatedExisting) {
+      await publishGigCreatedEvent(gig);
+    }
     res.status(201).json({ message: 'Gig creation recorded.', gigRefId: gigData.gigRefId });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error recording gig', error: error.toString() });
   }
 });
 
-// Prepare assignment (upload bytecode and create HCS update)
-router.post('/gigs/:gigRefId/prepare-assignment', async (req, res) => {
+// Prepare assignment (escrow contract create from the cached bytecode file and HCS update)
+router.post('/gigs/:gigRefId/prepare-assignment', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
     const { gigRefId } = req.params;
     const { clientId, freelancerAccountId } = req.body;
@@ -59,145 +78,725 @@ router.post('/gigs/:gigRefId/prepare-assignment', async (req, res) => {
       return res.status(403).json({ message: 'Invalid request or gig is not open.' });
     }
 
-    const CHUNK_SIZE = 4096;
-    let fileId;
-    const fileKey = PrivateKey.fromStringECDSA(myPrivateKey);
-
-    const fileCreateTx = new FileCreateTransaction()
-      .setKeys([fileKey.publicKey])
-      .setContents(escrowBytecode.substring(0, CHUNK_SIZE))
-      .freezeWith(platformClient);
+    const fileId = await getEscrowBytecodeFileId();
+    const contractCreateTx = await buildEscrowCreateTransaction(fileId, clientId);
 
-    const signedCreateTx = await fileCreateTx.sign(fileKey);
-    const createTxResponse = await signedCreateTx.execute(platformClient);
-    const createReceipt = await createTxResponse.getReceipt(platformClient);
-    fileId = createReceipt.fileId;
-
-    if (escrowBytecode.length > CHUNK_SIZE) {
-      for (let i = CHUNK_SIZE; i < escrowBytecode.length; i += CHUNK_SIZE) {
-        const chunk = escrowBytecode.substring(i, i + CHUNK_SIZE);
-        const fileAppendTx = new FileAppendTransaction().setFileId(fileId).setContents(chunk).freezeWith(platformClient);
-        const signedAppendTx = await fileAppendTx.sign(fileKey);
-        await (await signedAppendTx.execute(platformClient)).getReceipt(platformClient);
-      }
-    }
-
-    const contractCreateTx = new ContractCreateTransaction()
-      .setBytecodeFileId(fileId)
-      .setGas(10_000_000)
-      .setTransactionId(TransactionId.generate(clientId))
-      .freezeWith(Client.forTestnet());
-
-    const updateGigData = { type: 'GIG_UPDATE', gigRefId, clientId, status: 'IN_PROGRESS', assignedFreelancerId: freelancerAccountId, timestamp: new Date().toISOString() };
+    const updateGigData = createHcsMessage('GIG_UPDATE', { gigRefId, clientId, status: 'IN_PROGRESS', assignedFreelancerId: freelancerAccountId, timestamp: new Date().toISOString() });
     const updateHcsTx = new TopicMessageSubmitTransaction({
       topicId: gigsTopicId,
       message: JSON.stringify(updateGigData),
       transactionId: TransactionId.generate(clientId),
     }).setTransactionId(TransactionId.generate(clientId)).freezeWith(Client.forTestnet());
 
+    const contractTransactionId = await registerPreparedTransaction({ transaction: contractCreateTx, kind: 'ESCROW_CREATE', payerAccountId: clientId, gigRefId });
+    const hcsTransactionId = await registerPreparedTransaction({ transaction: updateHcsTx, kind: 'GIG_ASSIGNMENT', payerAccountId: clientId, gigRefId, payload: updateGigData });
+
     const encodedContractTx = Buffer.from(contractCreateTx.toBytes()).toString('base64');
     const encodedHcsTx = Buffer.from(updateHcsTx.toBytes()).toString('base64');
 
-    res.status(200).json({ encodedContractTx, encodedHcsTx, freelancerAccountId, updateGigData });
+    res.status(200).json({ encodedContractTx, encodedHcsTx, contractTransactionId, hcsTransactionId, freelancerAccountId, updateGigData });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.log(error);
     res.status(500).json({ message: 'Error preparing assignment', error: error.toString() });
   }
 });
 
-router.post('/gigs/:gigRefId/record-assignment', async (req, res) => {
+router.post('/gigs/:gigRefId/record-assignment', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
     const { gigRefId } = req.params;
-    const { clientId, freelancerAccountId, updateGigData } = req.body;
+    const { clientId, contractTransactionId, hcsTransactionId } = req.body;
     const gig = await Gig.findOne({ gigRefId });
     if (!gig) {
       return res.status(404).json({ message: 'Gig not found.' });
     }
-    console.log({ status: 'IN_PROGRESS', assignedFreelancerId: freelancerAccountId })
-    await Gig.findOneAndUpdate({ gigRefId }, { status: 'IN_PROGRESS', assignedFreelancerId: freelancerAccountId });
-    res.status(200).json({ message: 'Assignment recorded successfully.' });
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can record an assignment.' });
+    }
+
+    const escrowCreate = await verifyPreparedTransaction({ transactionId: contractTransactionId, kind: 'ESCROW_CREATE', payerAccountId: clientId, gigRefId });
+    const assignment = await verifyPreparedTransaction({ transactionId: hcsTransactionId, kind: 'GIG_ASSIGNMENT', payerAccountId: clientId, gigRefId });
+    const escrowContractId = getCreatedContractId(escrowCreate);
+    await markTransactionsRecorded(escrowCreate, assignment);
+
+    await Gig.findOneAndUpdate({ gigRefId }, { status: 'IN_PROGRESS', assignedFreelancerId: assignment.prepared.payload.assignedFreelancerId, escrowContractId });
+    await publishGigUpdatedEvent(gigRefId);
+    const escrow = await recordEscrowCreated({ gigRefId, contractId: escrowContractId, transactionId: contractTransactionId });
+    res.status(200).json({ message: 'Assignment recorded successfully.', escrowContractId, escrow });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.log(error);
     res.status(500).json({ message: 'Error recording assignment', error: error.toString() });
   }
 })
 
+// Prepare escrow initialization: the client calls initEscrow(freelancer) before funds can be locked
+router.post('/gigs/:gigRefId/prepare-init-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { clientId } = req.body;
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can initialize escrow.' });
+    }
+    if (!gig.assignedFreelancerId) {
+      return res.status(409).json({ message: 'The gig has no assigned freelancer.' });
+    }
+    await requireEscrowState(gigRefId, 'Created');
+
+    const freelancerEvmAddress = await resolveEvmAddress(gig.assignedFreelancerId);
+    const transaction = buildEscrowCallTransaction({
+      contractId: gig.escrowContractId,
+      functionName: 'initEscrow',
+      payerAccountId: clientId,
+      functionParameters: new ContractFunctionParameters().addAddress(freelancerEvmAddress),
+    });
+    const transactionId = await registerPreparedTransaction({
+      transaction,
+      kind: 'ESCROW_INIT',
+      payerAccountId: clientId,
+      gigRefId,
+      payload: { freelancerAccountId: gig.assignedFreelancerId, freelancerEvmAddress },
+    });
+
+    const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
+    res.status(200).json({ encodedTransaction, transactionId, freelancerEvmAddress });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing escrow initialization', error: error.toString() });
+  }
+});
+
+// Record escrow initialization
+router.post('/gigs/:gigRefId/record-init-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { clientId, transactionId } = req.body;
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can record escrow initialization.' });
+    }
+    await requireEscrowState(gigRefId, 'Created');
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'ESCROW_INIT', payerAccountId: clientId, gigRefId });
+    await markTransactionsRecorded(verified);
+
+    const escrow = await recordEscrowTransition({ gigRefId, state: 'Initialized', transactionId });
+    res.status(200).json({ message: 'Escrow initialization recorded.', escrow });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording escrow initialization', error: error.toString() });
+  }
+});
+
 // Prepare lock escrow
-router.post('/gigs/:gigRefId/prepare-lock-escrow', async (req, res) => {
+router.post('/gigs/:gigRefId/prepare-lock-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
     const { gigRefId } = req.params;
     const { clientId, amount } = req.body;
     const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can lock escrow.' });
+    }
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'amount must be a positive number of HBAR.' });
+    }
+    await requireEscrowState(gigRefId, 'Initialized');
 
-    const transaction = new ContractExecuteTransaction()
-      .setContractId(ContractId.fromString(gig.escrowContractId))
-      .setGas(1_050_000)
-      .setFunction('lockFunds')
-      .setPayableAmount(new Hbar(amount))
-      .setTransactionId(TransactionId.generate(clientId))
-      .freezeWith(Client.forTestnet());
+    const transaction = buildEscrowCallTransaction({
+      contractId: gig.escrowContractId,
+      functionName: 'lockFunds',
+      payerAccountId: clientId,
+      amount,
+    });
+    const transactionId = await registerPreparedTransaction({ transaction, kind: 'ESCROW_LOCK', payerAccountId: clientId, gigRefId, payload: { amount } });
 
     const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
-    res.status(200).json({ encodedTransaction });
+    res.status(200).json({ encodedTransaction, transactionId });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error preparing lock transaction', error: error.toString() });
   }
 });
 
 // Record lock escrow
-router.post('/gigs/:gigRefId/record-lock-escrow', (req, res) => {
-  console.log(`Lock recorded for gig ${req.params.gigRefId}`);
-  res.status(200).json({ message: 'Lock-in successfully recorded.' });
+router.post('/gigs/:gigRefId/record-lock-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { clientId, transactionId } = req.body;
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can record an escrow lock.' });
+    }
+    await requireEscrowState(gigRefId, 'Initialized');
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'ESCROW_LOCK', payerAccountId: clientId, gigRefId });
+    await markTransactionsRecorded(verified);
+
+    const escrow = await recordEscrowTransition({ gigRefId, state: 'Locked', transactionId, lockedAmount: Number(verified.prepared.payload.amount) });
+    res.status(200).json({ message: 'Lock-in successfully recorded.', escrow });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording lock', error: error.toString() });
+  }
 });
 
 // Prepare release escrow
-router.post('/gigs/:gigRefId/prepare-release-escrow', async (req, res) => {
+router.post('/gigs/:gigRefId/prepare-release-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
     const { gigRefId } = req.params;
     const { clientId } = req.body;
     const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can release escrow.' });
+    }
+    if (await Dispute.exists({ gigRefId, status: { $in: ['OPEN', 'RULING'] } })) {
+      return res.status(409).json({ message: 'This gig has an open dispute; an arbiter must resolve it.' });
+    }
+    const hasApprovedDeliverable = gig.deliverables.some((d) => d.status === 'APPROVED');
+    if (!hasApprovedDeliverable && !gig.releaseOverride?.grantedAt) {
+      return res.status(409).json({ message: 'Escrow can only be released after a deliverable is approved or an arbiter override.' });
+    }
+    await requireEscrowState(gigRefId, 'Locked');
 
-    const transaction = new ContractExecuteTransaction()
-      .setContractId(ContractId.fromString(gig.escrowContractId))
-      .setGas(1_050_000)
-      .setFunction('releaseFunds')
-      .setTransactionId(TransactionId.generate(clientId))
-      .freezeWith(Client.forTestnet());
+    const transaction = buildEscrowCallTransaction({
+      contractId: gig.escrowContractId,
+      functionName: 'releaseFunds',
+      payerAccountId: clientId,
+    });
+    const transactionId = await registerPreparedTransaction({ transaction, kind: 'ESCROW_RELEASE', payerAccountId: clientId, gigRefId });
 
     const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
-    res.status(200).json({ encodedTransaction });
+    res.status(200).json({ encodedTransaction, transactionId });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error preparing release transaction', error: error.toString() });
   }
 });
 
 // Record release escrow
-router.post('/gigs/:gigRefId/record-release-escrow', async (req, res) => {
+router.post('/gigs/:gigRefId/record-release-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
   try {
     const { gigRefId } = req.params;
+    const { clientId, transactionId } = req.body;
     const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can record an escrow release.' });
+    }
+    await requireEscrowState(gigRefId, 'Locked');
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'ESCROW_RELEASE', payerAccountId: clientId, gigRefId });
+    await markTransactionsRecorded(verified);
+    await recordEscrowTransition({ gigRefId, state: 'Released', transactionId });
 
     await Gig.findOneAndUpdate({ gigRefId }, { status: 'COMPLETED' });
+    await publishGigUpdatedEvent(gigRefId);
 
     const freelancerId = gig.assignedFreelancerId;
     if (freelancerId) {
-      const xpToAward = 100;
+      const xpToAward = GIG_COMPLETION_XP;
       await XP.findOneAndUpdate(
         { userAccountId: freelancerId },
         { $inc: { xpPoints: xpToAward } },
         { upsert: true, new: true }
       );
-      const freelancer = await Profile.findOne({ userAccountId: freelancerId });
-      if (freelancer) {
-        await sendEmail({ to: freelancer.email });
-      }
     }
     res.status(200).json({ message: 'Escrow release recorded.' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error recording release', error: error.toString() });
   }
 });
 
+// =================================================================
+// --- DELIVERABLES (freelancer submits work, client approves or requests revisions) ---
+// =================================================================
+
+const normalizeFiles = (files) => (Array.isArray(files) ? files : [])
+  .filter((f) => f && f.url)
+  .map(({ url, name, type }) => ({ url, name, type }));
+
+// Freelancer submits work for review
+router.post('/gigs/:gigRefId/deliverables', authenticate, actingAs('body.freelancerId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { freelancerId, notes, links, files } = req.body;
+    if (!notes && !(Array.isArray(links) && links.length) && !(Array.isArray(files) && files.length)) {
+      return res.status(400).json({ message: 'A deliverable needs notes, links or files.' });
+    }
+
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.assignedFreelancerId !== freelancerId) {
+      return res.status(403).json({ message: 'Only the assigned freelancer can submit deliverables.' });
+    }
+    if (gig.status !== 'IN_PROGRESS') {
+      return res.status(403).json({ message: 'Deliverables can only be submitted for gigs in progress.' });
+    }
+    const latest = gig.deliverables[gig.deliverables.length - 1];
+    if (latest && latest.status !== 'REVISION_REQUESTED') {
+      return res.status(409).json({ message: latest.status === 'APPROVED' ? 'The work has already been approved.' : 'A submission is already awaiting review.' });
+    }
+
+    const deliverable = {
+      deliverableId: uuidv4(),
+      submittedBy: freelancerId,
+      notes,
+      links: Array.isArray(links) ? links.filter(Boolean) : [],
+      files: normalizeFiles(files),
+    };
+    gig.deliverables.push(deliverable);
+    await gig.save();
+    await publishDeliverableEvent(gigRefId, gig.deliverables[gig.deliverables.length - 1]);
+
+    res.status(201).json({ message: 'Deliverable submitted for review.', deliverable: gig.deliverables[gig.deliverables.length - 1] });
+  } catch (error) {
+    res.status(500).json({ message: 'Error submitting deliverable', error: error.toString() });
+  }
+});
+
+/**
+ * Client review of the latest deliverable. APPROVED unlocks escrow release,
+ * REVISION_REQUESTED lets the freelancer submit again.
+ */
+const reviewDeliverable = (status) => async (req, res) => {
+  try {
+    const { gigRefId, deliverableId } = req.params;
+    const { clientId, comment } = req.body;
+    if (status === 'REVISION_REQUESTED' && !comment) {
+      return res.status(400).json({ message: 'A comment is required when requesting revisions.' });
+    }
+
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can review deliverables.' });
+    }
+    const deliverable = gig.deliverables.find((d) => d.deliverableId === deliverableId);
+    if (!deliverable) {
+      return res.status(404).json({ message: 'Deliverable not found.' });
+    }
+    if (deliverable.status !== 'SUBMITTED') {
+      return res.status(409).json({ message: 'This deliverable has already been reviewed.' });
+    }
+
+    deliverable.status = status;
+    deliverable.review = { reviewedBy: clientId, comment, reviewedAt: new Date() };
+    await gig.save();
+    await publishDeliverableEvent(gigRefId, deliverable);
+
+    res.status(200).json({ message: status === 'APPROVED' ? 'Deliverable approved. Escrow can now be released.' : 'Revisions requested.', deliverable });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reviewing deliverable', error: error.toString() });
+  }
+};
+
+router.post('/gigs/:gigRefId/deliverables/:deliverableId/approve', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), reviewDeliverable('APPROVED'));
+router.post('/gigs/:gigRefId/deliverables/:deliverableId/request-revision', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), reviewDeliverable('REVISION_REQUESTED'));
+
+// =================================================================
+// --- MILESTONES (each milestone is funded and released through its own escrow instance) ---
+// =================================================================
+
+/**
+ * Loads a gig and one of its milestones for the acting party ('clientId' or 'assignedFreelancerId').
+ * Sends the 404/403 response itself and returns null when the caller may not act on it.
+ */
+const loadMilestoneForParty = async (req, res, partyField, actorId) => {
+  const { gigRefId, milestoneId } = req.params;
+  const gig = await Gig.findOne({ gigRefId });
+  if (!gig) {
+    res.status(404).json({ message: 'Gig not found.' });
+    return null;
+  }
+  if (gig[partyField] !== actorId) {
+    res.status(403).json({ message: partyField === 'clientId' ? 'Only the gig owner can manage milestones.' : 'Only the assigned freelancer can submit milestones.' });
+    return null;
+  }
+  const milestone = gig.milestones.find((m) => m.milestoneId === milestoneId);
+  if (!milestone) {
+    res.status(404).json({ message: 'Milestone not found.' });
+    return null;
+  }
+  return { gig, milestone };
+};
+
+const rejectUnlessStatus = (res, milestone, expected) => {
+  if (milestone.status === expected) return false;
+  res.status(409).json({ message: `Milestone is ${milestone.status}; expected ${expected}.` });
+  return true;
+};
+
+// Add milestones to a gig
+router.post('/gigs/:gigRefId/milestones', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { clientId, milestones } = req.body;
+    if (!Array.isArray(milestones) || milestones.length === 0) {
+      return res.status(400).json({ message: 'milestones must be a non-empty array.' });
+    }
+    for (const m of milestones) {
+      if (!m.title || !m.description || !(Number(m.amount) > 0)) {
+        return res.status(400).json({ message: 'Each milestone needs a title, description and a positive amount.' });
+      }
+      if (m.dueDate && isNaN(new Date(m.dueDate).getTime())) {
+        return res.status(400).json({ message: `Invalid dueDate for milestone "${m.title}".` });
+      }
+    }
+
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (gig.clientId !== clientId) {
+      return res.status(403).json({ message: 'Only the gig owner can manage milestones.' });
+    }
+    if (gig.status !== 'OPEN' && gig.status !== 'IN_PROGRESS') {
+      return res.status(403).json({ message: 'Milestones can only be added to open or in-progress gigs.' });
+    }
+
+    for (const m of milestones) {
+      gig.milestones.push({
+        milestoneId: uuidv4(),
+        title: m.title,
+        description: m.description,
+        amount: Number(m.amount),
+        dueDate: m.dueDate ? new Date(m.dueDate) : undefined,
+      });
+    }
+    await gig.save();
+    res.status(201).json({ message: 'Milestones added.', milestones: gig.milestones });
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding milestones', error: error.toString() });
+  }
+});
+
+// Prepare the escrow instance for a milestone (cached bytecode file + client-signed contract create)
+router.post('/gigs/:gigRefId/milestones/:milestoneId/prepare-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    if (rejectUnlessStatus(res, found.milestone, 'PENDING')) return;
+
+    const fileId = await getEscrowBytecodeFileId();
+    const contractCreateTx = await buildEscrowCreateTransaction(fileId, clientId);
+    const transactionId = await registerPreparedTransaction({
+      transaction: contractCreateTx,
+      kind: 'MILESTONE_ESCROW_CREATE',
+      payerAccountId: clientId,
+      gigRefId: req.params.gigRefId,
+      milestoneId: req.params.milestoneId,
+    });
+    const encodedContractTx = Buffer.from(contractCreateTx.toBytes()).toString('base64');
+    res.status(200).json({ encodedContractTx, transactionId });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing milestone escrow', error: error.toString() });
+  }
+});
+
+// Record the milestone's escrow instance once the contract create has executed
+router.post('/gigs/:gigRefId/milestones/:milestoneId/record-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId, transactionId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'PENDING')) return;
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'MILESTONE_ESCROW_CREATE', payerAccountId: clientId, ...req.params });
+    const escrowContractId = getCreatedContractId(verified);
+    await markTransactionsRecorded(verified);
+
+    milestone.escrowContractId = escrowContractId;
+    milestone.status = 'ESCROW_CREATED';
+    milestone.transactions.create = transactionId;
+    await gig.save();
+    await publishMilestoneEscrowEvent(gig.gigRefId, milestone, 'Created', transactionId);
+    res.status(200).json({ message: 'Milestone escrow recorded.', milestone });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording milestone escrow', error: error.toString() });
+  }
+});
+
+// Prepare initialization of the milestone's escrow: initEscrow(freelancer), as for single-escrow gigs
+router.post('/gigs/:gigRefId/milestones/:milestoneId/prepare-init-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (!gig.assignedFreelancerId) {
+      return res.status(409).json({ message: 'The gig has no assigned freelancer.' });
+    }
+    if (rejectUnlessStatus(res, milestone, 'ESCROW_CREATED')) return;
+
+    const freelancerEvmAddress = await resolveEvmAddress(gig.assignedFreelancerId);
+    const transaction = buildEscrowCallTransaction({
+      contractId: milestone.escrowContractId,
+      functionName: 'initEscrow',
+      payerAccountId: clientId,
+      functionParameters: new ContractFunctionParameters().addAddress(freelancerEvmAddress),
+    });
+    const transactionId = await registerPreparedTransaction({
+      transaction,
+      kind: 'MILESTONE_ESCROW_INIT',
+      payerAccountId: clientId,
+      ...req.params,
+      payload: { freelancerAccountId: gig.assignedFreelancerId, freelancerEvmAddress },
+    });
+    const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
+    res.status(200).json({ encodedTransaction, transactionId, freelancerEvmAddress });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing milestone escrow initialization', error: error.toString() });
+  }
+});
+
+// Record initialization of the milestone's escrow
+router.post('/gigs/:gigRefId/milestones/:milestoneId/record-init-escrow', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId, transactionId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'ESCROW_CREATED')) return;
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'MILESTONE_ESCROW_INIT', payerAccountId: clientId, ...req.params });
+    await markTransactionsRecorded(verified);
+
+    milestone.status = 'ESCROW_INITIALIZED';
+    milestone.transactions.init = transactionId;
+    await gig.save();
+    await publishMilestoneEscrowEvent(gig.gigRefId, milestone, 'Initialized', transactionId);
+    res.status(200).json({ message: 'Milestone escrow initialization recorded.', milestone });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording milestone escrow initialization', error: error.toString() });
+  }
+});
+
+// Prepare funding (lockFunds with the milestone amount)
+router.post('/gigs/:gigRefId/milestones/:milestoneId/prepare-funding', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (gig.status !== 'IN_PROGRESS') {
+      return res.status(403).json({ message: 'Milestones can only be funded once the gig is assigned.' });
+    }
+    if (rejectUnlessStatus(res, milestone, 'ESCROW_INITIALIZED')) return;
+
+    const transaction = buildEscrowCallTransaction({
+      contractId: milestone.escrowContractId,
+      functionName: 'lockFunds',
+      payerAccountId: clientId,
+      amount: milestone.amount,
+    });
+    const transactionId = await registerPreparedTransaction({ transaction, kind: 'MILESTONE_FUNDING', payerAccountId: clientId, ...req.params });
+    const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
+    res.status(200).json({ encodedTransaction, transactionId });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing milestone funding', error: error.toString() });
+  }
+});
+
+// Record funding
+router.post('/gigs/:gigRefId/milestones/:milestoneId/record-funding', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId, transactionId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'ESCROW_INITIALIZED')) return;
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'MILESTONE_FUNDING', payerAccountId: clientId, ...req.params });
+    await markTransactionsRecorded(verified);
+
+    milestone.status = 'FUNDED';
+    milestone.transactions.fund = transactionId;
+    await gig.save();
+    await publishMilestoneEscrowEvent(gig.gigRefId, milestone, 'Locked', transactionId);
+    res.status(200).json({ message: 'Milestone funding recorded.', milestone });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording milestone funding', error: error.toString() });
+  }
+});
+
+// Freelancer submits the milestone deliverable
+router.post('/gigs/:gigRefId/milestones/:milestoneId/submit', authenticate, actingAs('body.freelancerId'), async (req, res) => {
+  try {
+    const { freelancerId, notes } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'assignedFreelancerId', freelancerId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'FUNDED')) return;
+
+    milestone.status = 'SUBMITTED';
+    milestone.submission = { notes, submittedAt: new Date() };
+    await gig.save();
+    await publishDeliverableEvent(gig.gigRefId, { milestoneId: milestone.milestoneId, submittedBy: freelancerId, status: 'SUBMITTED' });
+    res.status(200).json({ message: 'Milestone submitted for approval.', milestone });
+  } catch (error) {
+    res.status(500).json({ message: 'Error submitting milestone', error: error.toString() });
+  }
+});
+
+// Client approves a submitted milestone (or sends it back to FUNDED for rework)
+router.post('/gigs/:gigRefId/milestones/:milestoneId/approve', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId, approved = true } = req.body;
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ message: 'approved must be a boolean.' });
+    }
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'SUBMITTED')) return;
+
+    if (approved) {
+      milestone.status = 'APPROVED';
+      milestone.approvedAt = new Date();
+    } else {
+      milestone.status = 'FUNDED';
+    }
+    await gig.save();
+    await publishDeliverableEvent(gig.gigRefId, {
+      milestoneId: milestone.milestoneId,
+      submittedBy: gig.assignedFreelancerId,
+      status: approved ? 'APPROVED' : 'REVISION_REQUESTED',
+    });
+    res.status(200).json({ message: approved ? 'Milestone approved.' : 'Milestone returned to the freelancer.', milestone });
+  } catch (error) {
+    res.status(500).json({ message: 'Error approving milestone', error: error.toString() });
+  }
+});
+
+// Prepare release of an approved milestone
+router.post('/gigs/:gigRefId/milestones/:milestoneId/prepare-release', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'APPROVED')) return;
+    // A dispute on the milestone or on the gig as a whole holds the release
+    if (await Dispute.exists({ gigRefId: req.params.gigRefId, milestoneId: { $in: [null, milestone.milestoneId] }, status: { $in: ['OPEN', 'RULING'] } })) {
+      return res.status(409).json({ message: 'This milestone has an open dispute; an arbiter must resolve it.' });
+    }
+
+    const transaction = buildEscrowCallTransaction({
+      contractId: milestone.escrowContractId,
+      functionName: 'releaseFunds',
+      payerAccountId: clientId,
+    });
+    const transactionId = await registerPreparedTransaction({ transaction, kind: 'MILESTONE_RELEASE', payerAccountId: clientId, ...req.params });
+    const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
+    res.status(200).json({ encodedTransaction, transactionId });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing milestone release', error: error.toString() });
+  }
+});
+
+// Record release; once every milestone is released or cancelled the gig completes, unless none was released
+router.post('/gigs/:gigRefId/milestones/:milestoneId/record-release', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+  try {
+    const { clientId, transactionId } = req.body;
+    const found = await loadMilestoneForParty(req, res, 'clientId', clientId);
+    if (!found) return;
+    const { gig, milestone } = found;
+    if (rejectUnlessStatus(res, milestone, 'APPROVED')) return;
+
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'MILESTONE_RELEASE', payerAccountId: clientId, ...req.params });
+    await markTransactionsRecorded(verified);
+
+    milestone.status = 'RELEASED';
+    milestone.releasedAt = new Date();
+    milestone.transactions.release = transactionId;
+
+    const settled = gig.milestones.every((m) => m.status === 'RELEASED' || m.status === 'CANCELLED');
+    const gigCompleted = settled && gig.milestones.some((m) => m.status === 'RELEASED');
+    if (settled) {
+      gig.status = gigCompleted ? 'COMPLETED' : 'CANCELLED';
+    }
+    await gig.save();
+    await publishMilestoneEscrowEvent(gig.gigRefId, milestone, 'Released', transactionId);
+    if (settled) await publishGigUpdatedEvent(gig.gigRefId);
+
+    if (gigCompleted && gig.assignedFreelancerId) {
+      await XP.findOneAndUpdate(
+        { userAccountId: gig.assignedFreelancerId },
+        { $inc: { xpPoints: GIG_COMPLETION_XP } },
+        { upsert: true, new: true }
+      );
+    }
+    res.status(200).json({ message: gigCompleted ? 'Final milestone released; gig completed.' : 'Milestone release recorded.', milestone, gigStatus: gig.status });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording milestone release', error: error.toString() });
+  }
+});
+
 // Public marketplace
 router.get('/gigs', async (req, res) => {
   try {
@@ -242,6 +841,9 @@ router.get('/gigs/:gigRefId', async (req, res) => {
   try {
     const { gigRefId } = req.params;
     const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
     const client = await Profile.findOne({ userAccountId: gig.clientId });
     const freelancer = await Profile.findOne({ userAccountId: gig.assignedFreelancerId });
     const invitation = await Invitation.findOne({ gigRefId: gig.gigRefId, freelancerId: gig.assignedFreelancerId });
@@ -249,8 +851,8 @@ router.get('/gigs/:gigRefId', async (req, res) => {
     if (invitation) {
       invitationStatus = invitation.status
     }
-    if (gig) return res.status(200).json({ ...gig.toObject(), client, freelancer, invitationStatus });
-    res.status(404).json({ message: 'Gig not found.' });
+    const escrow = await Escrow.findOne({ gigRefId });
+    res.status(200).json({ ...gig.toObject(), client, freelancer, invitationStatus, escrow });
   } catch (error) {
     console.log(error)
     res.status(500).json({ message: 'Error fetching gig', error: error.toString() });
@@ -1,18 +1,24 @@
 import express from 'express';
 import { Invitation, Gig, Profile } from '../db/models.js';
-import { sendEmail } from '../email_system/email_config.js';
+import { authenticate, actingAs, requirePermission } from '../middleware/auth.js';
+import { replacedBy } from '../middleware/deprecated.js';
+import { gigsTopicId } from '../utils/env.js';
+import { createHcsMessage } from '../utils/hcsMessages.js';
+import { prepareTopicMessage, verifyPreparedTransaction, markTransactionsRecorded } from '../services/transactionVerification.service.js';
+import { publishInvitationEvent } from '../services/events.service.js';
 
 const router = express.Router();
 
 // =================================================================
 // --- INVITATION ENDPOINTS (For Private Gigs) ---
+// Invitations and responses are INVITATION_* messages on the gigs topic (prepare-*, then record-*)
 // =================================================================
 
 /**
- * POST /invitations/send
- * Client invites a freelancer to a private gig
+ * POST /invitations/prepare-send
+ * Client invites a freelancer to a private gig: prepares the INVITATION_SEND message for the client to sign
  */
-router.post('/send', async (req, res) => {
+router.post('/prepare-send', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
     try {
         const { gigRefId, freelancerId, message, clientId } = req.body;
 
@@ -50,39 +56,71 @@ router.post('/send', async (req, res) => {
             return res.status(404).json({ message: 'Freelancer not found.' });
         }
 
-        // Create invitation
-        const invitation = await Invitation.create({
-            gigRefId,
-            freelancerId,
-            message,
-            status: 'PENDING'
+        const invitationData = createHcsMessage('INVITATION_SEND', { gigRefId, freelancerId, clientId, message, timestamp: new Date().toISOString() });
+        const { encodedTransaction, transactionId } = await prepareTopicMessage({
+            topicId: gigsTopicId,
+            message: invitationData,
+            kind: 'INVITATION_SEND',
+            payerAccountId: clientId,
+            gigRefId
         });
 
-        // Send email notification to freelancer
-        const client = await Profile.findOne({ userAccountId: clientId });
-        
-        if (freelancer && client) {
-            await sendEmail({
-                to: freelancer.email,
-                subject: `You've been invited to work on "${gig.title}"`,
-                template: 'invitation_notification.ejs',
-                data: {
-                    freelancerName: freelancer.name,
-                    clientName: client.name,
-                    gigTitle: gig.title,
-                    gigDescription: gig.description,
-                    budget: gig.budget,
-                    message: message || 'No additional message',
-                    actionUrl: `https://frontendurl/invitations/${invitation._id}`
-                }
-            }).catch(err => console.error('Email error:', err));
+        res.status(200).json({ encodedTransaction, transactionId, invitationData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error preparing invitation:', error);
+        res.status(500).json({ message: 'Error preparing invitation', error: error.toString() });
+    }
+});
+
+/**
+ * POST /invitations/send
+ * Removed: invitations are signed by the client's wallet (410, pointing to prepare-send)
+ */
+router.post('/send', replacedBy('prepare-send', 'record-send'));
+
+/**
+ * POST /invitations/record-send
+ * Stores the invitation once the mirror node confirms its HCS message
+ * Body: { clientId, transactionId }
+ */
+router.post('/record-send', authenticate, requirePermission('gigs:manage'), actingAs('body.clientId'), async (req, res) => {
+    try {
+        const { clientId, transactionId } = req.body;
+
+        const verified = await verifyPreparedTransaction({ transactionId, kind: 'INVITATION_SEND', payerAccountId: clientId });
+        const { gigRefId, freelancerId, message, timestamp } = verified.prepared.payload;
+
+        // The HCS sync may already have stored this very message; only another invitation conflicts
+        const hcsSequenceNumber = verified.topicMessage.sequence_number;
+        const existingInvitation = await Invitation.findOne({ gigRefId, freelancerId });
+        if (existingInvitation && existingInvitation.hcsSequenceNumber !== hcsSequenceNumber) {
+            return res.status(409).json({ message: 'Invitation already sent to this freelancer.' });
+        }
+        await markTransactionsRecorded(verified);
+
+        const { value: invitation, lastErrorObject } = await Invitation.findOneAndUpdate(
+            { gigRefId, freelancerId },
+            {
+                $setOnInsert: { message, status: 'PENDING', invitedAt: new Date(timestamp) },
+                $set: { hcsSequenceNumber }
+            },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!lastErrorObject?.updatedExisting) {
+            await publishInvitationEvent(invitation);
         }
 
-        res.status(201).json({ 
+        res.status(201).json({
             message: 'Invitation sent successfully.',
-            invitation 
+            invitation
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error sending invitation:', error);
         res.status(500).json({ message: 'Error sending invitation', error: error.toString() });
     }
@@ -92,7 +130,7 @@ router.post('/send', async (req, res) => {
  * GET /invitations/gig/:gigRefId
  * Get all invitations for a specific gig (client only)
  */
-router.get('/gig/:gigRefId', async (req, res) => {
+router.get('/gig/:gigRefId', authenticate, requirePermission('gigs:manage'), actingAs('query.clientId'), async (req, res) => {
     try {
         const { gigRefId } = req.params;
         const { clientId } = req.query;
@@ -163,94 +201,152 @@ router.get('/freelancer/:freelancerId', async (req, res) => {
 });
 
 /**
- * POST /invitations/:invitationId/accept
- * Freelancer accepts an invitation
+ * Loads a pending invitation for a response by its freelancer, or sends the error response.
+ * @returns {Promise<Object|null>}
+ */
+const loadPendingInvitation = async (req, res) => {
+    const invitation = await Invitation.findById(req.params.invitationId);
+    if (!invitation) {
+        res.status(404).json({ message: 'Invitation not found.' });
+        return null;
+    }
+
+    if (invitation.freelancerId !== req.body.freelancerId) {
+        res.status(403).json({ message: 'This invitation is not for you.' });
+        return null;
+    }
+
+    if (invitation.status !== 'PENDING') {
+        res.status(400).json({ message: 'This invitation has already been responded to.' });
+        return null;
+    }
+    return invitation;
+};
+
+/**
+ * Prepares the INVITATION_ACCEPT or INVITATION_REJECT message for the freelancer to sign.
+ * @param {'INVITATION_ACCEPT'|'INVITATION_REJECT'} type
  */
-router.post('/:invitationId/accept', async (req, res) => {
+const prepareInvitationResponse = (type) => async (req, res) => {
+    const action = type === 'INVITATION_ACCEPT' ? 'accept' : 'reject';
     try {
-        const { invitationId } = req.params;
         const { freelancerId } = req.body;
-
-        const invitation = await Invitation.findById(invitationId);
-        if (!invitation) {
-            return res.status(404).json({ message: 'Invitation not found.' });
+        const invitation = await loadPendingInvitation(req, res);
+        if (!invitation) return;
+
+        if (type === 'INVITATION_ACCEPT') {
+            // Verify gig is still open
+            const gig = await Gig.findOne({ gigRefId: invitation.gigRefId });
+            if (!gig || gig.status !== 'OPEN') {
+                return res.status(403).json({ message: 'This gig is no longer available.' });
+            }
         }
 
-        if (invitation.freelancerId !== freelancerId) {
-            return res.status(403).json({ message: 'This invitation is not for you.' });
-        }
+        const responseData = createHcsMessage(type, {
+            gigRefId: invitation.gigRefId,
+            freelancerId,
+            timestamp: new Date().toISOString()
+        });
+        const { encodedTransaction, transactionId } = await prepareTopicMessage({
+            topicId: gigsTopicId,
+            message: responseData,
+            kind: type,
+            payerAccountId: freelancerId,
+            gigRefId: invitation.gigRefId
+        });
 
-        if (invitation.status !== 'PENDING') {
-            return res.status(400).json({ message: 'This invitation has already been responded to.' });
+        res.status(200).json({ encodedTransaction, transactionId, responseData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
         }
+        console.error(`Error preparing to ${action} invitation:`, error);
+        res.status(500).json({ message: `Error preparing to ${action} invitation`, error: error.toString() });
+    }
+};
 
-        // Verify gig is still open
-        const gig = await Gig.findOne({ gigRefId: invitation.gigRefId });
-        if (!gig || gig.status !== 'OPEN') {
-            return res.status(403).json({ message: 'This gig is no longer available.' });
-        }
+/**
+ * POST /invitations/:invitationId/prepare-accept
+ * Freelancer accepts an invitation
+ * Body: { freelancerId }
+ */
+router.post('/:invitationId/prepare-accept', authenticate, requirePermission('invitations:respond'), actingAs('body.freelancerId'), prepareInvitationResponse('INVITATION_ACCEPT'));
+
+/**
+ * POST /invitations/:invitationId/accept
+ * Removed: answers 410, pointing to prepare-accept
+ */
+router.post('/:invitationId/accept', replacedBy('prepare-accept', 'record-accept'));
+
+/**
+ * POST /invitations/:invitationId/record-accept
+ * Records the acceptance once confirmed on HCS
+ * Body: { freelancerId, transactionId }
+ */
+router.post('/:invitationId/record-accept', authenticate, requirePermission('invitations:respond'), actingAs('body.freelancerId'), async (req, res) => {
+    try {
+        const { freelancerId, transactionId } = req.body;
+        const invitation = await loadPendingInvitation(req, res);
+        if (!invitation) return;
+
+        const verified = await verifyPreparedTransaction({ transactionId, kind: 'INVITATION_ACCEPT', payerAccountId: freelancerId, gigRefId: invitation.gigRefId });
+        await markTransactionsRecorded(verified);
 
         // Update invitation status
         invitation.status = 'ACCEPTED';
         await invitation.save();
+        await publishInvitationEvent(invitation);
 
-        // Send notification to client
-        const client = await Profile.findOne({ userAccountId: gig.clientId });
-        const freelancer = await Profile.findOne({ userAccountId: freelancerId });
-        
-        if (client && freelancer) {
-            await sendEmail({
-                to: client.email,
-                subject: `${freelancer.name} accepted your invitation for "${gig.title}"`,
-                template: 'invitation_accepted.ejs',
-                data: {
-                    clientName: client.name,
-                    freelancerName: freelancer.name,
-                    gigTitle: gig.title,
-                    gigRefId: gig.gigRefId,
-                    actionUrl: `https://frontendurl/gigs/${gig.gigRefId}`
-                }
-            }).catch(err => console.error('Email error:', err));
-        }
-
-        res.status(200).json({ 
+        res.status(200).json({
             message: 'Invitation accepted. The client can now proceed with assignment.',
             gigRefId: invitation.gigRefId
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error accepting invitation:', error);
         res.status(500).json({ message: 'Error accepting invitation', error: error.toString() });
     }
 });
 
 /**
- * POST /invitations/:invitationId/reject
+ * POST /invitations/:invitationId/prepare-reject
  * Freelancer rejects an invitation
+ * Body: { freelancerId }
  */
-router.post('/:invitationId/reject', async (req, res) => {
-    try {
-        const { invitationId } = req.params;
-        const { freelancerId } = req.body;
+router.post('/:invitationId/prepare-reject', authenticate, requirePermission('invitations:respond'), actingAs('body.freelancerId'), prepareInvitationResponse('INVITATION_REJECT'));
 
-        const invitation = await Invitation.findById(invitationId);
-        if (!invitation) {
-            return res.status(404).json({ message: 'Invitation not found.' });
-        }
+/**
+ * POST /invitations/:invitationId/reject
+ * Removed: answers 410, pointing to prepare-reject
+ */
+router.post('/:invitationId/reject', replacedBy('prepare-reject', 'record-reject'));
 
-        if (invitation.freelancerId !== freelancerId) {
-            return res.status(403).json({ message: 'This invitation is not for you.' });
-        }
+/**
+ * POST /invitations/:invitationId/record-reject
+ * Records the rejection once confirmed on HCS
+ * Body: { freelancerId, transactionId }
+ */
+router.post('/:invitationId/record-reject', authenticate, requirePermission('invitations:respond'), actingAs('body.freelancerId'), async (req, res) => {
+    try {
+        const { freelancerId, transactionId } = req.body;
+        const invitation = await loadPendingInvitation(req, res);
+        if (!invitation) return;
 
-        if (invitation.status !== 'PENDING') {
-            return res.status(400).json({ message: 'This invitation has already been responded to.' });
-        }
+        const verified = await verifyPreparedTransaction({ transactionId, kind: 'INVITATION_REJECT', payerAccountId: freelancerId, gigRefId: invitation.gigRefId });
+        await markTransactionsRecorded(verified);
 
         // Update invitation status
         invitation.status = 'REJECTED';
         await invitation.save();
+        await publishInvitationEvent(invitation);
 
         res.status(200).json({ message: 'Invitation rejected.' });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error rejecting invitation:', error);
         res.status(500).json({ message: 'Error rejecting invitation', error: error.toString() });
     }
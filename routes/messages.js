@@ -1,11 +1,24 @@
 import express from 'express';
 import { Message, Gig } from '../db/models.js';
-import { TopicMessageSubmitTransaction, TransactionId, Client } from '@hashgraph/sdk';
-import { profileTopicId } from '../utils/env.js';
+import { messagesTopicId } from '../utils/env.js';
+import { authenticate, actingAs } from '../middleware/auth.js';
+import { createHcsMessage } from '../utils/hcsMessages.js';
+import { prepareTopicMessage, verifyPreparedTransaction, markTransactionsRecorded } from '../services/transactionVerification.service.js';
+import {
+  recordChatMessage,
+  CHAT_ORDER,
+  getChatParticipants,
+  getChatKeyStatus,
+  getParticipantPublicKeys,
+  getChatKeyEnvelopes,
+  storeChatKey,
+  requireCurrentChatKey,
+} from '../services/chat.service.js';
+import { publishGigEvent } from '../services/events.service.js';
 
 const router = express.Router();
 
-// Get the message history for a specific gig
+// Get the message history for a specific gig, in consensus order
 router.get('/gigs/:gigRefId/messages', async (req, res) => {
   try {
     const { gigRefId } = req.params;
@@ -13,36 +26,128 @@ router.get('/gigs/:gigRefId/messages', async (req, res) => {
     if (!gig) {
       return res.status(404).json({ message: 'Gig not found.' });
     }
-    const gigMessages = await Message.find({ gigRefId }).sort({ timestamp: 1 });
+    const gigMessages = await Message.find({ gigRefId }).sort(CHAT_ORDER);
     res.status(200).json(gigMessages);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching messages', error: error.toString() });
   }
 });
 
-// Post a message to a gig (prepares HCS submit)
-router.post('/gigs/:gigRefId/message', async (req, res) => {
+// Chat key status of a gig, the participants' public keys to wrap a new key with, and the caller's key envelopes
+router.get('/gigs/:gigRefId/chat-keys', authenticate, async (req, res) => {
   try {
     const { gigRefId } = req.params;
-    const { message, senderId } = req.body;
     const gig = await Gig.findOne({ gigRefId });
     if (!gig) {
       return res.status(404).json({ message: 'Gig not found.' });
     }
-    const newMessage = new Message({ gigRefId, senderId, content: message, timestamp: new Date() });
-    await newMessage.save();
+    const accountId = req.user.userAccountId;
+    const envelopes = await getChatKeyEnvelopes(gigRefId, accountId);
+    if (!getChatParticipants(gig).includes(accountId) && envelopes.length === 0) {
+      return res.status(403).json({ message: 'Only participants of this gig can read its chat keys.' });
+    }
+
+    const { currentKeyVersion, rotationRequired } = await getChatKeyStatus(gig);
+    const participants = await getParticipantPublicKeys(gig);
+    res.status(200).json({ currentKeyVersion, rotationRequired, participants, envelopes });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching chat keys', error: error.toString() });
+  }
+});
+
+// Store a new chat key version, wrapped by the sender's client for every current participant
+router.post('/gigs/:gigRefId/chat-keys', authenticate, actingAs('body.senderId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { senderId, keyVersion, algorithm, envelopes } = req.body;
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (!getChatParticipants(gig).includes(senderId)) {
+      return res.status(403).json({ message: 'Only participants of this gig can store chat keys.' });
+    }
+
+    const chatKey = await storeChatKey(gig, { keyVersion, algorithm, envelopes, createdBy: senderId });
+    res.status(201).json({ message: 'Chat key stored.', keyVersion: chatKey.keyVersion, participants: chatKey.participants });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error storing chat key', error: error.toString() });
+  }
+});
 
-    const messageCreateTransaction = new TopicMessageSubmitTransaction({
-      topicId: profileTopicId,
-      message: JSON.stringify(newMessage),
-      transactionId: TransactionId.generate(senderId),
-    }).setTransactionId(TransactionId.generate(senderId));
+// Prepare a chat message: a GIG_MESSAGE on the messages topic, signed and paid by the sender.
+// content is the ciphertext (base64) under the current chat key; the server never sees the plaintext.
+router.post('/gigs/:gigRefId/prepare-message', authenticate, actingAs('body.senderId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { senderId, content, iv, keyVersion } = req.body;
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (!getChatParticipants(gig).includes(senderId)) {
+      return res.status(403).json({ message: 'Only participants of this gig can post messages.' });
+    }
+    if (!Number.isInteger(keyVersion) || keyVersion < 1 || !iv) {
+      return res.status(400).json({ message: 'Messages must be encrypted: keyVersion and iv are required.' });
+    }
+    await requireCurrentChatKey(gig, keyVersion);
+
+    const messageData = createHcsMessage('GIG_MESSAGE', { gigRefId, senderId, content, keyVersion, iv, timestamp: new Date().toISOString() });
+    const { encodedTransaction, transactionId } = await prepareTopicMessage({
+      topicId: messagesTopicId,
+      message: messageData,
+      kind: 'GIG_MESSAGE',
+      payerAccountId: senderId,
+      gigRefId,
+    });
+    res.status(200).json({ encodedTransaction, transactionId, messageData });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing message', error: error.toString() });
+  }
+});
+
+// The message is stored, with its sequence number and consensus timestamp, once the mirror node confirms it
+router.post('/gigs/:gigRefId/record-message', authenticate, actingAs('body.senderId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { senderId, transactionId } = req.body;
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'GIG_MESSAGE', payerAccountId: senderId, gigRefId });
+    await markTransactionsRecorded(verified);
+
+    const message = await recordChatMessage(verified.prepared.payload, verified.topicMessage);
+    res.status(201).json({ message: 'Message recorded.', chatMessage: message });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording message', error: error.toString() });
+  }
+});
+
+// Typing indicator, delivered to the other participant over the events stream; nothing is stored
+router.post('/gigs/:gigRefId/typing', authenticate, actingAs('body.senderId'), async (req, res) => {
+  try {
+    const { gigRefId } = req.params;
+    const { senderId } = req.body;
+    const gig = await Gig.findOne({ gigRefId });
+    if (!gig) {
+      return res.status(404).json({ message: 'Gig not found.' });
+    }
+    if (!getChatParticipants(gig).includes(senderId)) {
+      return res.status(403).json({ message: 'Only participants of this gig can post messages.' });
+    }
 
-    const messageCreateTransactionBytes = messageCreateTransaction.toBytes();
-    const messageCreateTransactionBase64 = Buffer.from(messageCreateTransactionBytes).toString('base64');
-    res.status(200).json({ messageCreateTransactionBase64 });
+    await publishGigEvent('typing', gigRefId, { accountId: senderId }, { exclude: [senderId] });
+    res.status(202).json({ message: 'Typing indicator sent.' });
   } catch (error) {
-    res.status(500).json({ message: 'Error sending message', error: error.toString() });
+    res.status(500).json({ message: 'Error sending typing indicator', error: error.toString() });
   }
 });
 
@@ -0,0 +1,132 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { Notification } from '../db/models.js';
+import { authenticate } from '../middleware/auth.js';
+import { getNotificationPreferences, updateNotificationPreferences } from '../services/notification.service.js';
+
+const router = express.Router();
+
+/**
+ * GET /notifications
+ * The caller's notifications, newest first, with their unread count
+ * Query params: unread (true: unread only), before (ISO date, for the next page), limit (default: 20, max: 100)
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { unread, before, limit = 20 } = req.query;
+        const recipientId = req.user.userAccountId;
+
+        const query = { recipientId };
+        if (unread === 'true') query.readAt = null;
+        if (before) {
+            const date = new Date(before);
+            if (isNaN(date)) {
+                return res.status(400).json({ message: 'before must be a date.' });
+            }
+            query.createdAt = { $lt: date };
+        }
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .sort({ createdAt: -1 })
+                .limit(Math.min(parseInt(limit) || 20, 100)),
+            Notification.countDocuments({ recipientId, readAt: null })
+        ]);
+
+        res.status(200).json({ unreadCount, notifications });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Error fetching notifications', error: error.toString() });
+    }
+});
+
+/**
+ * GET /notifications/unread-count
+ * Number of unread notifications of the caller
+ */
+router.get('/unread-count', authenticate, async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ recipientId: req.user.userAccountId, readAt: null });
+        res.status(200).json({ unreadCount });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        res.status(500).json({ message: 'Error counting notifications', error: error.toString() });
+    }
+});
+
+/**
+ * POST /notifications/read-all
+ * Marks all the caller's notifications as read
+ */
+router.post('/read-all', authenticate, async (req, res) => {
+    try {
+        const { modifiedCount } = await Notification.updateMany(
+            { recipientId: req.user.userAccountId, readAt: null },
+            { readAt: new Date() }
+        );
+        res.status(200).json({ message: 'All notifications marked as read.', updated: modifiedCount });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ message: 'Error marking notifications as read', error: error.toString() });
+    }
+});
+
+/**
+ * GET /notifications/preferences
+ * Delivery channel (in_app, email or both) of every notification type for the caller
+ */
+router.get('/preferences', authenticate, async (req, res) => {
+    try {
+        const preferences = await getNotificationPreferences(req.user.userAccountId);
+        res.status(200).json({ preferences });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Error fetching notification preferences', error: error.toString() });
+    }
+});
+
+/**
+ * PUT /notifications/preferences
+ * Changes the delivery channel of some notification types
+ * Body: { preferences: { APPLICATION_RECEIVED: 'email', NEW_MESSAGE: 'in_app', ... } }
+ */
+router.put('/preferences', authenticate, async (req, res) => {
+    try {
+        const preferences = await updateNotificationPreferences(req.user.userAccountId, req.body.preferences);
+        res.status(200).json({ message: 'Notification preferences updated.', preferences });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ message: 'Error updating notification preferences', error: error.toString() });
+    }
+});
+
+/**
+ * POST /notifications/:notificationId/read
+ * Marks one of the caller's notifications as read
+ */
+router.post('/:notificationId/read', authenticate, async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+        if (!mongoose.isValidObjectId(notificationId)) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+
+        const notification = await Notification.findOne({ _id: notificationId, recipientId: req.user.userAccountId });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found.' });
+        }
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        res.status(200).json({ message: 'Notification marked as read.', notification });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ message: 'Error marking notification as read', error: error.toString() });
+    }
+});
+
+export default router;
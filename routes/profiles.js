@@ -1,8 +1,12 @@
 import express from 'express';
 import { PrivateKey, AccountCreateTransaction, Hbar, TopicMessageSubmitTransaction, Client, TransactionId } from '@hashgraph/sdk';
-import { Profile, Gig } from '../db/models.js';
+import { Profile, Gig, ProfileHistory } from '../db/models.js';
 import { profileTopicId } from '../utils/env.js';
 import { platformClient } from '../utils/hederaClient.js';
+import { authenticate, authenticateAccount, actingAs } from '../middleware/auth.js';
+import { registerPreparedTransaction, prepareTopicMessage, verifyPreparedTransaction, markTransactionsRecorded } from '../services/transactionVerification.service.js';
+import { applyProfileMessage } from '../services/profile.service.js';
+import { createHcsMessage, PROFILE_UPDATE_FIELDS } from '../utils/hcsMessages.js';
 
 const router = express.Router();
 
@@ -30,14 +34,21 @@ router.post('/users/create-account', async (req, res) => {
   }
 });
 
-router.post('/users/prepare-profile-creation', async (req, res) => {
+router.post('/users/prepare-profile-creation', authenticateAccount, actingAs('body.accountId'), async (req, res) => {
   try {
     const { accountId, name, skills, portfolioUrl, email, profileType } = req.body;
     if (!accountId || !name || !skills || !email || !profileType) {
       return res.status(400).json({ message: 'All profile fields are required.' });
     }
 
-    const profileData = { type: 'PROFILE_CREATE', userAccountId: accountId, name, skills, portfolioUrl, email, profileType };
+    const profileData = createHcsMessage('PROFILE_CREATE', {
+      userAccountId: accountId,
+      name,
+      skills: Array.isArray(skills) ? skills : [skills],
+      portfolioUrl,
+      email,
+      profileType,
+    });
     const transaction = new TopicMessageSubmitTransaction({
       topicId: profileTopicId,
       message: JSON.stringify(profileData),
@@ -46,30 +57,83 @@ router.post('/users/prepare-profile-creation', async (req, res) => {
       .setTransactionId(TransactionId.generate(accountId))
       .freezeWith(Client.forTestnet());
 
+    const transactionId = await registerPreparedTransaction({ transaction, kind: 'PROFILE_CREATE', payerAccountId: accountId, payload: profileData });
+
     const encodedTransaction = Buffer.from(transaction.toBytes()).toString('base64');
-    res.status(200).json({ encodedTransaction, profileData });
+    res.status(200).json({ encodedTransaction, transactionId, profileData });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error preparing profile transaction', error: error.toString() });
   }
 });
 
-router.post('/users/record-profile-creation', async (req, res) => {
+// The profile is stored as prepared, once the mirror node confirms the HCS message
+router.post('/users/record-profile-creation', authenticateAccount, actingAs('body.accountId'), async (req, res) => {
   try {
-    const { profileData } = req.body;
-    if (!profileData || !profileData.userAccountId) {
-      return res.status(400).json({ message: 'Profile data is required.' });
-    }
-    await Profile.findOneAndUpdate(
-      { userAccountId: profileData.userAccountId },
-      profileData,
-      { upsert: true, new: true }
-    );
+    const { accountId, transactionId } = req.body;
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'PROFILE_CREATE', payerAccountId: accountId });
+    await markTransactionsRecorded(verified);
+
+    await applyProfileMessage(verified.prepared.payload, verified.topicMessage);
     res.status(201).json({ message: 'Profile successfully recorded.' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error recording profile', error: error.toString() });
   }
 });
 
+// Prepare a partial profile update: only the given fields (name, skills, portfolioUrl, email) change
+router.post('/users/prepare-profile-update', authenticate, actingAs('body.accountId'), async (req, res) => {
+  try {
+    const { accountId } = req.body;
+    const profile = await Profile.findOne({ userAccountId: accountId });
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found for this account.' });
+    }
+
+    const changes = Object.fromEntries(PROFILE_UPDATE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]]));
+    if (typeof changes.skills === 'string') {
+      changes.skills = [changes.skills];
+    }
+    const profileData = createHcsMessage('PROFILE_UPDATE', { userAccountId: accountId, ...changes, timestamp: new Date().toISOString() });
+
+    const { encodedTransaction, transactionId } = await prepareTopicMessage({
+      topicId: profileTopicId,
+      message: profileData,
+      kind: 'PROFILE_UPDATE',
+      payerAccountId: accountId,
+    });
+    res.status(200).json({ encodedTransaction, transactionId, profileData });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error preparing profile update', error: error.toString() });
+  }
+});
+
+// The update is merged into the profile once the mirror node confirms the HCS message
+router.post('/users/record-profile-update', authenticate, actingAs('body.accountId'), async (req, res) => {
+  try {
+    const { accountId, transactionId } = req.body;
+    const verified = await verifyPreparedTransaction({ transactionId, kind: 'PROFILE_UPDATE', payerAccountId: accountId });
+    await markTransactionsRecorded(verified);
+
+    await applyProfileMessage(verified.prepared.payload, verified.topicMessage);
+    const profile = await Profile.findOne({ userAccountId: accountId });
+    res.status(200).json({ message: 'Profile update recorded.', profile });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error recording profile update', error: error.toString() });
+  }
+});
+
 // Endpoint to fetch all gigs a specific user is involved in (for their dashboard)
 router.get('/users/:accountId/gigs', async (req, res) => {
   try {
@@ -100,4 +164,15 @@ router.get('/users/profile/:accountId', async (req, res) => {
   }
 });
 
+// Get the history of a user's profile: its creation and updates, in topic order
+router.get('/users/profile/:accountId/history', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const history = await ProfileHistory.find({ userAccountId: accountId }).sort({ sequenceNumber: 1 });
+    res.status(200).json(history);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching profile history', error: error.toString() });
+  }
+});
+
 export default router;
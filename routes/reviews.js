@@ -1,17 +1,25 @@
 import express from 'express';
 import { Review, Gig, Profile } from '../db/models.js';
+import { authenticate, actingAs } from '../middleware/auth.js';
+import { replacedBy } from '../middleware/deprecated.js';
+import { gigsTopicId } from '../utils/env.js';
+import { createHcsMessage } from '../utils/hcsMessages.js';
+import { resolveReviewee } from '../utils/reviews.js';
+import { prepareTopicMessage, verifyPreparedTransaction, markTransactionsRecorded } from '../services/transactionVerification.service.js';
+import { publishReviewEvent } from '../services/events.service.js';
 
 const router = express.Router();
 
 // =================================================================
 // --- REVIEW ENDPOINTS ---
+// Reviews are REVIEW_CREATE messages on the gigs topic (prepare-submit, then record-submit)
 // =================================================================
 
 /**
- * POST /reviews/submit
- * Submit a review after gig completion
+ * POST /reviews/prepare-submit
+ * Submit a review after gig completion: prepares the REVIEW_CREATE message for the reviewer to sign
  */
-router.post('/submit', async (req, res) => {
+router.post('/prepare-submit', authenticate, actingAs('body.reviewerId'), async (req, res) => {
     try {
         const { gigRefId, reviewerId, rating, comment } = req.body;
 
@@ -34,18 +42,8 @@ router.post('/submit', async (req, res) => {
         }
 
         // Determine reviewer type and reviewee
-        let reviewType;
-        let revieweeId;
-
-        if (reviewerId === gig.clientId) {
-            // Client reviewing freelancer
-            reviewType = 'CLIENT_TO_FREELANCER';
-            revieweeId = gig.assignedFreelancerId;
-        } else if (reviewerId === gig.assignedFreelancerId) {
-            // Freelancer reviewing client
-            reviewType = 'FREELANCER_TO_CLIENT';
-            revieweeId = gig.clientId;
-        } else {
+        const reviewee = resolveReviewee(gig, reviewerId);
+        if (!reviewee) {
             return res.status(403).json({ message: 'Only participants of this gig can submit reviews.' });
         }
 
@@ -55,22 +53,79 @@ router.post('/submit', async (req, res) => {
             return res.status(409).json({ message: 'You have already reviewed this gig.' });
         }
 
-        // Create review
-        const review = await Review.create({
+        const reviewData = createHcsMessage('REVIEW_CREATE', {
             gigRefId,
             reviewerId,
-            //self review for quick debugging
-            revieweeId: revieweeId || reviewerId,
-            rating,
+            revieweeId: reviewee.revieweeId,
+            rating: Number(rating),
             comment,
-            reviewType
+            reviewType: reviewee.reviewType,
+            timestamp: new Date().toISOString()
+        });
+        const { encodedTransaction, transactionId } = await prepareTopicMessage({
+            topicId: gigsTopicId,
+            message: reviewData,
+            kind: 'REVIEW_CREATE',
+            payerAccountId: reviewerId,
+            gigRefId
         });
 
+        res.status(200).json({ encodedTransaction, transactionId, reviewData });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error preparing review:', error);
+        res.status(500).json({ message: 'Error preparing review', error: error.toString() });
+    }
+});
+
+/**
+ * POST /reviews/submit
+ * Removed: reviews are signed by the reviewer's wallet (410, pointing to prepare-submit)
+ */
+router.post('/submit', replacedBy('prepare-submit', 'record-submit'));
+
+/**
+ * POST /reviews/record-submit
+ * Stores the review once the mirror node confirms its HCS message
+ * Body: { reviewerId, transactionId }
+ */
+router.post('/record-submit', authenticate, actingAs('body.reviewerId'), async (req, res) => {
+    try {
+        const { reviewerId, transactionId } = req.body;
+
+        const verified = await verifyPreparedTransaction({ transactionId, kind: 'REVIEW_CREATE', payerAccountId: reviewerId });
+        const { gigRefId, revieweeId, rating, comment, reviewType } = verified.prepared.payload;
+
+        // The HCS sync may already have stored this very message; only another review conflicts
+        const hcsSequenceNumber = verified.topicMessage.sequence_number;
+        const existingReview = await Review.findOne({ gigRefId, reviewerId });
+        if (existingReview && existingReview.hcsSequenceNumber !== hcsSequenceNumber) {
+            return res.status(409).json({ message: 'You have already reviewed this gig.' });
+        }
+        await markTransactionsRecorded(verified);
+
+        const { value: review, lastErrorObject } = await Review.findOneAndUpdate(
+            { gigRefId, reviewerId },
+            {
+                $setOnInsert: { revieweeId, rating, comment, reviewType },
+                $set: { hcsSequenceNumber }
+            },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!lastErrorObject?.updatedExisting) {
+            await publishReviewEvent(review);
+        }
+
         res.status(201).json({
             message: 'Review submitted successfully.',
             review
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('Error submitting review:', error);
         res.status(500).json({ message: 'Error submitting review', error: error.toString() });
     }
@@ -3,11 +3,12 @@ import { TokenAssociateTransaction, TokenMintTransaction, TransferTransaction }
 import { Reward, XP } from '../db/models.js';
 import { platformClient, myAccountId } from '../utils/hederaClient.js';
 import { rewardTiers } from '../services/rewards.service.js';
+import { authenticate, actingAs } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Prepare association
-router.post('/rewards/prepare-association', async (req, res) => {
+router.post('/rewards/prepare-association', authenticate, actingAs('body.accountId'), async (req, res) => {
   try {
     const { accountId, rewardId } = req.body;
     const tier = rewardTiers[rewardId];
@@ -31,7 +32,7 @@ router.post('/rewards/prepare-association', async (req, res) => {
 });
 
 // Mint and transfer (platform-paid)
-router.post('/rewards/mint-and-transfer', async (req, res) => {
+router.post('/rewards/mint-and-transfer', authenticate, actingAs('body.accountId'), async (req, res) => {
   try {
     const { accountId, rewardId } = req.body;
     const tier = rewardTiers[rewardId];
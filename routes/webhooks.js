@@ -0,0 +1,178 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticate } from '../middleware/auth.js';
+import {
+    WEBHOOK_EVENTS,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    pingWebhook,
+    listWebhookDeliveries,
+    redeliverWebhook
+} from '../services/webhook.service.js';
+
+const router = express.Router();
+
+// Unknown IDs are answered like missing webhooks and deliveries
+const requireValidIds = (req, res, next) => {
+    const { webhookId, deliveryId } = req.params;
+    if (!mongoose.isValidObjectId(webhookId)) {
+        return res.status(404).json({ message: 'Webhook not found.' });
+    }
+    if (deliveryId !== undefined && !mongoose.isValidObjectId(deliveryId)) {
+        return res.status(404).json({ message: 'Delivery not found.' });
+    }
+    next();
+};
+
+/**
+ * GET /webhooks/events
+ * Event names webhooks can subscribe to
+ */
+router.get('/events', authenticate, (req, res) => {
+    res.status(200).json({ events: WEBHOOK_EVENTS });
+});
+
+/**
+ * GET /webhooks
+ * The caller's webhooks (without their secrets)
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const webhooks = await listWebhooks(req.user.userAccountId);
+        res.status(200).json({ webhooks });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ message: 'Error fetching webhooks', error: error.toString() });
+    }
+});
+
+/**
+ * POST /webhooks
+ * Registers a webhook; the response carries its signing secret, which is not shown again
+ * Body: { url, events: ['gig.created', ...] or ['*'], description? }
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { webhook, secret } = await createWebhook(req.user.userAccountId, req.body);
+        res.status(201).json({ message: 'Webhook registered.', webhook, secret });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error registering webhook:', error);
+        res.status(500).json({ message: 'Error registering webhook', error: error.toString() });
+    }
+});
+
+/**
+ * PUT /webhooks/:webhookId
+ * Changes some fields of one of the caller's webhooks
+ * Body: { url?, events?, description?, active? }
+ */
+router.put('/:webhookId', authenticate, requireValidIds, async (req, res) => {
+    try {
+        const webhook = await updateWebhook(req.user.userAccountId, req.params.webhookId, req.body);
+        res.status(200).json({ message: 'Webhook updated.', webhook });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ message: 'Error updating webhook', error: error.toString() });
+    }
+});
+
+/**
+ * DELETE /webhooks/:webhookId
+ * Deletes one of the caller's webhooks and its delivery log
+ */
+router.delete('/:webhookId', authenticate, requireValidIds, async (req, res) => {
+    try {
+        await deleteWebhook(req.user.userAccountId, req.params.webhookId);
+        res.status(200).json({ message: 'Webhook deleted.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ message: 'Error deleting webhook', error: error.toString() });
+    }
+});
+
+/**
+ * POST /webhooks/:webhookId/rotate-secret
+ * Replaces the signing secret of a webhook and returns the new one
+ */
+router.post('/:webhookId/rotate-secret', authenticate, requireValidIds, async (req, res) => {
+    try {
+        const secret = await rotateWebhookSecret(req.user.userAccountId, req.params.webhookId);
+        res.status(200).json({ message: 'Webhook secret rotated.', secret });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error rotating webhook secret:', error);
+        res.status(500).json({ message: 'Error rotating webhook secret', error: error.toString() });
+    }
+});
+
+/**
+ * POST /webhooks/:webhookId/ping
+ * Sends a signed ping event right away and returns the delivery with the endpoint's response status
+ */
+router.post('/:webhookId/ping', authenticate, requireValidIds, async (req, res) => {
+    try {
+        const delivery = await pingWebhook(req.user.userAccountId, req.params.webhookId);
+        res.status(200).json({
+            message: delivery.status === 'SUCCEEDED' ? 'Ping delivered.' : 'Ping failed.',
+            delivery
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error pinging webhook:', error);
+        res.status(500).json({ message: 'Error pinging webhook', error: error.toString() });
+    }
+});
+
+/**
+ * GET /webhooks/:webhookId/deliveries
+ * Delivery log of a webhook, newest first (kept for 30 days)
+ * Query params: status (PENDING, SENDING, SUCCEEDED or FAILED), limit (default: 50, max: 200)
+ */
+router.get('/:webhookId/deliveries', authenticate, requireValidIds, async (req, res) => {
+    try {
+        const deliveries = await listWebhookDeliveries(req.user.userAccountId, req.params.webhookId, req.query);
+        res.status(200).json({ deliveries });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ message: 'Error fetching webhook deliveries', error: error.toString() });
+    }
+});
+
+/**
+ * POST /webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Queues a succeeded or failed delivery again
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', authenticate, requireValidIds, async (req, res) => {
+    try {
+        const { webhookId, deliveryId } = req.params;
+        const delivery = await redeliverWebhook(req.user.userAccountId, webhookId, deliveryId);
+        res.status(202).json({ message: 'Delivery queued.', delivery });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ message: 'Error redelivering webhook', error: error.toString() });
+    }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { connectDB, disconnectDB, MONGODB_URI, DEFAULT_DB_NAME } from '../db/connection.js';
+import { profileTopicId, gigsTopicId, messagesTopicId } from '../utils/env.js';
+import { getMirrorNodeClient, setMirrorNodeClient } from '../services/mirrorNode.service.js';
+import { syncFromMirrorNode } from '../services/hcsSync.service.js';
+import { setEventsEnabled } from '../services/events.service.js';
+import {
+  loadTopicDump,
+  exportTopicDump,
+  wipeRebuiltCollections,
+  readGrantedRoles,
+  restoreGrantedRoles,
+  snapshotEntities,
+  diffSnapshots,
+  formatDiffReport,
+} from '../services/rebuild.service.js';
+
+const USAGE = `Rebuilds the HCS-derived MongoDB collections (gigs, profiles, chat messages, applications,
+invitations, reviews) by replaying the topics through the sync processors, then reports how the
+current database differs from the chain.
+
+Usage: npm run rebuild -- [options]
+
+  --scratch-db <name>  Database to rebuild into (default: ${DEFAULT_DB_NAME}_rebuild); it is emptied first
+  --wipe               Rebuild the live database in place. Off-chain data on gigs (escrow contract,
+                       milestones, deliverables) is lost; prefer a scratch database. Admin-granted
+                       roles are carried over to the rebuilt profiles
+  --dry-run            Rebuild into the scratch database, print the report and drop the scratch database
+  --input <file>       Replay an NDJSON dump of mirror node topic message records instead of the mirror node
+  --export <file>      Write the topics' messages to an NDJSON dump and exit
+  --json               Print the report as JSON
+  --help`;
+
+const parseArgs = (argv) => {
+  const options = { scratchDb: `${DEFAULT_DB_NAME}_rebuild`, wipe: false, dryRun: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (!argv[i + 1] || argv[i + 1].startsWith('--')) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--scratch-db') options.scratchDb = value();
+    else if (arg === '--wipe') options.wipe = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--input') options.input = value();
+    else if (arg === '--export') options.export = value();
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--help') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (options.wipe && options.dryRun) throw new Error('--wipe and --dry-run cannot be combined');
+  if (!options.wipe && options.scratchDb === DEFAULT_DB_NAME) throw new Error('The scratch database must not be the live database; use --wipe');
+  return options;
+};
+
+async function rebuild() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const topicIds = { profileTopicId, gigsTopicId, messagesTopicId };
+  // Replayed changes must not reach connected users
+  setEventsEnabled(false);
+
+  if (options.input) {
+    const { mirrorNode, count } = await loadTopicDump(options.input);
+    setMirrorNodeClient(mirrorNode);
+    console.log(`Loaded ${count} topic messages from ${options.input}`);
+  }
+
+  if (options.export) {
+    const results = await exportTopicDump(topicIds, options.export, getMirrorNodeClient());
+    for (const { name, topicId, count } of results) console.log(`[${name.toUpperCase()}] Exported ${count} messages of topic ${topicId}`);
+    return 0;
+  }
+
+  let current;
+  let grantedRoles;
+  if (options.wipe) {
+    await connectDB();
+    current = await snapshotEntities(mongoose.connection);
+    grantedRoles = await readGrantedRoles(mongoose.connection);
+    console.log(`Wiping the HCS-derived collections of ${DEFAULT_DB_NAME}`);
+  } else {
+    const live = await mongoose.createConnection(MONGODB_URI, { dbName: DEFAULT_DB_NAME }).asPromise();
+    current = await snapshotEntities(live);
+    grantedRoles = await readGrantedRoles(live);
+    await live.close();
+    await connectDB({ dbName: options.scratchDb });
+    console.log(`Rebuilding into scratch database ${options.scratchDb}`);
+  }
+  await wipeRebuiltCollections();
+
+  const results = await syncFromMirrorNode(topicIds);
+  // Roles are granted by admins off-chain, so the replay cannot restore them
+  const roles = await restoreGrantedRoles(grantedRoles);
+  const rebuilt = await snapshotEntities(mongoose.connection);
+  const diff = diffSnapshots(current, rebuilt);
+
+  if (options.json) {
+    console.log(JSON.stringify({ topics: results, roles, diff }, null, 2));
+  } else {
+    console.log(`\nRestored the granted roles of ${roles.restored} profiles`);
+    if (roles.missing.length) {
+      console.warn(`Granted roles lost, the profile is not on chain: ${roles.missing.join(', ')}`);
+    }
+    console.log(`\nDifferences between ${DEFAULT_DB_NAME} and the chain:`);
+    console.log(formatDiffReport(diff));
+  }
+
+  if (options.dryRun) {
+    await mongoose.connection.dropDatabase();
+    console.log(`Dry run: dropped scratch database ${options.scratchDb}`);
+  }
+
+  // A topic that failed to replay makes the report incomplete
+  return results.some((result) => result.error) ? 1 : 0;
+}
+
+rebuild()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error('❌ Rebuild failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await disconnectDB();
+    process.exit();
+  });
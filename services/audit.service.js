@@ -0,0 +1,31 @@
+import { AuditLog } from '../db/models.js';
+
+/**
+ * Writes an audit log entry. Failures to write are logged, never thrown,
+ * so auditing cannot mask the outcome of the audited action.
+ * @param {Object} entry
+ * @param {import('express').Request} [entry.req] Request the action came from (for actor and IP).
+ * @param {string} [entry.actorId] Defaults to the authenticated account.
+ * @param {string} entry.action e.g. 'ARBITER_RELEASE', 'ROLE_GRANT'.
+ * @param {string} [entry.targetType]
+ * @param {string} [entry.targetId]
+ * @param {Object} [entry.details]
+ * @param {'SUCCESS'|'FAILURE'} entry.outcome
+ * @param {Error|string} [entry.error]
+ */
+export const recordAudit = async ({ req, actorId, action, targetType, targetId, details, outcome, error }) => {
+  try {
+    await AuditLog.create({
+      actorId: actorId || req?.user?.userAccountId,
+      action,
+      targetType,
+      targetId,
+      details,
+      outcome,
+      error: error ? error.toString() : undefined,
+      ip: req?.ip,
+    });
+  } catch (auditError) {
+    console.error(`Failed to write audit log for ${action}:`, auditError);
+  }
+};
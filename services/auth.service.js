@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PublicKey } from '@hashgraph/sdk';
+import { AuthChallenge, RefreshToken } from '../db/models.js';
+import { getMirrorNodeClient } from './mirrorNode.service.js';
+import { httpError } from '../utils/httpError.js';
+
+// Anyone knowing the development fallback could forge tokens, so production refuses to start without a secret
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production.');
+}
+export const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_TTL || '900', 10);
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_REFRESH_TTL || `${7 * 24 * 60 * 60}`, 10);
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Wallets (HashPack, Blade, WalletConnect) prefix signed messages with this header
+const HEDERA_SIGNED_MESSAGE_PREFIX = '\x19Hedera Signed Message:\n';
+
+/**
+ * Issues a single-use login challenge for an account.
+ * @param {string} accountId Hedera account ID (e.g. 0.0.1234).
+ * @returns {Promise<{accountId: string, nonce: string, message: string, expiresAt: Date}>}
+ */
+export const createChallenge = async (accountId) => {
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+  const message = [
+    'Sign in to HireChain',
+    `Account: ${accountId}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${expiresAt.toISOString()}`,
+  ].join('\n');
+
+  await AuthChallenge.create({ accountId, nonce, message, expiresAt });
+  return { accountId, nonce, message, expiresAt };
+};
+
+const decodeSignature = (signature) => {
+  const hex = signature.startsWith('0x') ? signature.slice(2) : signature;
+  if (/^[0-9a-fA-F]+$/.test(hex) && hex.length % 2 === 0) {
+    return Buffer.from(hex, 'hex');
+  }
+  return Buffer.from(signature, 'base64');
+};
+
+/**
+ * Resolves the account's public key through the mirror node client.
+ * Only single-key accounts can sign in; key lists and threshold keys are rejected.
+ */
+const getAccountPublicKey = async (accountId) => {
+  const account = await getMirrorNodeClient().getAccount(accountId);
+  if (!account || !account.key) {
+    throw httpError(401, 'Account not found on the network.');
+  }
+
+  switch (account.key._type) {
+    case 'ED25519':
+      return PublicKey.fromStringED25519(account.key.key);
+    case 'ECDSA_SECP256K1':
+      return PublicKey.fromStringECDSA(account.key.key);
+    default:
+      throw httpError(401, `Unsupported account key type: ${account.key._type}`);
+  }
+};
+
+/**
+ * Checks a signature over the challenge message, accepting both raw signatures
+ * and the prefixed form produced by Hedera wallets.
+ */
+const verifyMessageSignature = (publicKey, message, signature) => {
+  const prefixed = `${HEDERA_SIGNED_MESSAGE_PREFIX}${message.length}${message}`;
+  return [message, prefixed].some((candidate) => {
+    try {
+      return publicKey.verify(Buffer.from(candidate, 'utf-8'), signature);
+    } catch (_) {
+      return false;
+    }
+  });
+};
+
+const signAccessToken = (accountId) => jwt.sign(
+  { userId: accountId, type: 'access' },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+const issueTokens = async (accountId) => {
+  const tokenId = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { userId: accountId, type: 'refresh' },
+    JWT_SECRET,
+    { expiresIn: REFRESH_TOKEN_TTL_SECONDS, jwtid: tokenId }
+  );
+  await RefreshToken.create({
+    tokenId,
+    accountId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+  });
+
+  return {
+    accessToken: signAccessToken(accountId),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    accountId,
+  };
+};
+
+/**
+ * Consumes a challenge and, if the signature is valid for the account's key, issues tokens.
+ * @param {{accountId: string, nonce: string, signature: string}} params
+ */
+export const verifyChallenge = async ({ accountId, nonce, signature }) => {
+  // Checked before the challenge is consumed, so a malformed request does not burn it
+  if ([accountId, nonce, signature].some((value) => typeof value !== 'string')) {
+    throw httpError(400, 'accountId, nonce and signature must be strings.');
+  }
+  // Delete on read so a challenge can only ever be used once
+  const challenge = await AuthChallenge.findOneAndDelete({ accountId, nonce, expiresAt: { $gt: new Date() } });
+  if (!challenge) {
+    throw httpError(401, 'Challenge not found or expired.');
+  }
+
+  const publicKey = await getAccountPublicKey(accountId);
+  if (!verifyMessageSignature(publicKey, challenge.message, decodeSignature(signature))) {
+    throw httpError(401, 'Invalid signature.');
+  }
+
+  return issueTokens(accountId);
+};
+
+/**
+ * Rotates a refresh token: the presented token is revoked and a new pair is issued.
+ * Presenting an already revoked token revokes every session of that account.
+ * @param {string} refreshToken
+ */
+export const refreshTokens = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, JWT_SECRET);
+  } catch (_) {
+    throw httpError(401, 'Invalid refresh token.');
+  }
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    throw httpError(401, 'Invalid refresh token.');
+  }
+
+  const stored = await RefreshToken.findOne({ tokenId: decoded.jti, accountId: decoded.userId });
+  if (!stored) {
+    throw httpError(401, 'Refresh token not recognised.');
+  }
+  if (stored.revokedAt) {
+    await RefreshToken.updateMany({ accountId: decoded.userId, revokedAt: null }, { revokedAt: new Date() });
+    throw httpError(401, 'Refresh token has been revoked.');
+  }
+
+  stored.revokedAt = new Date();
+  await stored.save();
+  return issueTokens(decoded.userId);
+};
+
+/**
+ * Revokes a refresh token (logout). Unknown or invalid tokens are ignored.
+ * @param {string} refreshToken
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const decoded = jwt.decode(refreshToken);
+  if (!decoded?.jti) return;
+  await RefreshToken.updateOne({ tokenId: decoded.jti, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Verifies an access token and returns its payload.
+ * @param {string} token
+ */
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.type === 'refresh') {
+    throw httpError(401, 'Refresh tokens cannot be used to access the API.');
+  }
+  return decoded;
+};
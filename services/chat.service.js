@@ -0,0 +1,156 @@
+import { Message, ChatKey } from '../db/models.js';
+import { getMirrorNodeClient } from './mirrorNode.service.js';
+import { publishGigEvent } from './events.service.js';
+import { httpError } from '../utils/httpError.js';
+
+// Consensus order; messages stored before chat went through HCS have no sequence number and come first
+export const CHAT_ORDER = { hcsSequenceNumber: 1, timestamp: 1 };
+
+/**
+ * Stores a GIG_MESSAGE from the messages topic. Messages are keyed by their sequence number, so
+ * the record-message route and the HCS sync can both store the same message; it is published to the
+ * gig's participants when first stored.
+ * @param {Object} message Validated GIG_MESSAGE (see utils/hcsMessages.js).
+ * @param {{sequence_number: number, consensus_timestamp: string}} topicMessage Mirror node record of the message.
+ * @returns {Promise<Object>} The stored message.
+ */
+export const recordChatMessage = async (message, topicMessage) => {
+  const { value: chatMessage, lastErrorObject } = await Message.findOneAndUpdate(
+    { hcsSequenceNumber: topicMessage.sequence_number },
+    {
+      $setOnInsert: {
+        gigRefId: message.gigRefId,
+        senderId: message.senderId,
+        content: message.content,
+        keyVersion: message.keyVersion,
+        iv: message.iv,
+        timestamp: new Date(message.timestamp),
+        consensusTimestamp: topicMessage.consensus_timestamp,
+      },
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  if (!lastErrorObject?.updatedExisting) {
+    await publishGigEvent('message', chatMessage.gigRefId, chatMessage.toJSON());
+  }
+  return chatMessage;
+};
+
+// =================================================================
+// Chat keys: each gig's chat is encrypted with a symmetric key generated by a participant's client
+// and wrapped with every participant's account public key. The server stores the wrapped keys
+// (envelopes) and never sees the key or the plaintext. A new key version is needed whenever the
+// participants change, so a former participant cannot read what comes after.
+// =================================================================
+
+/**
+ * Accounts that can read and post in a gig's chat: the client and the assigned freelancer.
+ * @param {Object} gig
+ * @returns {string[]}
+ */
+export const getChatParticipants = (gig) => [gig.clientId, gig.assignedFreelancerId].filter(Boolean);
+
+const sameAccounts = (a, b) => a.length === b.length && a.every((accountId) => b.includes(accountId));
+
+/**
+ * Current chat key version of a gig, and whether a new one must be stored before anyone can post.
+ * @param {Object} gig
+ * @returns {Promise<{currentKeyVersion: number, participants: string[], rotationRequired: boolean}>}
+ *   currentKeyVersion is 0 when the gig has no chat key yet.
+ */
+export const getChatKeyStatus = async (gig) => {
+  const participants = getChatParticipants(gig);
+  const current = await ChatKey.findOne({ gigRefId: gig.gigRefId }).sort({ keyVersion: -1 }).select('keyVersion participants');
+  return {
+    currentKeyVersion: current ? current.keyVersion : 0,
+    participants,
+    rotationRequired: !current || !sameAccounts(current.participants, participants),
+  };
+};
+
+/**
+ * Public keys of the gig's participants, from the mirror node, for the client to wrap a new key with.
+ * @param {Object} gig
+ * @returns {Promise<Object[]>} { accountId, key: { _type, key } }, key null when the account is unknown.
+ */
+export const getParticipantPublicKeys = async (gig) => {
+  const mirrorNode = getMirrorNodeClient();
+  return Promise.all(getChatParticipants(gig).map(async (accountId) => {
+    const account = await mirrorNode.getAccount(accountId);
+    return { accountId, key: account?.key || null };
+  }));
+};
+
+/**
+ * Stores a new chat key version, wrapped for every current participant of the gig.
+ * @param {Object} gig
+ * @param {{keyVersion: number, algorithm: string, envelopes: {accountId: string, wrappedKey: string}[], createdBy: string}} key
+ *   keyVersion must follow the current version, so two participants rotating at once cannot both succeed.
+ * @returns {Promise<Object>} The stored ChatKey.
+ */
+export const storeChatKey = async (gig, { keyVersion, algorithm, envelopes, createdBy }) => {
+  if (!algorithm || typeof algorithm !== 'string') {
+    throw httpError(400, 'algorithm is required.');
+  }
+  if (!Array.isArray(envelopes) || envelopes.some((envelope) => !envelope?.accountId || typeof envelope.wrappedKey !== 'string' || !envelope.wrappedKey)) {
+    throw httpError(400, 'envelopes must be a list of { accountId, wrappedKey }.');
+  }
+
+  const { currentKeyVersion, participants } = await getChatKeyStatus(gig);
+  if (keyVersion !== currentKeyVersion + 1) {
+    throw httpError(409, `Chat key version ${currentKeyVersion + 1} expected.`);
+  }
+  const recipients = envelopes.map((envelope) => envelope.accountId);
+  if (new Set(recipients).size !== recipients.length || !sameAccounts(recipients, participants)) {
+    throw httpError(400, `The key must be wrapped once for each participant: ${participants.join(', ')}.`);
+  }
+
+  try {
+    return await ChatKey.create({
+      gigRefId: gig.gigRefId,
+      keyVersion,
+      participants,
+      algorithm,
+      createdBy,
+      envelopes: envelopes.map(({ accountId, wrappedKey }) => ({ accountId, wrappedKey })),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(409, `Chat key version ${keyVersion} was already stored.`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * The key envelopes of a gig wrapped for an account, oldest first, to decrypt the chat history.
+ * Former participants keep their envelopes for the versions they were part of.
+ * @param {string} gigRefId
+ * @param {string} accountId
+ * @returns {Promise<Object[]>} { keyVersion, algorithm, wrappedKey, createdBy, createdAt }
+ */
+export const getChatKeyEnvelopes = async (gigRefId, accountId) => {
+  const keys = await ChatKey.find({ gigRefId, 'envelopes.accountId': accountId }).sort({ keyVersion: 1 });
+  return keys.map((key) => ({
+    keyVersion: key.keyVersion,
+    algorithm: key.algorithm,
+    wrappedKey: key.envelopes.find((envelope) => envelope.accountId === accountId).wrappedKey,
+    createdBy: key.createdBy,
+    createdAt: key.createdAt,
+  }));
+};
+
+/**
+ * Throws unless keyVersion is the gig's current chat key and it covers the current participants.
+ * @param {Object} gig
+ * @param {number} keyVersion
+ */
+export const requireCurrentChatKey = async (gig, keyVersion) => {
+  const { currentKeyVersion, rotationRequired } = await getChatKeyStatus(gig);
+  if (rotationRequired) {
+    throw httpError(409, 'No chat key covers the current participants of this gig: store a new one before posting.');
+  }
+  if (keyVersion !== currentKeyVersion) {
+    throw httpError(409, `Messages must be encrypted with chat key version ${currentKeyVersion}.`);
+  }
+};
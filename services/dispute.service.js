@@ -0,0 +1,153 @@
+import { Dispute, Gig, XP } from '../db/models.js';
+import { executeArbiterEscrowCall } from './escrow.service.js';
+import { recordEscrowTransition, publishMilestoneEscrowEvent } from './escrowState.service.js';
+import { recordAudit } from './audit.service.js';
+import { GIG_COMPLETION_XP } from './rewards.service.js';
+import { httpError } from '../utils/httpError.js';
+import { publishGigUpdatedEvent, publishDisputeEvent } from './events.service.js';
+
+// Ruling outcome -> escrow call and resulting gig status
+const RULING_EFFECTS = {
+  RELEASE: { functionName: 'releaseFunds', gigStatus: 'COMPLETED_BY_ARBITER', escrowState: 'Released' },
+  CANCEL: { functionName: 'cancelEscrow', gigStatus: 'CANCELLED_BY_ARBITER', escrowState: 'Cancelled' },
+};
+
+const awardCompletionXp = (freelancerId) => XP.findOneAndUpdate(
+  { userAccountId: freelancerId },
+  { $inc: { xpPoints: GIG_COMPLETION_XP } },
+  { upsert: true, new: true }
+);
+
+/**
+ * Settles the milestone whose escrow the treasury released or cancelled and publishes its escrow
+ * event. Once every milestone is released or cancelled the gig is closed by the arbiter, with
+ * completion XP if anything was paid out.
+ * @param {Object} params
+ * @param {string} params.contractId Escrow instance of the milestone.
+ * @param {'Released'|'Cancelled'} params.escrowState
+ * @param {string} params.transactionId
+ * @returns {Promise<Object|null>} The gig, or null when no milestone uses this contract.
+ */
+export const settleMilestoneEscrow = async ({ contractId, escrowState, transactionId }) => {
+  const gig = await Gig.findOne({ 'milestones.escrowContractId': contractId });
+  if (!gig) return null;
+
+  const milestone = gig.milestones.find((m) => m.escrowContractId === contractId);
+  if (escrowState === 'Released') {
+    milestone.status = 'RELEASED';
+    milestone.releasedAt = new Date();
+    milestone.transactions.release = transactionId;
+  } else {
+    milestone.status = 'CANCELLED';
+    milestone.transactions.cancel = transactionId;
+  }
+
+  const gigSettled = gig.milestones.every((m) => m.status === 'RELEASED' || m.status === 'CANCELLED');
+  const anyReleased = gig.milestones.some((m) => m.status === 'RELEASED');
+  if (gigSettled) {
+    gig.status = anyReleased ? 'COMPLETED_BY_ARBITER' : 'CANCELLED_BY_ARBITER';
+  }
+  await gig.save();
+  await publishMilestoneEscrowEvent(gig.gigRefId, milestone, escrowState, transactionId);
+
+  if (gigSettled) {
+    await publishGigUpdatedEvent(gig.gigRefId);
+    if (anyReleased && gig.assignedFreelancerId) {
+      await awardCompletionXp(gig.assignedFreelancerId);
+    }
+  }
+  return gig;
+};
+
+/**
+ * Executes an arbiter's ruling on an open dispute: runs the escrow call on the disputed gig's or
+ * milestone's escrow, then settles the gig or milestone, awards completion XP (on release),
+ * closes the dispute and publishes it (both parties are notified with DISPUTE_RESOLVED).
+ * The dispute is held in RULING during the call and reopened if the call fails. Once the call has
+ * gone through the funds have moved, so the dispute is resolved even if a later step fails; a
+ * failed settlement is logged and kept as the error of the ruling's audit entry.
+ * @param {Object} params
+ * @param {string} params.disputeId
+ * @param {'RELEASE'|'CANCEL'} params.outcome
+ * @param {string} [params.notes]
+ * @param {import('express').Request} params.req Request of the ruling arbiter.
+ * @returns {Promise<Object>} The resolved dispute.
+ */
+export const resolveDispute = async ({ disputeId, outcome, notes, req }) => {
+  const effect = RULING_EFFECTS[outcome];
+  if (!effect) {
+    throw httpError(400, 'outcome must be RELEASE or CANCEL.');
+  }
+
+  // Claimed before the contract call, so two arbiters cannot both rule on the same dispute
+  const dispute = await Dispute.findOneAndUpdate({ disputeId, status: 'OPEN' }, { status: 'RULING' }, { new: true });
+  if (!dispute) {
+    if (await Dispute.exists({ disputeId })) {
+      throw httpError(409, 'This dispute has already been resolved or is being ruled on.');
+    }
+    throw httpError(404, 'Dispute not found.');
+  }
+  const releaseClaim = () => Dispute.updateOne({ disputeId, status: 'RULING' }, { status: 'OPEN' });
+
+  const gig = await Gig.findOne({ gigRefId: dispute.gigRefId });
+  const milestone = dispute.milestoneId ? gig?.milestones.find((m) => m.milestoneId === dispute.milestoneId) : null;
+  const contractId = dispute.milestoneId ? milestone?.escrowContractId : gig?.escrowContractId;
+  if (!contractId) {
+    await releaseClaim();
+    throw httpError(409, `The disputed ${dispute.milestoneId ? 'milestone' : 'gig'} has no escrow contract on record.`);
+  }
+
+  const arbiterId = req.user.userAccountId;
+  const auditBase = {
+    req,
+    action: `DISPUTE_RULING_${outcome}`,
+    targetType: 'Dispute',
+    targetId: disputeId,
+  };
+
+  let transactionId;
+  try {
+    transactionId = await executeArbiterEscrowCall(contractId, effect.functionName);
+  } catch (error) {
+    await releaseClaim();
+    await recordAudit({ ...auditBase, details: { gigRefId: gig.gigRefId, milestoneId: dispute.milestoneId, contractId, notes }, outcome: 'FAILURE', error });
+    throw error;
+  }
+
+  dispute.status = 'RESOLVED';
+  dispute.ruling = { outcome, arbiterId, notes, transactionId, ruledAt: new Date() };
+  await dispute.save();
+
+  let settlementError = null;
+  try {
+    if (milestone) {
+      await settleMilestoneEscrow({ contractId, escrowState: effect.escrowState, transactionId });
+    } else {
+      await Gig.updateOne({ gigRefId: gig.gigRefId }, { status: effect.gigStatus });
+      await publishGigUpdatedEvent(gig.gigRefId);
+      await recordEscrowTransition({ gigRefId: gig.gigRefId, state: effect.escrowState, transactionId, force: true });
+
+      if (outcome === 'RELEASE' && gig.assignedFreelancerId) {
+        await awardCompletionXp(gig.assignedFreelancerId);
+      }
+    }
+  } catch (error) {
+    settlementError = error;
+    console.error(`Error settling the ${dispute.milestoneId ? 'milestone' : 'gig'} of dispute ${disputeId} after ruling ${transactionId}:`, error);
+  }
+
+  try {
+    await publishDisputeEvent(dispute);
+  } catch (error) {
+    console.error(`Error publishing the ruling of dispute ${disputeId}:`, error);
+  }
+
+  await recordAudit({
+    ...auditBase,
+    details: { gigRefId: gig.gigRefId, milestoneId: dispute.milestoneId, contractId, notes, transactionId },
+    outcome: 'SUCCESS',
+    error: settlementError ?? undefined,
+  });
+
+  return dispute;
+};
@@ -0,0 +1,130 @@
+import { EmailOutbox } from '../db/models.js';
+import { deliverEmail } from '../email_system/email_config.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Emails are queued in the EmailOutbox collection by sendEmail (email_system/email_config.js) and
+ * sent by this worker, outside of any request. Emails are claimed atomically, so several instances
+ * can run the worker. Failed sends are retried with exponential backoff; emails that cannot be
+ * sent (the template does not render, the server rejects them permanently, or retries are
+ * exhausted) are dead-lettered for an admin to inspect and resend.
+ */
+
+const DEFAULT_INTERVAL_MS = 10000;
+const BATCH_SIZE = 20;
+
+// Retries after 1, 2, 4, 8 and 16 minutes, then the email is dead
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 60000;
+
+// A worker that crashed mid-send releases its emails after this long
+const SEND_LOCK_MS = 5 * 60000;
+
+// SMTP 5xx replies and envelope errors (no valid recipient) fail again whatever the retry
+const isPermanentFailure = (error) => error.permanent || error.code === 'EENVELOPE' || (error.responseCode >= 500 && error.responseCode < 600);
+
+const claimNextEmail = () => {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+        { status: 'SENDING', lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const sendClaimedEmail = async (email) => {
+  try {
+    const info = await deliverEmail(email);
+    await EmailOutbox.updateOne(
+      { _id: email._id },
+      { $set: { status: 'SENT', sentAt: new Date(), messageId: info.messageId, lastError: null }, $unset: { lockedUntil: 1 } }
+    );
+    return 'sent';
+  } catch (error) {
+    if (isPermanentFailure(error) || email.attempts >= MAX_ATTEMPTS) {
+      await EmailOutbox.updateOne(
+        { _id: email._id },
+        { $set: { status: 'DEAD', lastError: error.toString() }, $unset: { lockedUntil: 1 } }
+      );
+      console.error(`Email ${email._id} to ${email.to} dead-lettered after ${email.attempts} attempt(s): ${error.message}`);
+      return 'dead';
+    }
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (email.attempts - 1);
+    await EmailOutbox.updateOne(
+      { _id: email._id },
+      { $set: { status: 'PENDING', nextAttemptAt: new Date(Date.now() + delay), lastError: error.toString() }, $unset: { lockedUntil: 1 } }
+    );
+    console.warn(`Email ${email._id} to ${email.to} failed (attempt ${email.attempts}/${MAX_ATTEMPTS}): ${error.message}. Retrying in ${delay}ms.`);
+    return 'retried';
+  }
+};
+
+/**
+ * Sends the emails that are due, one at a time.
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of emails to process.
+ * @returns {Promise<{sent: number, retried: number, dead: number}>}
+ */
+export const processOutbox = async ({ limit = BATCH_SIZE } = {}) => {
+  const counts = { sent: 0, retried: 0, dead: 0 };
+  for (let i = 0; i < limit; i++) {
+    const email = await claimNextEmail();
+    if (!email) break;
+    counts[await sendClaimedEmail(email)]++;
+  }
+  return counts;
+};
+
+/**
+ * Processes the outbox periodically until stopped. A batch that found work is followed by the
+ * next one right away.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs]
+ * @returns {{stop: function(): void}}
+ */
+export const startEmailWorker = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let stopped = false;
+  let timer = null;
+
+  const run = async () => {
+    let delay = intervalMs;
+    try {
+      const { sent, retried, dead } = await processOutbox();
+      if (sent + retried + dead === BATCH_SIZE) delay = 0;
+    } catch (error) {
+      console.error('Email outbox worker failed:', error.message);
+    }
+    if (!stopped) timer = setTimeout(run, delay);
+  };
+
+  timer = setTimeout(run, 0);
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+/**
+ * Queues a dead or sent email for delivery again, with a fresh set of attempts.
+ * @param {string} emailId
+ * @returns {Promise<Object>} The outbox entry.
+ */
+export const resendEmail = async (emailId) => {
+  const email = await EmailOutbox.findOneAndUpdate(
+    { _id: emailId, status: { $in: ['DEAD', 'SENT'] } },
+    { $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+  if (email) return email;
+  if (await EmailOutbox.exists({ _id: emailId })) {
+    throw httpError(409, 'This email is already waiting to be sent.');
+  }
+  throw httpError(404, 'Email not found.');
+};
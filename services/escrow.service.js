@@ -0,0 +1,188 @@
+import { AccountId, Client, ContractCreateTransaction, ContractExecuteTransaction, ContractFunctionParameters, ContractId, FileAppendTransaction, FileCreateTransaction, FileId, Hbar, PrivateKey, TransactionId } from '@hashgraph/sdk';
+import { platformClient, myPrivateKey } from '../utils/hederaClient.js';
+import { EscrowArtifact } from '../db/models.js';
+import { escrowBytecode, escrowBytecodeHash, solcVersion } from '../utils/solidityCompiler.js';
+import { getMirrorNodeClient } from './mirrorNode.service.js';
+import { httpError } from '../utils/httpError.js';
+
+const CHUNK_SIZE = 4096;
+
+// Lifetime requested for bytecode files (the network caps it at about 92 days)
+const FILE_LIFETIME_MS = 90 * 24 * 60 * 60 * 1000;
+// Upload a fresh file this long before the cached one expires, so no gig gets an expiring file
+const FILE_RENEWAL_MARGIN_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Uploads the compiled HireChainEscrow bytecode to a Hedera file (treasury-paid),
+ * in CHUNK_SIZE pieces since a single transaction cannot carry all of it.
+ * @param {Date} expirationTime
+ * @returns {Promise<import('@hashgraph/sdk').FileId>}
+ */
+const uploadEscrowBytecode = async (expirationTime) => {
+  const fileKey = PrivateKey.fromStringECDSA(myPrivateKey);
+
+  const fileCreateTx = new FileCreateTransaction()
+    .setKeys([fileKey.publicKey])
+    .setContents(escrowBytecode.substring(0, CHUNK_SIZE))
+    .setExpirationTime(expirationTime)
+    .freezeWith(platformClient);
+
+  const signedCreateTx = await fileCreateTx.sign(fileKey);
+  const createTxResponse = await signedCreateTx.execute(platformClient);
+  const createReceipt = await createTxResponse.getReceipt(platformClient);
+  const fileId = createReceipt.fileId;
+
+  if (escrowBytecode.length > CHUNK_SIZE) {
+    for (let i = CHUNK_SIZE; i < escrowBytecode.length; i += CHUNK_SIZE) {
+      const chunk = escrowBytecode.substring(i, i + CHUNK_SIZE);
+      const fileAppendTx = new FileAppendTransaction().setFileId(fileId).setContents(chunk).freezeWith(platformClient);
+      const signedAppendTx = await fileAppendTx.sign(fileKey);
+      await (await signedAppendTx.execute(platformClient)).getReceipt(platformClient);
+    }
+  }
+
+  return fileId;
+};
+
+// Shared by concurrent requests while an upload is in flight
+let pendingUpload = null;
+
+const uploadAndCacheArtifact = async () => {
+  const expiresAt = new Date(Date.now() + FILE_LIFETIME_MS);
+  const fileId = await uploadEscrowBytecode(expiresAt);
+  return EscrowArtifact.findOneAndUpdate(
+    { bytecodeHash: escrowBytecodeHash },
+    { fileId: fileId.toString(), bytecodeSize: escrowBytecode.length / 2, compilerVersion: solcVersion, expiresAt, useCount: 0 },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Returns the Hedera file holding the current HireChainEscrow bytecode. The file is uploaded once
+ * per compiled-bytecode hash and reused across gigs; it is only uploaded again when Escrow.sol
+ * (or the compiler) changes, or when the cached file is about to expire.
+ * @returns {Promise<import('@hashgraph/sdk').FileId>}
+ */
+export const getEscrowBytecodeFileId = async () => {
+  let artifact = await EscrowArtifact.findOne({ bytecodeHash: escrowBytecodeHash });
+
+  if (!artifact || artifact.expiresAt.getTime() - FILE_RENEWAL_MARGIN_MS < Date.now()) {
+    if (!pendingUpload) {
+      pendingUpload = uploadAndCacheArtifact().finally(() => {
+        pendingUpload = null;
+      });
+    }
+    artifact = await pendingUpload;
+  }
+
+  await EscrowArtifact.updateOne({ _id: artifact._id }, { $inc: { useCount: 1 }, lastUsedAt: new Date() });
+  return FileId.fromString(artifact.fileId);
+};
+
+/**
+ * Describes the escrow artifact the server is running with and its cached bytecode file, if any.
+ * @returns {Promise<Object>}
+ */
+export const getEscrowArtifactStatus = async () => {
+  const artifact = await EscrowArtifact.findOne({ bytecodeHash: escrowBytecodeHash });
+  const previous = await EscrowArtifact.find({ bytecodeHash: { $ne: escrowBytecodeHash } })
+    .sort({ createdAt: -1 })
+    .select('bytecodeHash fileId compilerVersion createdAt expiresAt useCount');
+
+  return {
+    bytecodeHash: escrowBytecodeHash,
+    bytecodeSize: escrowBytecode.length / 2,
+    compilerVersion: solcVersion,
+    uploaded: Boolean(artifact),
+    fileId: artifact?.fileId ?? null,
+    uploadedAt: artifact?.updatedAt ?? null,
+    expiresAt: artifact?.expiresAt ?? null,
+    useCount: artifact?.useCount ?? 0,
+    lastUsedAt: artifact?.lastUsedAt ?? null,
+    previous,
+  };
+};
+
+/**
+ * Builds an unsigned, client-paid transaction creating a new HireChainEscrow instance, with the
+ * treasury passed to the constructor as arbiter (the client deploys it, so it cannot be msg.sender).
+ * @param {import('@hashgraph/sdk').FileId} fileId Bytecode file from getEscrowBytecodeFileId().
+ * @param {string} payerAccountId Account that signs and pays (the gig's client).
+ * @returns {Promise<ContractCreateTransaction>}
+ */
+export const buildEscrowCreateTransaction = async (fileId, payerAccountId) => new ContractCreateTransaction()
+  .setBytecodeFileId(fileId)
+  .setGas(10_000_000)
+  .setConstructorParameters(new ContractFunctionParameters().addAddress(await getArbiterEvmAddress()))
+  .setTransactionId(TransactionId.generate(payerAccountId))
+  .freezeWith(Client.forTestnet());
+
+/**
+ * Builds an unsigned, client-paid call to an escrow instance (e.g. 'lockFunds', 'releaseFunds').
+ * @param {Object} params
+ * @param {string} params.contractId
+ * @param {string} params.functionName
+ * @param {string} params.payerAccountId Account that signs and pays.
+ * @param {number} [params.amount] HBAR to send with a payable call.
+ * @param {import('@hashgraph/sdk').ContractFunctionParameters} [params.functionParameters]
+ * @returns {ContractExecuteTransaction}
+ */
+export const buildEscrowCallTransaction = ({ contractId, functionName, payerAccountId, amount, functionParameters }) => {
+  const transaction = new ContractExecuteTransaction()
+    .setContractId(ContractId.fromString(contractId))
+    .setGas(1_050_000)
+    .setFunction(functionName, functionParameters);
+
+  if (amount !== undefined) {
+    transaction.setPayableAmount(new Hbar(amount));
+  }
+
+  return transaction
+    .setTransactionId(TransactionId.generate(payerAccountId))
+    .freezeWith(Client.forTestnet());
+};
+
+/**
+ * Resolves the EVM address funds are sent to for a Hedera account: its EVM alias when it has one
+ * (ECDSA accounts), otherwise the long-zero address derived from the account number.
+ * @param {string} accountId
+ * @returns {Promise<string>} 0x-prefixed address.
+ */
+export const resolveEvmAddress = async (accountId) => {
+  const account = await getMirrorNodeClient().getAccount(accountId);
+  if (!account) {
+    throw httpError(404, `Account ${accountId} was not found on the mirror node.`);
+  }
+  return account.evm_address || `0x${AccountId.fromString(accountId).toSolidityAddress()}`;
+};
+
+let arbiterEvmAddress = null;
+
+/**
+ * EVM address of the treasury, which signs arbiter calls and is set as arbiter of every escrow instance.
+ * @returns {Promise<string>} 0x-prefixed address.
+ */
+export const getArbiterEvmAddress = async () => {
+  if (!arbiterEvmAddress) {
+    arbiterEvmAddress = await resolveEvmAddress(platformClient.operatorAccountId.toString());
+  }
+  return arbiterEvmAddress;
+};
+
+/**
+ * Executes an arbiter-only escrow call ('releaseFunds' or 'cancelEscrow'), signed and paid by
+ * the treasury, which every instance names as arbiter in its constructor.
+ * @param {string} contractId
+ * @param {'releaseFunds'|'cancelEscrow'} functionName
+ * @returns {Promise<string>} The executed transaction ID.
+ */
+export const executeArbiterEscrowCall = async (contractId, functionName) => {
+  const response = await new ContractExecuteTransaction()
+    .setContractId(contractId)
+    .setGas(150000)
+    .setFunction(functionName)
+    .execute(platformClient);
+
+  await response.getReceipt(platformClient);
+  return response.transactionId.toString();
+};
@@ -0,0 +1,119 @@
+import { Escrow } from '../db/models.js';
+import { httpError } from '../utils/httpError.js';
+import { publishGigEvent } from './events.service.js';
+
+// HireChainEscrow state machine: Created -> Initialized -> Locked -> (Released | Cancelled)
+const PREVIOUS_STATES = {
+  Initialized: ['Created'],
+  Locked: ['Initialized'],
+  Released: ['Locked'],
+  Cancelled: ['Locked'],
+};
+
+// Transaction slot for the step that leads into each state
+const TRANSACTION_FIELDS = {
+  Created: 'create',
+  Initialized: 'init',
+  Locked: 'lock',
+  Released: 'release',
+  Cancelled: 'cancel',
+};
+
+const publishEscrowEvent = (escrow, transactionId) => publishGigEvent('escrow', escrow.gigRefId, {
+  contractId: escrow.contractId,
+  milestoneId: null,
+  state: escrow.state,
+  lockedAmount: escrow.lockedAmount,
+  transactionId,
+});
+
+/**
+ * Publishes a step of a milestone's escrow instance: the same escrow event as for a gig's escrow,
+ * with the milestoneId. Milestone escrows are tracked on the milestone, not in the Escrow collection.
+ * @param {string} gigRefId
+ * @param {Object} milestone
+ * @param {'Created'|'Initialized'|'Locked'|'Released'|'Cancelled'} state
+ * @param {string} transactionId
+ */
+export const publishMilestoneEscrowEvent = (gigRefId, milestone, state, transactionId) => publishGigEvent('escrow', gigRefId, {
+  contractId: milestone.escrowContractId,
+  milestoneId: milestone.milestoneId,
+  state,
+  lockedAmount: ['Locked', 'Released', 'Cancelled'].includes(state) ? milestone.amount : 0,
+  transactionId,
+});
+
+/**
+ * Starts tracking a gig's escrow instance once its contract create has been recorded.
+ * @param {Object} params
+ * @param {string} params.gigRefId
+ * @param {string} params.contractId
+ * @param {string} params.transactionId The ContractCreate transaction.
+ * @returns {Promise<Object>} The escrow record.
+ */
+export const recordEscrowCreated = async ({ gigRefId, contractId, transactionId }) => {
+  const escrow = await Escrow.findOneAndUpdate(
+    { gigRefId },
+    {
+      contractId,
+      state: 'Created',
+      lockedAmount: 0,
+      transactions: { create: transactionId },
+      history: [{ state: 'Created', transactionId }],
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  await publishEscrowEvent(escrow, transactionId);
+  return escrow;
+};
+
+/**
+ * Throws a 409 unless the gig's escrow is in one of the given states.
+ * @param {string} gigRefId
+ * @param {string|string[]} states
+ * @returns {Promise<Object>} The escrow record.
+ */
+export const requireEscrowState = async (gigRefId, states) => {
+  const allowed = [].concat(states);
+  const escrow = await Escrow.findOne({ gigRefId });
+  if (!escrow) {
+    throw httpError(409, 'No escrow contract has been recorded for this gig.');
+  }
+  if (!allowed.includes(escrow.state)) {
+    throw httpError(409, `Escrow is ${escrow.state}; expected ${allowed.join(' or ')}.`);
+  }
+  return escrow;
+};
+
+/**
+ * Moves a gig's escrow to its next state after the corresponding transaction was recorded.
+ * @param {Object} params
+ * @param {string} [params.gigRefId] Identifies the escrow (or contractId, for arbiter calls).
+ * @param {string} [params.contractId]
+ * @param {'Initialized'|'Locked'|'Released'|'Cancelled'} params.state
+ * @param {string} params.transactionId
+ * @param {number} [params.lockedAmount] HBAR, when locking.
+ * @param {boolean} [params.force] Skip the transition check, for treasury-executed calls whose
+ *   success already proves the on-chain state.
+ * @returns {Promise<Object|null>} The escrow record, or null when the contract is not tracked.
+ */
+export const recordEscrowTransition = async ({ gigRefId, contractId, state, transactionId, lockedAmount, force = false }) => {
+  const escrow = await Escrow.findOne(gigRefId ? { gigRefId } : { contractId });
+  if (!escrow) {
+    if (force) return null;
+    throw httpError(409, 'No escrow contract has been recorded for this gig.');
+  }
+  if (!force && !PREVIOUS_STATES[state].includes(escrow.state)) {
+    throw httpError(409, `Escrow cannot move from ${escrow.state} to ${state}.`);
+  }
+
+  escrow.state = state;
+  escrow.transactions[TRANSACTION_FIELDS[state]] = transactionId;
+  if (lockedAmount !== undefined) {
+    escrow.lockedAmount = lockedAmount;
+  }
+  escrow.history.push({ state, transactionId });
+  await escrow.save();
+  await publishEscrowEvent(escrow, transactionId);
+  return escrow;
+};
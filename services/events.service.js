@@ -0,0 +1,223 @@
+import { EventEmitter } from 'events';
+import Redis from 'ioredis';
+import { Gig } from '../db/models.js';
+
+/**
+ * Gig events for real-time delivery (routes/events.js) and webhooks: gig creation and status changes,
+ * new chat messages, typing indicators, application, invitation, deliverable and dispute changes,
+ * escrow transitions and reviews. The record-* routes and the HCS sync publish them where they
+ * change MongoDB.
+ *
+ * Event: { type, gigRefId, recipients, data, at }. recipients are the accounts the event is delivered to.
+ *
+ * With REDIS_URL set, events go through a Redis channel so every instance delivers them to its own
+ * connections; without it they only reach the connections of this process.
+ */
+
+const CHANNEL = 'hirechain:events';
+
+const localEvents = new EventEmitter();
+localEvents.setMaxListeners(0);
+
+let publisher = null;
+let subscriber = null;
+let enabled = true;
+const publishHandlers = [];
+
+const redisUrl = () => process.env.REDIS_URL;
+
+const getPublisher = () => {
+  if (!publisher) {
+    publisher = new Redis(redisUrl());
+    publisher.on('error', (error) => console.error('Redis publisher error:', error.message));
+  }
+  return publisher;
+};
+
+// One subscription per process, shared by all connections
+const ensureSubscribed = () => {
+  if (subscriber) return;
+  subscriber = new Redis(redisUrl());
+  subscriber.on('error', (error) => console.error('Redis subscriber error:', error.message));
+  subscriber.on('message', (channel, payload) => {
+    if (channel !== CHANNEL) return;
+    try {
+      localEvents.emit('event', JSON.parse(payload));
+    } catch (error) {
+      console.error('Ignoring malformed event:', error.message);
+    }
+  });
+  subscriber.subscribe(CHANNEL).catch((error) => console.error(`Could not subscribe to ${CHANNEL}:`, error.message));
+};
+
+// Handlers run once, in the publishing instance, whatever the number of instances. They run after
+// the current request has been handled, one after the other, so a slow one cannot delay responses.
+const runHandlers = (event) => {
+  setImmediate(async () => {
+    for (const handler of publishHandlers) {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`Error handling ${event.type} event for gig ${event.gigRefId}:`, error.message);
+      }
+    }
+  });
+};
+
+/**
+ * Publishes an event. Delivery is best effort: failures are logged, never thrown, so they cannot
+ * fail the change that produced the event. Handlers (see onEventPublished) are not awaited.
+ * @param {{type: string, gigRefId: string, recipients: string[], data: Object}} event
+ * @param {Object} [options]
+ * @param {boolean} [options.runHandlers] false for events the handlers themselves produce (e.g.
+ *   notifications), which are only delivered to connections.
+ */
+export const publishEvent = async ({ type, gigRefId, recipients, data }, { runHandlers: withHandlers = true } = {}) => {
+  if (!enabled) return;
+  const event = { type, gigRefId, recipients: [...new Set(recipients.filter(Boolean))], data, at: new Date().toISOString() };
+  if (event.recipients.length === 0) return;
+  if (withHandlers && publishHandlers.length > 0) {
+    runHandlers(event);
+  }
+  try {
+    if (redisUrl()) {
+      // Not awaited: while Redis is unreachable, commands queue up until they are retried or fail
+      getPublisher().publish(CHANNEL, JSON.stringify(event))
+        .catch((error) => console.error(`Error publishing ${type} event for gig ${gigRefId}:`, error.message));
+    } else {
+      // Serialized as through Redis, so listeners see the same shape either way
+      localEvents.emit('event', JSON.parse(JSON.stringify(event)));
+    }
+  } catch (error) {
+    console.error(`Error publishing ${type} event for gig ${gigRefId}:`, error.message);
+  }
+};
+
+/**
+ * Publishes an event to the participants of a gig (its client and assigned freelancer).
+ * @param {string} type
+ * @param {string} gigRefId
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {string[]} [options.include] Other recipients, e.g. the freelancer of an application.
+ * @param {string[]} [options.exclude] Accounts not to deliver to, e.g. the one typing.
+ */
+export const publishGigEvent = async (type, gigRefId, data, { include = [], exclude = [] } = {}) => {
+  try {
+    const gig = await Gig.findOne({ gigRefId }).select('clientId assignedFreelancerId');
+    const recipients = [gig?.clientId, gig?.assignedFreelancerId, ...include].filter((accountId) => !exclude.includes(accountId));
+    await publishEvent({ type, gigRefId, recipients, data });
+  } catch (error) {
+    console.error(`Error publishing ${type} event for gig ${gigRefId}:`, error.message);
+  }
+};
+
+/**
+ * Registers a handler called with every event this instance publishes (e.g. to create notifications),
+ * off the publishing request: errors are logged and nothing waits for the handler.
+ * @param {function(Object): Promise<void>} handler
+ */
+export const onEventPublished = (handler) => {
+  publishHandlers.push(handler);
+};
+
+/**
+ * Calls listener with every event published by any instance.
+ * @param {function(Object): void} listener
+ * @returns {function(): void} Unsubscribes the listener.
+ */
+export const subscribeEvents = (listener) => {
+  if (redisUrl()) ensureSubscribed();
+  localEvents.on('event', listener);
+  return () => localEvents.off('event', listener);
+};
+
+/**
+ * Turns publishing on or off, e.g. off while rebuilding a database from the chain, whose replayed
+ * changes are not news to anyone.
+ * @param {boolean} value
+ */
+export const setEventsEnabled = (value) => {
+  enabled = value;
+};
+
+/**
+ * Publishes a newly created gig to its client. Handlers registered with onEventPublished see it too,
+ * e.g. to alert the freelancers it matches.
+ * @param {Object} gig
+ */
+export const publishGigCreatedEvent = (gig) => publishEvent({
+  type: 'gig_created',
+  gigRefId: gig.gigRefId,
+  recipients: [gig.clientId],
+  data: { gigRefId: gig.gigRefId, title: gig.title, budget: gig.budget, visibility: gig.visibility, status: gig.status },
+});
+
+/**
+ * Publishes the current status and freelancer of a gig to its participants, after a GIG_UPDATE or
+ * another status change was applied.
+ * @param {string} gigRefId
+ */
+export const publishGigUpdatedEvent = async (gigRefId) => {
+  try {
+    const gig = await Gig.findOne({ gigRefId }).select('status assignedFreelancerId');
+    if (!gig) return;
+    await publishGigEvent('gig_updated', gigRefId, { gigRefId, status: gig.status, assignedFreelancerId: gig.assignedFreelancerId });
+  } catch (error) {
+    console.error(`Error publishing gig_updated event for gig ${gigRefId}:`, error.message);
+  }
+};
+
+/**
+ * Publishes the current status of an application to the gig's participants and its freelancer.
+ * @param {Object} application
+ */
+export const publishApplicationEvent = (application) => publishGigEvent(
+  'application',
+  application.gigRefId,
+  { applicationId: String(application._id), freelancerId: application.freelancerId, status: application.status },
+  { include: [application.freelancerId] }
+);
+
+/**
+ * Publishes the current status of an invitation to the gig's participants and the invited freelancer.
+ * @param {Object} invitation
+ */
+export const publishInvitationEvent = (invitation) => publishGigEvent(
+  'invitation',
+  invitation.gigRefId,
+  { invitationId: String(invitation._id), freelancerId: invitation.freelancerId, status: invitation.status },
+  { include: [invitation.freelancerId] }
+);
+
+/**
+ * Publishes the current status of a deliverable, or of a milestone's submission, to the gig's participants.
+ * @param {string} gigRefId
+ * @param {{deliverableId?: string, milestoneId?: string, submittedBy: string, status: string}} deliverable
+ */
+export const publishDeliverableEvent = (gigRefId, deliverable) => publishGigEvent(
+  'deliverable',
+  gigRefId,
+  { deliverableId: deliverable.deliverableId ?? null, milestoneId: deliverable.milestoneId ?? null, submittedBy: deliverable.submittedBy, status: deliverable.status }
+);
+
+/**
+ * Publishes the current status of a dispute to the gig's participants.
+ * @param {Object} dispute
+ */
+export const publishDisputeEvent = (dispute) => publishGigEvent(
+  'dispute',
+  dispute.gigRefId,
+  { disputeId: dispute.disputeId, milestoneId: dispute.milestoneId, openedBy: dispute.openedBy, status: dispute.status, outcome: dispute.ruling?.outcome }
+);
+
+/**
+ * Publishes a new review to the gig's participants and the reviewee.
+ * @param {Object} review
+ */
+export const publishReviewEvent = (review) => publishGigEvent(
+  'review',
+  review.gigRefId,
+  { reviewId: String(review._id), reviewerId: review.reviewerId, revieweeId: review.revieweeId, rating: review.rating, reviewType: review.reviewType },
+  { include: [review.revieweeId] }
+);
@@ -0,0 +1,434 @@
+import crypto from 'crypto';
+import { Gig, Profile, GigAlert, GigAlertSettings, SavedSearch } from '../db/models.js';
+import { sendEmail } from '../email_system/email_config.js';
+import { getEffectiveRoles } from '../utils/roles.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * New-gig alerts. Every public gig is matched, when first recorded (gig_created event), against the
+ * skills of the freelancers and their saved searches. A match is stored once per freelancer and
+ * gig as a GigAlert, then emailed right away (INSTANT) or gathered into a daily or weekly digest,
+ * as the freelancer's GigAlertSettings say. Instant alerts are capped per day; the overflow goes
+ * out in a daily digest. Every email carries an unsubscribe link that works without logging in:
+ * opening it asks for confirmation, and mail clients can unsubscribe in one click (RFC 8058).
+ */
+
+const FRONTEND_URL = 'https://frontendurl';
+
+const DAY_MS = 24 * 60 * 60000;
+// Digest period per frequency; INSTANT digests only carry the alerts over the daily cap
+const DIGEST_PERIODS_MS = { INSTANT: DAY_MS, DAILY: DAY_MS, WEEKLY: 7 * DAY_MS };
+const DIGEST_MAX_GIGS = 20;
+const DEFAULT_DIGEST_INTERVAL_MS = 60 * 60000;
+
+const MAX_SAVED_SEARCHES = 10;
+const MAX_INSTANT_PER_DAY = 100;
+
+export const GIG_ALERT_FREQUENCIES = ['INSTANT', 'DAILY', 'WEEKLY', 'OFF'];
+
+// Unsubscribe links point at this API, so they work without the frontend
+const apiUrl = () => process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const alertLinks = (settings) => ({
+  manageUrl: `${FRONTEND_URL}/settings/gig-alerts`,
+  unsubscribeUrl: `${apiUrl()}/api/gig-alerts/unsubscribe?token=${settings.unsubscribeToken}`,
+});
+
+// =================================================================
+// Matching
+// =================================================================
+
+const normalizeTerms = (terms) => [...new Set((terms || []).map((term) => String(term).trim().toLowerCase()).filter(Boolean))];
+
+// Longest skill or keyword, in words, looked for in the title and description of a gig
+const MAX_TERM_WORDS = 3;
+const MAX_GIG_TERMS = 2000;
+// Profile skills are not stored lowercased; this collation (and the index built with it) compares them case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Words are split on anything but letters, digits and ".+#-", keeping terms like "node.js", "c++",
+// "c#" or "front-end" whole; the dots ending a sentence and stray hyphens are dropped
+const splitWords = (text) => String(text).toLowerCase().split(/[^a-z0-9.+#-]+/)
+  .map((word) => word.replace(/^-+|[.-]+$/g, ''))
+  .filter(Boolean);
+
+// Saved search terms are stored as the words they match, e.g. "Node.js / React" as "node.js react"
+const normalizePhrases = (terms) => normalizeTerms((terms || []).map((term) => splitWords(term).join(' ')));
+
+// Every term the gig can match: its required skills plus the words, and runs of up to
+// MAX_TERM_WORDS words, of its title and description
+const gigTerms = (gig) => {
+  const words = splitWords(`${gig.title} ${gig.description}`);
+  const terms = new Set(normalizeTerms(gig.skillsRequired));
+  for (let start = 0; start < words.length && terms.size < MAX_GIG_TERMS; start++) {
+    for (let end = start + 1; end <= Math.min(start + MAX_TERM_WORDS, words.length); end++) {
+      terms.add(words.slice(start, end).join(' '));
+    }
+  }
+  return terms;
+};
+
+// Account -> reasons ('skill:<skill>', 'search:<name>') for every freelancer the gig matches.
+// Candidates come from the skills and keywords indexes; only they are checked one by one.
+const findMatches = async (gig) => {
+  const terms = gigTerms(gig);
+  const termList = [...terms];
+  const budget = parseFloat(gig.budget);
+  const matches = new Map();
+  const add = (accountId, reason) => {
+    if (accountId === gig.clientId) return;
+    if (!matches.has(accountId)) matches.set(accountId, []);
+    matches.get(accountId).push(reason);
+  };
+
+  const profiles = await Profile.find({ skills: { $in: termList } })
+    .collation(CASE_INSENSITIVE)
+    .select('userAccountId skills roles profileType');
+  for (const profile of profiles) {
+    if (!getEffectiveRoles(profile).includes('freelancer')) continue;
+    for (const skill of normalizeTerms(profile.skills).filter((term) => terms.has(term))) add(profile.userAccountId, `skill:${skill}`);
+  }
+
+  // A search matches only if one of its keywords, or with no keywords one of its skills, is a term
+  const searches = await SavedSearch.find({ $or: [{ keywords: { $in: termList } }, { skills: { $in: termList } }] });
+  for (const search of searches) {
+    const matched = search.keywords.every((keyword) => terms.has(keyword))
+      && (search.skills.length === 0 || search.skills.some((skill) => terms.has(skill)))
+      && (search.minBudget == null || budget >= search.minBudget);
+    if (matched) add(search.userAccountId, `search:${search.name}`);
+  }
+  return matches;
+};
+
+const describeReasons = (reasons) => reasons
+  .map((reason) => (reason.startsWith('skill:') ? reason.slice('skill:'.length) : `"${reason.slice('search:'.length)}" search`))
+  .join(', ');
+
+// =================================================================
+// Settings & saved searches
+// =================================================================
+
+// Settings are created on first use, with the defaults of the schema and an unsubscribe token
+const getSettingsDocument = (accountId) => GigAlertSettings.findOneAndUpdate(
+  { userAccountId: accountId },
+  { $setOnInsert: { unsubscribeToken: crypto.randomBytes(24).toString('hex') } },
+  { upsert: true, new: true }
+);
+
+const formatSettings = ({ frequency, matchSkills, maxInstantPerDay, lastDigestAt }) => ({ frequency, matchSkills, maxInstantPerDay, lastDigestAt });
+
+// Alerts waiting for a digest are dropped when alerts are turned off
+const skipPendingAlerts = (accountId) => GigAlert.updateMany({ userAccountId: accountId, status: 'PENDING' }, { $set: { status: 'SKIPPED' } });
+
+/**
+ * @param {string} accountId
+ * @returns {Promise<{frequency: string, matchSkills: boolean, maxInstantPerDay: number, lastDigestAt: (Date|null)}>}
+ */
+export const getGigAlertSettings = async (accountId) => formatSettings(await getSettingsDocument(accountId));
+
+/**
+ * Changes some of the alert settings of an account.
+ * @param {string} accountId
+ * @param {{frequency?: string, matchSkills?: boolean, maxInstantPerDay?: number}} changes
+ * @returns {Promise<Object>} The settings after the change.
+ */
+export const updateGigAlertSettings = async (accountId, { frequency, matchSkills, maxInstantPerDay } = {}) => {
+  const update = {};
+  if (frequency !== undefined) {
+    if (!GIG_ALERT_FREQUENCIES.includes(frequency)) {
+      throw httpError(400, `frequency must be one of ${GIG_ALERT_FREQUENCIES.join(', ')}.`);
+    }
+    update.frequency = frequency;
+  }
+  if (matchSkills !== undefined) {
+    if (typeof matchSkills !== 'boolean') {
+      throw httpError(400, 'matchSkills must be a boolean.');
+    }
+    update.matchSkills = matchSkills;
+  }
+  if (maxInstantPerDay !== undefined) {
+    if (!Number.isInteger(maxInstantPerDay) || maxInstantPerDay < 1 || maxInstantPerDay > MAX_INSTANT_PER_DAY) {
+      throw httpError(400, `maxInstantPerDay must be an integer from 1 to ${MAX_INSTANT_PER_DAY}.`);
+    }
+    update.maxInstantPerDay = maxInstantPerDay;
+  }
+  if (Object.keys(update).length === 0) {
+    throw httpError(400, 'Nothing to update: send frequency, matchSkills or maxInstantPerDay.');
+  }
+
+  await getSettingsDocument(accountId);
+  const settings = await GigAlertSettings.findOneAndUpdate({ userAccountId: accountId }, { $set: update }, { new: true });
+  if (settings.frequency === 'OFF') await skipPendingAlerts(accountId);
+  return formatSettings(settings);
+};
+
+/**
+ * Checks an unsubscribe link without changing anything, for the page confirming it.
+ * @param {string} token The unsubscribeToken of the link.
+ * @returns {Promise<void>}
+ */
+export const verifyUnsubscribeToken = async (token) => {
+  if (!token || !await GigAlertSettings.exists({ unsubscribeToken: String(token) })) {
+    throw httpError(404, 'Invalid or expired unsubscribe link.');
+  }
+};
+
+/**
+ * Turns off the alerts of the account an unsubscribe link was sent to.
+ * @param {string} token The unsubscribeToken of the link.
+ * @returns {Promise<void>}
+ */
+export const unsubscribeGigAlerts = async (token) => {
+  const settings = token && await GigAlertSettings.findOneAndUpdate(
+    { unsubscribeToken: String(token) },
+    { $set: { frequency: 'OFF' } },
+    { new: true }
+  );
+  if (!settings) {
+    throw httpError(404, 'Invalid or expired unsubscribe link.');
+  }
+  await skipPendingAlerts(settings.userAccountId);
+};
+
+/**
+ * @param {string} accountId
+ * @returns {Promise<Object[]>} The account's saved searches, oldest first.
+ */
+export const listSavedSearches = (accountId) => SavedSearch.find({ userAccountId: accountId }).sort({ createdAt: 1 });
+
+/**
+ * Saves a search to be alerted about. A gig matches when its title or description contains all
+ * keywords and at least one of the skills (if any), and its budget is at least minBudget (if set).
+ * Keywords and skills are whole words or phrases of up to MAX_TERM_WORDS words.
+ * @param {string} accountId
+ * @param {{name: string, keywords?: string[], skills?: string[], minBudget?: number}} search
+ * @returns {Promise<Object>} The saved search.
+ */
+export const createSavedSearch = async (accountId, { name, keywords, skills, minBudget } = {}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw httpError(400, 'name is required.');
+  }
+  for (const [field, value] of Object.entries({ keywords, skills })) {
+    if (value !== undefined && (!Array.isArray(value) || value.some((term) => typeof term !== 'string'))) {
+      throw httpError(400, `${field} must be an array of strings.`);
+    }
+  }
+  const search = { userAccountId: accountId, name: name.trim(), keywords: normalizePhrases(keywords), skills: normalizePhrases(skills) };
+  if (search.keywords.length === 0 && search.skills.length === 0) {
+    throw httpError(400, 'A saved search needs at least one keyword or skill.');
+  }
+  if ([...search.keywords, ...search.skills].some((term) => term.split(/\s+/).length > MAX_TERM_WORDS)) {
+    throw httpError(400, `Keywords and skills can have up to ${MAX_TERM_WORDS} words.`);
+  }
+  if (minBudget !== undefined && minBudget !== null) {
+    if (typeof minBudget !== 'number' || !(minBudget > 0)) {
+      throw httpError(400, 'minBudget must be a positive number of HBAR.');
+    }
+    search.minBudget = minBudget;
+  }
+  if (await SavedSearch.countDocuments({ userAccountId: accountId }) >= MAX_SAVED_SEARCHES) {
+    throw httpError(409, `You can save up to ${MAX_SAVED_SEARCHES} searches.`);
+  }
+  return SavedSearch.create(search);
+};
+
+/**
+ * @param {string} accountId
+ * @param {string} searchId
+ * @returns {Promise<void>}
+ */
+export const deleteSavedSearch = async (accountId, searchId) => {
+  const { deletedCount } = await SavedSearch.deleteOne({ _id: searchId, userAccountId: accountId });
+  if (!deletedCount) {
+    throw httpError(404, 'Saved search not found.');
+  }
+};
+
+// =================================================================
+// Delivery
+// =================================================================
+
+const sendInstantAlert = async (gig, accountId, settings, reasons) => {
+  const sentToday = await GigAlert.countDocuments({
+    userAccountId: accountId,
+    deliveredBy: 'INSTANT',
+    sentAt: { $gte: new Date(Date.now() - DAY_MS) },
+  });
+  // Over the cap, the alert stays pending for the next digest
+  if (sentToday >= settings.maxInstantPerDay) return;
+
+  const profile = await Profile.findOne({ userAccountId: accountId });
+  const alert = { userAccountId: accountId, gigRefId: gig.gigRefId };
+  if (!profile?.email) {
+    await GigAlert.updateOne(alert, { $set: { status: 'SKIPPED' } });
+    return;
+  }
+  await sendEmail({
+    to: profile.email,
+    type: 'NEW_GIG_ALERT',
+    data: {
+      name: profile.name,
+      gigTitle: gig.title,
+      gigRefId: gig.gigRefId,
+      description: gig.description,
+      budget: gig.budget,
+      duration: gig.duration || 'Not specified',
+      matchedBy: describeReasons(reasons),
+      actionUrl: `${FRONTEND_URL}/gigs/${gig.gigRefId}`,
+      ...alertLinks(settings),
+    },
+  });
+  await GigAlert.updateOne(alert, { $set: { status: 'SENT', deliveredBy: 'INSTANT', sentAt: new Date() } });
+};
+
+/**
+ * Stores the alerts of a new gig for the freelancers it matches, and emails the ones who want
+ * instant alerts. Private and no longer open gigs alert nobody. Alerts are stored once per
+ * freelancer and gig, so a gig seen twice is not sent twice.
+ * @param {Object} gig
+ * @returns {Promise<number>} Number of alerts stored.
+ */
+export const queueGigAlerts = async (gig) => {
+  if (gig.visibility !== 'PUBLIC' || gig.status !== 'OPEN') return 0;
+  const matches = await findMatches(gig);
+  if (matches.size === 0) return 0;
+
+  const storedSettings = await GigAlertSettings.find({ userAccountId: { $in: [...matches.keys()] } });
+  const settingsOf = new Map(storedSettings.map((settings) => [settings.userAccountId, settings]));
+
+  let queued = 0;
+  for (const [accountId, allReasons] of matches) {
+    const stored = settingsOf.get(accountId);
+    if (stored?.frequency === 'OFF') continue;
+    const reasons = stored?.matchSkills === false ? allReasons.filter((reason) => !reason.startsWith('skill:')) : allReasons;
+    if (reasons.length === 0) continue;
+
+    try {
+      const { upsertedCount } = await GigAlert.updateOne(
+        { userAccountId: accountId, gigRefId: gig.gigRefId },
+        { $setOnInsert: { reasons, status: 'PENDING' } },
+        { upsert: true }
+      );
+      if (!upsertedCount) continue;
+      queued++;
+
+      const settings = stored || await getSettingsDocument(accountId);
+      if (settings.frequency === 'INSTANT') {
+        await sendInstantAlert(gig, accountId, settings, reasons);
+      }
+    } catch (error) {
+      // Another instance stored the same alert first
+      if (error.code === 11000) continue;
+      console.error(`Error alerting ${accountId} of gig ${gig.gigRefId}:`, error.message);
+    }
+  }
+  return queued;
+};
+
+/**
+ * Event handler (see onEventPublished) queuing the alerts of created gigs.
+ * @param {{type: string, gigRefId: string}} event
+ */
+export const queueGigAlertsForEvent = async (event) => {
+  if (event.type !== 'gig_created') return;
+  const gig = await Gig.findOne({ gigRefId: event.gigRefId });
+  if (gig) await queueGigAlerts(gig);
+};
+
+const sendDigest = async (accountId, now) => {
+  const settings = await getSettingsDocument(accountId);
+  if (settings.frequency === 'OFF') {
+    await skipPendingAlerts(accountId);
+    return false;
+  }
+
+  // Claimed by moving lastDigestAt, so that only one instance sends it. The first digest is due a
+  // period after the settings were created, which also holds back the overflow of instant alerts.
+  const dueBefore = new Date(now.getTime() - DIGEST_PERIODS_MS[settings.frequency]);
+  const claimed = await GigAlertSettings.findOneAndUpdate(
+    { _id: settings._id, $or: [{ lastDigestAt: null, createdAt: { $lte: dueBefore } }, { lastDigestAt: { $lte: dueBefore } }] },
+    { $set: { lastDigestAt: now } }
+  );
+  if (!claimed) return false;
+
+  const alerts = await GigAlert.find({ userAccountId: accountId, status: 'PENDING' }).sort({ createdAt: -1 });
+  if (alerts.length === 0) return false;
+  // Gigs that were assigned or closed since they matched are left out
+  const openGigs = await Gig.find({ gigRefId: { $in: alerts.map((alert) => alert.gigRefId) }, status: 'OPEN', visibility: 'PUBLIC' });
+  const gigOf = new Map(openGigs.map((gig) => [gig.gigRefId, gig]));
+  const deliverable = alerts.filter((alert) => gigOf.has(alert.gigRefId));
+  const profile = await Profile.findOne({ userAccountId: accountId });
+
+  if (deliverable.length > 0 && profile?.email) {
+    const listed = deliverable.slice(0, DIGEST_MAX_GIGS);
+    await sendEmail({
+      to: profile.email,
+      type: 'GIG_ALERT_DIGEST',
+      data: {
+        name: profile.name,
+        period: settings.frequency === 'WEEKLY' ? 'weekly' : 'daily',
+        gigs: listed.map((alert) => {
+          const gig = gigOf.get(alert.gigRefId);
+          return { title: gig.title, budget: gig.budget, matchedBy: describeReasons(alert.reasons), url: `${FRONTEND_URL}/gigs/${gig.gigRefId}` };
+        }),
+        moreCount: deliverable.length - listed.length,
+        gigsUrl: `${FRONTEND_URL}/gigs`,
+        ...alertLinks(settings),
+      },
+    });
+    await GigAlert.updateMany(
+      { _id: { $in: deliverable.map((alert) => alert._id) } },
+      { $set: { status: 'SENT', deliveredBy: 'DIGEST', sentAt: now } }
+    );
+  }
+  await GigAlert.updateMany({ userAccountId: accountId, status: 'PENDING', createdAt: { $lte: now } }, { $set: { status: 'SKIPPED' } });
+  return deliverable.length > 0 && Boolean(profile?.email);
+};
+
+/**
+ * Sends the digests that are due: to DAILY and WEEKLY accounts once per period, and to INSTANT
+ * accounts once a day for the alerts over their cap.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} Number of digests sent.
+ */
+export const sendDueDigests = async ({ now = new Date() } = {}) => {
+  const accountIds = await GigAlert.distinct('userAccountId', { status: 'PENDING' });
+  let sent = 0;
+  for (const accountId of accountIds) {
+    try {
+      if (await sendDigest(accountId, now)) sent++;
+    } catch (error) {
+      console.error(`Error sending the gig digest of ${accountId}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Sends due digests periodically until stopped.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs]
+ * @returns {{stop: function(): void}}
+ */
+export const startGigAlertDigestWorker = ({ intervalMs = DEFAULT_DIGEST_INTERVAL_MS } = {}) => {
+  let stopped = false;
+  let timer = null;
+
+  const run = async () => {
+    try {
+      await sendDueDigests();
+    } catch (error) {
+      console.error('Gig digest worker failed:', error.message);
+    }
+    if (!stopped) timer = setTimeout(run, intervalMs);
+  };
+
+  timer = setTimeout(run, 0);
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
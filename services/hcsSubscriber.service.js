@@ -0,0 +1,188 @@
+import { SyncState } from '../db/models.js';
+import { getMirrorNodeClient } from './mirrorNode.service.js';
+import { getSyncedTopics, createTopicReader, saveCheckpoint } from './hcsSync.service.js';
+
+/**
+ * Live subscribers keep MongoDB current after the startup sync. They receive topic messages from
+ * a "topic message source" so that the transport can be swapped:
+ *
+ *   source.subscribe(topicId, { after, onMessages, onError }) -> { stop() }
+ *     after:      consensus timestamp to resume after
+ *     onMessages: async (records) => void, called with mirror node records in consensus order
+ *                 (or [] after a fetch that found nothing new); the source waits for it before
+ *                 delivering more, and delivers the same records again if it throws
+ *     onError:    (error) => void, called when fetching or onMessages fails (the source keeps retrying)
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const MAX_POLL_INTERVAL_MS = 60000;
+const PAGE_SIZE = 100;
+
+// A subscriber is unhealthy after this many consecutive failures or polling intervals without a poll
+const UNHEALTHY_AFTER_ERRORS = 3;
+const UNHEALTHY_AFTER_MISSED_POLLS = 3;
+
+/**
+ * Source polling the mirror node REST API. Failed polls back off exponentially up to a minute.
+ * @param {Object} [options]
+ * @param {Object} [options.mirrorNode] Mirror node client (defaults to the configured one).
+ * @param {number} [options.intervalMs]
+ */
+export const createPollingTopicSource = ({ mirrorNode = getMirrorNodeClient(), intervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) => ({
+  intervalMs,
+
+  subscribe(topicId, { after, onMessages, onError }) {
+    let stopped = false;
+    let timer = null;
+    let delay = intervalMs;
+
+    const poll = async () => {
+      try {
+        // Drain everything that is available before waiting again
+        for (;;) {
+          const records = await mirrorNode.getTopicMessages(topicId, { after, limit: PAGE_SIZE });
+          if (stopped) return;
+          if (records.length > 0) {
+            await onMessages(records);
+            after = records[records.length - 1].consensus_timestamp;
+          } else {
+            await onMessages([]);
+          }
+          if (records.length < PAGE_SIZE) break;
+        }
+        delay = intervalMs;
+      } catch (error) {
+        onError(error);
+        delay = Math.min(delay * 2, MAX_POLL_INTERVAL_MS);
+      }
+      if (!stopped) timer = setTimeout(poll, delay);
+    };
+
+    timer = setTimeout(poll, 0);
+    return {
+      stop() {
+        stopped = true;
+        clearTimeout(timer);
+      },
+    };
+  },
+});
+
+/**
+ * In-memory source for development and tests: nothing is fetched, messages are delivered
+ * by calling publish(topicId, records).
+ */
+export const createLocalTopicSource = () => {
+  const subscriptions = new Map();
+
+  return {
+    intervalMs: null,
+
+    subscribe(topicId, { onMessages, onError }) {
+      subscriptions.set(topicId, { onMessages, onError });
+      return {
+        stop() {
+          subscriptions.delete(topicId);
+        },
+      };
+    },
+
+    async publish(topicId, records) {
+      const subscription = subscriptions.get(topicId);
+      if (!subscription) return;
+      try {
+        await subscription.onMessages(records);
+      } catch (error) {
+        subscription.onError(error);
+        throw error;
+      }
+    },
+
+    fail(topicId, error) {
+      subscriptions.get(topicId)?.onError(error);
+    },
+  };
+};
+
+const subscribers = new Map();
+let activeSource = null;
+
+const isHealthy = (health) => {
+  if (!health.running || health.consecutiveErrors >= UNHEALTHY_AFTER_ERRORS) return false;
+  // Polling sources must keep polling; pushed sources only need to be running
+  if (!activeSource?.intervalMs) return true;
+  const lastPoll = health.lastPollAt || health.startedAt;
+  return Date.now() - lastPoll.getTime() < activeSource.intervalMs * UNHEALTHY_AFTER_MISSED_POLLS;
+};
+
+/**
+ * Starts one subscriber per synced topic, resuming from the topic's sync checkpoint and applying
+ * messages with the same processors as the startup sync.
+ * @param {{profileTopicId: string, gigsTopicId: string, messagesTopicId: string}} topicIds
+ * @param {Object} [options]
+ * @param {Object} [options.source] Topic message source (defaults to mirror node polling).
+ */
+export const startHcsSubscribers = async (topicIds, { source = createPollingTopicSource() } = {}) => {
+  stopHcsSubscribers();
+  activeSource = source;
+
+  for (const { name, topicId, processor } of getSyncedTopics(topicIds)) {
+    const state = await SyncState.findOne({ topicId });
+    const health = {
+      name,
+      topicId,
+      running: true,
+      startedAt: new Date(),
+      lastPollAt: null,
+      lastMessageAt: null,
+      messagesApplied: 0,
+      consecutiveErrors: 0,
+      lastError: null,
+      lastErrorAt: null,
+    };
+
+    const reader = createTopicReader(processor);
+    const onMessages = async (records) => {
+      health.lastPollAt = new Date();
+      if (records.length > 0) {
+        const { applied, checkpoint } = await reader.apply(records);
+        await saveCheckpoint(topicId, checkpoint, applied);
+        health.messagesApplied += applied;
+        health.lastMessageAt = new Date();
+      }
+      health.consecutiveErrors = 0;
+    };
+
+    const onError = (error) => {
+      health.consecutiveErrors++;
+      health.lastError = error.message;
+      health.lastErrorAt = new Date();
+      console.error(`[${name.toUpperCase()}] HCS subscriber error on topic ${topicId}:`, error.message);
+    };
+
+    const subscription = source.subscribe(topicId, { after: state?.lastConsensusTimestamp ?? null, onMessages, onError });
+    subscribers.set(topicId, { health, subscription });
+  }
+
+  console.log(`--- HCS subscribers started for ${subscribers.size} topics ---`);
+};
+
+/**
+ * Stops all running subscribers.
+ */
+export const stopHcsSubscribers = () => {
+  for (const { health, subscription } of subscribers.values()) {
+    subscription.stop();
+    health.running = false;
+  }
+  subscribers.clear();
+};
+
+/**
+ * Health of each running subscriber.
+ * @returns {Object[]}
+ */
+export const getSubscriberStatus = () => Array.from(subscribers.values()).map(({ health }) => ({
+  ...health,
+  healthy: isHealthy(health),
+}));
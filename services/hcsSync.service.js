@@ -1,113 +1,500 @@
-import axios from 'axios';
-import { Gig, Profile, Message } from '../db/models.js';
+import { Gig, Profile, Application, Invitation, Review, SyncState, QuarantinedMessage } from '../db/models.js';
+import { getMirrorNodeClient } from './mirrorNode.service.js';
+import { reassembleTopicMessage } from './transactionVerification.service.js';
+import { parseHcsMessage } from '../utils/hcsMessages.js';
+import { resolveReviewee } from '../utils/reviews.js';
+import { applyProfileMessage } from './profile.service.js';
+import { recordChatMessage } from './chat.service.js';
+import {
+  publishApplicationEvent,
+  publishInvitationEvent,
+  publishGigCreatedEvent,
+  publishGigUpdatedEvent,
+  publishReviewEvent,
+} from './events.service.js';
+
+const PAGE_SIZE = 100;
+
+// Mirror node requests are retried with exponential backoff: 1s, 2s, 4s, 8s
+const RETRY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Consensus time within which all the chunks of a message must arrive; a message still incomplete
+// after that is quarantined, so that it does not hold the checkpoint back
+const CHUNK_WINDOW_SECONDS = 300;
 
 /**
- * Fetches all historical messages from a Hedera Consensus Service topic via the Mirror Node
- * and processes them to build or update the local state.
- * @param {string} topicId The ID of the HCS topic.
- * @param {function(Object, Object):void} processor Function to handle each decoded message payload.
- * @returns {Promise<number>} The number of messages processed.
+ * Runs an operation, retrying failures with exponential backoff.
+ * @param {function(): Promise<*>} operation
+ * @param {string} label Used in log lines.
+ * @returns {Promise<*>}
  */
-export const fetchAndProcessTopicMessages = async (topicId, processor) => {
-  const MIRROR_NODE_URL = `https://testnet.mirrornode.hedera.com/api/v1`;
-  let nextUrl = `${MIRROR_NODE_URL}/topics/${topicId}/messages?limit=100`;
-  let processedCount = 0;
-
-  while (nextUrl) {
+const withRetry = async (operation, label) => {
+  for (let attempt = 1; ; attempt++) {
     try {
-      const response = await axios.get(nextUrl);
-      const messages = response.data.messages;
-
-      for (const msg of messages) {
-        const messageString = Buffer.from(msg.message, 'base64').toString('utf-8');
-        try {
-          const messageJson = JSON.parse(messageString);
-          processor(messageJson, msg);
-          processedCount++;
-        } catch (_) {
-          // ignore non-JSON messages
-        }
-      }
-
-      nextUrl = response.data.links?.next ? `${MIRROR_NODE_URL}${response.data.links.next}` : null;
+      return await operation();
     } catch (error) {
-      console.error(`Error fetching messages for topic ${topicId}:`, error.message);
-      break;
+      if (attempt >= RETRY_ATTEMPTS) throw error;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`${label} failed (attempt ${attempt}/${RETRY_ATTEMPTS}): ${error.message}. Retrying in ${delay}ms.`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
-  return processedCount;
+};
+
+// =================================================================
+// Processors: apply one validated topic message (see utils/hcsMessages.js) to MongoDB. They are
+// idempotent upserts, so replaying messages after an interrupted sync is harmless. The second
+// argument is the mirror node record of the message (consensus_timestamp, sequence_number,
+// payer_account_id...).
+// =================================================================
+
+// Publishes the application or invitation of a gig and freelancer when a handler changed it. Changes the
+// record-* routes already made are not changed again, so they are not published twice.
+const publishIfChanged = async (model, publish, { upsertedCount, modifiedCount }, gigRefId, freelancerId) => {
+  if (!upsertedCount && !modifiedCount) return;
+  const document = await model.findOne({ gigRefId, freelancerId });
+  if (document) await publish(document);
+};
+
+// Applications, invitations and reviews share the gigs topic, so they are ordered after the gig they refer to
+const GIG_TOPIC_HANDLERS = {
+  GIG_CREATE: async ({ type, version, ...fields }, record) => {
+    const result = await Gig.updateOne(
+      { gigRefId: fields.gigRefId },
+      {
+        $setOnInsert: {
+          ...fields,
+          status: 'OPEN',
+          escrowContractId: null,
+          assignedFreelancerId: null,
+        },
+        $set: { hcsSequenceNumber: record.sequence_number },
+      },
+      { upsert: true }
+    );
+    // Gigs stored by record-creation were published there
+    if (result.upsertedCount) {
+      await publishGigCreatedEvent(await Gig.findOne({ gigRefId: fields.gigRefId }));
+    }
+  },
+  // Updates only apply to gigs whose creation has been seen
+  GIG_UPDATE: async ({ type, version, ...fields }) => {
+    const { modifiedCount } = await Gig.updateOne({ gigRefId: fields.gigRefId }, { $set: fields });
+    if (modifiedCount) await publishGigUpdatedEvent(fields.gigRefId);
+  },
+  APPLICATION_SUBMIT: async ({ gigRefId, freelancerId, coverLetter, proposedRate, timestamp }, record) => {
+    const result = await Application.updateOne(
+      { gigRefId, freelancerId },
+      {
+        $setOnInsert: { coverLetter, proposedRate, status: 'PENDING', appliedAt: new Date(timestamp) },
+        $set: { hcsSequenceNumber: record.sequence_number },
+      },
+      { upsert: true }
+    );
+    await publishIfChanged(Application, publishApplicationEvent, { upsertedCount: result.upsertedCount }, gigRefId, freelancerId);
+  },
+  // Accepting an application rejects the other pending ones, as the accept endpoint does
+  APPLICATION_ACCEPT: async ({ gigRefId, freelancerId }) => {
+    const result = await Application.updateOne({ gigRefId, freelancerId }, { status: 'ACCEPTED' });
+    await publishIfChanged(Application, publishApplicationEvent, result, gigRefId, freelancerId);
+    const others = await Application.find({ gigRefId, freelancerId: { $ne: freelancerId }, status: 'PENDING' }).select('freelancerId');
+    await Application.updateMany({ _id: { $in: others.map((other) => other._id) } }, { status: 'REJECTED' });
+    for (const other of others) {
+      await publishApplicationEvent({ _id: other._id, gigRefId, freelancerId: other.freelancerId, status: 'REJECTED' });
+    }
+  },
+  APPLICATION_REJECT: async ({ gigRefId, freelancerId }) => {
+    const result = await Application.updateOne({ gigRefId, freelancerId }, { status: 'REJECTED' });
+    await publishIfChanged(Application, publishApplicationEvent, result, gigRefId, freelancerId);
+  },
+  INVITATION_SEND: async ({ gigRefId, freelancerId, message, timestamp }, record) => {
+    const result = await Invitation.updateOne(
+      { gigRefId, freelancerId },
+      {
+        $setOnInsert: { message, status: 'PENDING', invitedAt: new Date(timestamp) },
+        $set: { hcsSequenceNumber: record.sequence_number },
+      },
+      { upsert: true }
+    );
+    await publishIfChanged(Invitation, publishInvitationEvent, { upsertedCount: result.upsertedCount }, gigRefId, freelancerId);
+  },
+  INVITATION_ACCEPT: async ({ gigRefId, freelancerId }) => {
+    const result = await Invitation.updateOne({ gigRefId, freelancerId }, { status: 'ACCEPTED' });
+    await publishIfChanged(Invitation, publishInvitationEvent, result, gigRefId, freelancerId);
+  },
+  INVITATION_REJECT: async ({ gigRefId, freelancerId }) => {
+    const result = await Invitation.updateOne({ gigRefId, freelancerId }, { status: 'REJECTED' });
+    await publishIfChanged(Invitation, publishInvitationEvent, result, gigRefId, freelancerId);
+  },
+  REVIEW_CREATE: async ({ gigRefId, reviewerId, revieweeId, rating, comment, reviewType }, record) => {
+    const { upsertedCount } = await Review.updateOne(
+      { gigRefId, reviewerId },
+      {
+        $setOnInsert: { revieweeId, rating, comment, reviewType },
+        $set: { hcsSequenceNumber: record.sequence_number },
+      },
+      { upsert: true }
+    );
+    // Reviews stored by record-submit were published there
+    if (upsertedCount) {
+      await publishReviewEvent(await Review.findOne({ gigRefId, reviewerId }));
+    }
+  },
+};
+
+const processGigMessage = async (message, record) => {
+  const handler = GIG_TOPIC_HANDLERS[message.type];
+  if (handler) await handler(message, record);
+};
+
+const processProfileMessage = async (message, record) => {
+  if (message.type !== 'PROFILE_CREATE' && message.type !== 'PROFILE_UPDATE') return;
+  await applyProfileMessage(message, record);
+};
+
+const processChatMessage = async (message, record) => {
+  if (message.type !== 'GIG_MESSAGE') return;
+  await recordChatMessage(message, record);
+};
+
+// =================================================================
+// Authorization: anyone can submit to the topics, so each message must be valid and have been
+// paid for by the account it claims as author. Rejected messages are quarantined instead of applied.
+// =================================================================
+
+// Field holding the claimed author of each message type
+const AUTHOR_FIELDS = {
+  GIG_CREATE: 'clientId',
+  GIG_UPDATE: 'clientId',
+  PROFILE_CREATE: 'userAccountId',
+  PROFILE_UPDATE: 'userAccountId',
+  GIG_MESSAGE: 'senderId',
+  APPLICATION_SUBMIT: 'freelancerId',
+  APPLICATION_ACCEPT: 'clientId',
+  APPLICATION_REJECT: 'clientId',
+  INVITATION_SEND: 'clientId',
+  INVITATION_ACCEPT: 'freelancerId',
+  INVITATION_REJECT: 'freelancerId',
+  REVIEW_CREATE: 'reviewerId',
+};
+
+// Messages about a gig that only its owner on record may send, whatever clientId they claim
+const requireGigOwner = async (message, payer) => {
+  const gig = await Gig.findOne({ gigRefId: message.gigRefId }).select('clientId');
+  if (!gig) return `${message.type} for an unknown gig.`;
+  if (payer !== gig.clientId) return `${message.type} must be paid by the gig owner.`;
+  if (message.clientId && message.clientId !== gig.clientId) return `${message.type} clientId does not match the gig owner.`;
+  return null;
+};
+
+// Responses to an invitation must be paid by the invited freelancer
+const requireInvitee = async (message, payer) => {
+  if (payer !== message.freelancerId) return `${message.type} must be paid by its freelancerId.`;
+  const invitation = await Invitation.findOne({ gigRefId: message.gigRefId, freelancerId: message.freelancerId }).select('_id');
+  return invitation ? null : `${message.type} for an unknown invitation.`;
+};
+
+// Per-type rules: resolve to a rejection reason, or null when the payer may submit the message.
+// Every type registered in utils/hcsMessages.js needs a rule.
+const AUTHORIZATION_RULES = {
+  GIG_CREATE: async (message, payer) => {
+    if (payer !== message.clientId) return 'GIG_CREATE must be paid by its clientId.';
+    const existing = await Gig.findOne({ gigRefId: message.gigRefId }).select('clientId');
+    if (existing && existing.clientId !== message.clientId) return 'gigRefId already belongs to another client.';
+    return null;
+  },
+  GIG_UPDATE: requireGigOwner,
+  PROFILE_CREATE: async (message, payer) => (payer === message.userAccountId ? null : 'PROFILE_CREATE must be paid by its userAccountId.'),
+  PROFILE_UPDATE: async (message, payer) => {
+    if (payer !== message.userAccountId) return 'PROFILE_UPDATE must be paid by its userAccountId.';
+    const profile = await Profile.findOne({ userAccountId: message.userAccountId }).select('_id');
+    return profile ? null : 'PROFILE_UPDATE for an unknown profile.';
+  },
+  // Only the gig's participants may chat, as the prepare-message endpoint checks
+  GIG_MESSAGE: async (message, payer) => {
+    if (payer !== message.senderId) return 'GIG_MESSAGE must be paid by its senderId.';
+    const gig = await Gig.findOne({ gigRefId: message.gigRefId }).select('clientId assignedFreelancerId');
+    if (!gig) return 'GIG_MESSAGE for an unknown gig.';
+    if (message.senderId !== gig.clientId && message.senderId !== gig.assignedFreelancerId) return 'GIG_MESSAGE sender is not a participant of the gig.';
+    return null;
+  },
+  APPLICATION_SUBMIT: async (message, payer) => {
+    if (payer !== message.freelancerId) return 'APPLICATION_SUBMIT must be paid by its freelancerId.';
+    const gig = await Gig.findOne({ gigRefId: message.gigRefId }).select('visibility');
+    if (!gig) return 'APPLICATION_SUBMIT for an unknown gig.';
+    if (gig.visibility !== 'PUBLIC') return 'APPLICATION_SUBMIT for a private gig.';
+    return null;
+  },
+  APPLICATION_ACCEPT: requireGigOwner,
+  APPLICATION_REJECT: requireGigOwner,
+  INVITATION_SEND: requireGigOwner,
+  INVITATION_ACCEPT: requireInvitee,
+  INVITATION_REJECT: requireInvitee,
+  // Reviewer and reviewee must be the gig's participants, as the submit endpoint determines them
+  REVIEW_CREATE: async (message, payer) => {
+    if (payer !== message.reviewerId) return 'REVIEW_CREATE must be paid by its reviewerId.';
+    const gig = await Gig.findOne({ gigRefId: message.gigRefId }).select('clientId assignedFreelancerId');
+    if (!gig) return 'REVIEW_CREATE for an unknown gig.';
+    const expected = resolveReviewee(gig, message.reviewerId);
+    if (!expected) return 'REVIEW_CREATE reviewer is not a participant of the gig.';
+    if (expected.revieweeId !== message.revieweeId || expected.reviewType !== message.reviewType) {
+      return 'REVIEW_CREATE reviewee does not match the gig participants.';
+    }
+    return null;
+  },
+};
+
+// message is null when the contents are not JSON; the raw contents are kept instead
+const quarantine = async (message, record, reason) => {
+  const type = typeof message?.type === 'string' ? message.type : null;
+  console.warn(`Quarantined HCS message ${record.topic_id}#${record.sequence_number} (${type}): ${reason}`);
+  await QuarantinedMessage.updateOne(
+    { topicId: record.topic_id, sequenceNumber: record.sequence_number },
+    {
+      $setOnInsert: {
+        consensusTimestamp: record.consensus_timestamp,
+        payerAccountId: record.payer_account_id,
+        type,
+        claimedAuthor: type ? message[AUTHOR_FIELDS[type]] : undefined,
+        reason,
+        payload: message ?? { raw: Buffer.from(record.message, 'base64').toString('utf-8') },
+      },
+    },
+    { upsert: true }
+  );
 };
 
 /**
- * Orchestrates the synchronization of MongoDB with the latest state from HCS.
- * Keeps backward compatibility by defaulting visibility to PUBLIC when missing.
+ * The synced topics with their processors.
+ * @param {{profileTopicId: string, gigsTopicId: string, messagesTopicId: string}} topicIds
  */
-export const syncFromMirrorNode = async ({ profileTopicId, gigsTopicId, messagesTopicId }) => {
-  console.log('--- Starting HCS Synchronization ---');
+export const getSyncedTopics = ({ profileTopicId, gigsTopicId, messagesTopicId }) => [
+  { name: 'gigs', topicId: gigsTopicId, processor: processGigMessage },
+  { name: 'profiles', topicId: profileTopicId, processor: processProfileMessage },
+  { name: 'messages', topicId: messagesTopicId, processor: processChatMessage },
+];
 
-  // 1. Gigs
-  const gigsMap = new Map();
-  const gigsProcessor = (message) => {
-    if (message.type === 'GIG_CREATE') {
-      gigsMap.set(message.gigRefId, {
-        ...message,
-        status: 'OPEN',
-        visibility: message.visibility || 'PUBLIC',
-        escrowContractId: null,
-        assignedFreelancerId: null,
-      });
-    } else if (message.type === 'GIG_UPDATE' && gigsMap.has(message.gigRefId)) {
-      const existing = gigsMap.get(message.gigRefId);
-      gigsMap.set(message.gigRefId, { ...existing, ...message });
+/**
+ * Decodes and validates a mirror node topic message record (migrating older message versions),
+ * checks that its payer is its author and hands it to the processor. A message the processor
+ * fails on is quarantined with the error, so that it cannot stop the topic's sync.
+ * @returns {Promise<boolean>} false when the message was quarantined.
+ */
+export const applyTopicMessage = async (processor, record) => {
+  const parsed = parseHcsMessage(Buffer.from(record.message, 'base64').toString('utf-8'));
+  if (!parsed.success) {
+    await quarantine(parsed.message, record, parsed.error);
+    return false;
+  }
+  const { message } = parsed;
+
+  const reason = record.payer_account_id
+    ? await AUTHORIZATION_RULES[message.type](message, record.payer_account_id)
+    : 'The mirror node record has no payer_account_id.';
+  if (reason) {
+    await quarantine(message, record, reason);
+    return false;
+  }
+
+  try {
+    await processor(message, record);
+  } catch (error) {
+    await quarantine(message, record, `Applying the message failed: ${error.message}`);
+    return false;
+  }
+  return true;
+};
+
+const initialTransactionKey = ({ account_id: accountId, transaction_valid_start: validStart, nonce }) => `${accountId}@${validStart}/${nonce || 0}`;
+
+/**
+ * Applies the records of a topic, page after page, in consensus order. Messages over 1024 bytes
+ * arrive as several chunk records: these are buffered by initial transaction until the last one
+ * arrives, then reassembled and applied as one message, with the consensus timestamp, sequence
+ * number and payer of the first chunk (as record-* calls see it).
+ * @param {function(Object, Object): Promise<void>} processor
+ * @returns {{apply: function(Object[]): Promise<{applied: number, checkpoint: (Object|null)}>}}
+ *   checkpoint is the newest record the topic's checkpoint may move to, the one before the first
+ *   chunk of any message still incomplete (null while there is none yet).
+ */
+export const createTopicReader = (processor) => {
+  const pending = new Map();
+  let checkpoint = null;
+
+  const expireIncomplete = async (timestamp) => {
+    for (const [key, group] of pending) {
+      if (Number(timestamp) - Number(group.startedAt) <= CHUNK_WINDOW_SECONDS) continue;
+      pending.delete(key);
+      for (const chunk of group.chunks.values()) {
+        await quarantine(null, chunk, `Incomplete chunked message: ${group.chunks.size} of ${group.total} chunks arrived.`);
+      }
     }
   };
-  const gigsCount = await fetchAndProcessTopicMessages(gigsTopicId, gigsProcessor);
 
-  const gigsBulkOps = Array.from(gigsMap.values()).map((gig) => ({
-    updateOne: {
-      filter: { gigRefId: gig.gigRefId },
-      update: { $set: gig },
-      upsert: true,
-    },
-  }));
-  if (gigsBulkOps.length > 0) await Gig.bulkWrite(gigsBulkOps);
-  console.log(`[GIGS] Synced ${gigsCount} HCS messages. ${gigsMap.size} unique gigs loaded.`);
-
-  // 2. Profiles
-  const profilesMap = new Map();
-  const profilesProcessor = (message) => {
-    if (message.type === 'PROFILE_CREATE') {
-      profilesMap.set(message.userAccountId, message);
+  const applyRecord = async (record) => {
+    const info = record.chunk_info;
+    if (!(info?.total > 1)) return applyTopicMessage(processor, record);
+
+    // Chunks are transactions of their own, all paid by the account of the first one
+    if (!info.initial_transaction_id || record.payer_account_id !== info.initial_transaction_id.account_id) {
+      await quarantine(null, record, 'Chunk not paid by the account of its initial transaction.');
+      return false;
+    }
+    if (!Number.isInteger(info.number) || info.number < 1 || info.number > info.total) {
+      await quarantine(null, record, `Invalid chunk number ${info.number} of ${info.total}.`);
+      return false;
     }
+    const key = initialTransactionKey(info.initial_transaction_id);
+    if (!pending.has(key)) pending.set(key, { startedAt: record.consensus_timestamp, total: info.total, chunks: new Map() });
+    const group = pending.get(key);
+    if (!group.chunks.has(info.number)) group.chunks.set(info.number, record);
+    if (group.chunks.size < group.total) return false;
+
+    pending.delete(key);
+    const [first, ...others] = [...group.chunks.values()].sort((a, b) => a.chunk_info.number - b.chunk_info.number);
+    return applyTopicMessage(processor, await reassembleTopicMessage(getMirrorNodeClient(), [first, ...others]));
   };
-  const profilesCount = await fetchAndProcessTopicMessages(profileTopicId, profilesProcessor);
 
-  const profilesBulkOps = Array.from(profilesMap.values()).map((profile) => ({
-    updateOne: {
-      filter: { userAccountId: profile.userAccountId },
-      update: { $set: profile },
-      upsert: true,
+  return {
+    async apply(records) {
+      let applied = 0;
+      for (const record of records) {
+        await expireIncomplete(record.consensus_timestamp);
+        if (await applyRecord(record)) applied++;
+        if (pending.size === 0) checkpoint = record;
+      }
+      return { applied, checkpoint };
     },
-  }));
-  if (profilesBulkOps.length > 0) await Profile.bulkWrite(profilesBulkOps);
-  console.log(`[PROFILES] Synced ${profilesCount} HCS messages. ${profilesMap.size} unique profiles loaded.`);
-
-  // 3. Messages
-  const messagesArray = [];
-  const messagesProcessor = (message) => {
-    if (message.type === 'GIG_MESSAGE' && message.gigRefId) {
-      messagesArray.push(message);
-    }
   };
-  const messagesCount = await fetchAndProcessTopicMessages(messagesTopicId, messagesProcessor);
+};
+
+/**
+ * Moves a topic's checkpoint to the given record, up to which all messages have been applied.
+ * @param {string} topicId
+ * @param {Object|null} record Mirror node record (null: the checkpoint stays, only the count changes).
+ * @param {number} processedCount Number of messages that were applied.
+ */
+export const saveCheckpoint = async (topicId, record, processedCount) => {
+  const update = { lastSyncedAt: new Date(), $inc: { messagesProcessed: processedCount } };
+  if (record) {
+    update.lastConsensusTimestamp = record.consensus_timestamp;
+    update.lastSequenceNumber = record.sequence_number;
+  }
+  await SyncState.updateOne({ topicId }, update);
+};
+
+/**
+ * Fetches the messages of a topic published since its checkpoint, in consensus order, applies
+ * them and advances the checkpoint page by page. Messages that cannot be applied are quarantined
+ * and skipped. Mirror node requests are retried with backoff; a failure is stored on the topic's
+ * SyncState and rethrown, leaving the checkpoint at the last fully applied page.
+ * @param {{name: string, topicId: string, processor: function(Object, Object): Promise<void>}} topic
+ * @returns {Promise<number>} The number of messages processed.
+ */
+export const syncTopic = async ({ name, topicId, processor }) => {
+  const mirrorNode = getMirrorNodeClient();
+  const state = await SyncState.findOneAndUpdate(
+    { topicId },
+    { name },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const reader = createTopicReader(processor);
+  let after = state.lastConsensusTimestamp;
+  let processedCount = 0;
+  try {
+    for (;;) {
+      const records = await withRetry(
+        () => mirrorNode.getTopicMessages(topicId, { after, limit: PAGE_SIZE }),
+        `[${name.toUpperCase()}] Fetching messages of topic ${topicId}`
+      );
+      if (records.length === 0) break;
+
+      const { applied, checkpoint } = await reader.apply(records);
+      await saveCheckpoint(topicId, checkpoint, applied);
+      processedCount += applied;
+      after = records[records.length - 1].consensus_timestamp;
+
+      if (records.length < PAGE_SIZE) break;
+    }
+  } catch (error) {
+    await SyncState.updateOne(
+      { topicId },
+      { lastError: error.message, lastErrorAt: new Date(), $inc: { consecutiveFailures: 1 } }
+    );
+    throw error;
+  }
+
+  await SyncState.updateOne({ topicId }, { lastError: null, consecutiveFailures: 0, lastSyncedAt: new Date() });
+  return processedCount;
+};
+
+/**
+ * Brings MongoDB up to date with the HCS topics, resuming each topic from its checkpoint.
+ * A failing topic is logged and does not stop the others.
+ * @param {{profileTopicId: string, gigsTopicId: string, messagesTopicId: string}} topicIds
+ * @returns {Promise<Object[]>} Per topic: { name, topicId, processed } or { name, topicId, error }.
+ */
+export const syncFromMirrorNode = async (topicIds) => {
+  console.log('--- Starting HCS Synchronization ---');
 
-  await Message.deleteMany({});
-  if (messagesArray.length > 0) {
-    await Message.insertMany(messagesArray, { ordered: false }).catch((err) => {
-      if (err.code !== 11000) throw err;
-    });
+  const results = [];
+  for (const topic of getSyncedTopics(topicIds)) {
+    const label = `[${topic.name.toUpperCase()}]`;
+    try {
+      const processed = await syncTopic(topic);
+      console.log(`${label} Synced ${processed} new HCS messages.`);
+      results.push({ name: topic.name, topicId: topic.topicId, processed });
+    } catch (error) {
+      console.error(`${label} Sync of topic ${topic.topicId} failed:`, error.message);
+      results.push({ name: topic.name, topicId: topic.topicId, error: error.message });
+    }
   }
-  console.log(`[MESSAGES] Synced ${messagesCount} HCS messages.`);
 
   console.log('--- HCS Synchronization Complete ---');
+  return results;
+};
+
+const consensusSeconds = (timestamp) => (timestamp ? Number(timestamp) : null);
+
+/**
+ * Reports, per topic, the checkpoint and how far it is behind the newest message on the mirror node.
+ * @param {{profileTopicId: string, gigsTopicId: string, messagesTopicId: string}} topicIds
+ * @returns {Promise<Object[]>}
+ */
+export const getSyncStatus = async (topicIds) => {
+  const mirrorNode = getMirrorNodeClient();
+
+  return Promise.all(getSyncedTopics(topicIds).map(async ({ name, topicId }) => {
+    const state = await SyncState.findOne({ topicId });
+    const status = {
+      name,
+      topicId,
+      lastConsensusTimestamp: state?.lastConsensusTimestamp ?? null,
+      lastSequenceNumber: state?.lastSequenceNumber ?? 0,
+      messagesProcessed: state?.messagesProcessed ?? 0,
+      lastSyncedAt: state?.lastSyncedAt ?? null,
+      lastError: state?.lastError ?? null,
+      lastErrorAt: state?.lastErrorAt ?? null,
+      consecutiveFailures: state?.consecutiveFailures ?? 0,
+    };
+
+    try {
+      const latest = await mirrorNode.getLatestTopicMessage(topicId);
+      status.latestSequenceNumber = latest?.sequence_number ?? 0;
+      status.messagesBehind = Math.max(status.latestSequenceNumber - status.lastSequenceNumber, 0);
+      // Consensus time between the last applied message and the newest one (null before the first sync)
+      if (status.messagesBehind === 0) {
+        status.lagSeconds = 0;
+      } else {
+        status.lagSeconds = status.lastConsensusTimestamp
+          ? consensusSeconds(latest.consensus_timestamp) - consensusSeconds(status.lastConsensusTimestamp)
+          : null;
+      }
+    } catch (error) {
+      status.mirrorNodeError = error.message;
+    }
+    return status;
+  }));
 };
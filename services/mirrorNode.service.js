@@ -0,0 +1,191 @@
+import axios from 'axios';
+import fs from 'fs';
+
+/**
+ * Mirror node access goes through a small client object so that it can be
+ * replaced by a local fake (no network) in development and tests.
+ *
+ * A client implements (all return the mirror node REST shape, or null when not found):
+ *   getAccount(accountId)                    -> /accounts/{id}
+ *   getTransaction(transactionId)            -> first entry of /transactions/{id}
+ *   getTopicMessage(consensusTimestamp)      -> /topics/messages/{timestamp}
+ *   getContractResult(transactionId)         -> /contracts/results/{id}
+ *   getContract(contractId)                  -> /contracts/{id}
+ *   getTopicMessages(topicId, { after, limit }) -> messages of /topics/{id}/messages in consensus
+ *                                               order, after the given consensus timestamp (array)
+ *   getLatestTopicMessage(topicId)           -> newest message of the topic
+ * Transaction IDs are passed in mirror node format (see toMirrorTransactionId).
+ */
+
+const DEFAULT_MIRROR_NODE_URL = 'https://testnet.mirrornode.hedera.com/api/v1';
+
+/**
+ * Converts an SDK transaction ID (0.0.1234@1700000000.123456789) to the format used by the
+ * mirror node (0.0.1234-1700000000-123456789). IDs already in mirror format are returned as-is.
+ * @param {string} transactionId
+ * @returns {string}
+ */
+export const toMirrorTransactionId = (transactionId) => String(transactionId).replace(/@(\d+)\.(\d+)/, '-$1-$2');
+
+const getOrNull = async (url) => {
+  try {
+    const response = await axios.get(url);
+    return response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Mirror node client backed by the public REST API.
+ * @param {string} [baseUrl] Mirror node REST base URL (including /api/v1).
+ */
+export const createHttpMirrorNodeClient = (baseUrl = DEFAULT_MIRROR_NODE_URL) => ({
+  async getAccount(accountId) {
+    return getOrNull(`${baseUrl}/accounts/${accountId}`);
+  },
+
+  async getTransaction(transactionId) {
+    const data = await getOrNull(`${baseUrl}/transactions/${toMirrorTransactionId(transactionId)}`);
+    // Child and scheduled transactions share the ID; the user-submitted one has nonce 0
+    const transactions = data?.transactions || [];
+    return transactions.find((tx) => !tx.nonce && !tx.scheduled) || transactions[0] || null;
+  },
+
+  async getTopicMessage(consensusTimestamp) {
+    return getOrNull(`${baseUrl}/topics/messages/${consensusTimestamp}`);
+  },
+
+  async getContractResult(transactionId) {
+    return getOrNull(`${baseUrl}/contracts/results/${toMirrorTransactionId(transactionId)}`);
+  },
+
+  async getContract(contractId) {
+    return getOrNull(`${baseUrl}/contracts/${contractId}`);
+  },
+
+  async getTopicMessages(topicId, { after, limit = 100 } = {}) {
+    const timestampFilter = after ? `&timestamp=gt:${after}` : '';
+    const data = await getOrNull(`${baseUrl}/topics/${topicId}/messages?order=asc&limit=${limit}${timestampFilter}`);
+    return data?.messages || [];
+  },
+
+  async getLatestTopicMessage(topicId) {
+    const data = await getOrNull(`${baseUrl}/topics/${topicId}/messages?order=desc&limit=1`);
+    return data?.messages?.[0] || null;
+  },
+});
+
+// Consensus timestamps are "seconds.nanoseconds" strings
+const timestampToBigInt = (timestamp) => {
+  const [seconds, nanos = '0'] = String(timestamp).split('.');
+  return BigInt(seconds) * 1_000_000_000n + BigInt(nanos.padEnd(9, '0'));
+};
+
+/**
+ * In-memory mirror node client. Fixtures use the same shape the REST API returns,
+ * e.g. { accounts: { '0.0.1234': { account: '0.0.1234', key: { _type: 'ED25519', key: '...' } } } },
+ * with transactions and contract results keyed by mirror-format transaction ID, contracts keyed by
+ * contract ID and topic messages (which carry their topic_id and sequence_number) keyed by
+ * consensus timestamp.
+ * @param {Object} [fixtures]
+ */
+export const createLocalMirrorNodeClient = (fixtures = {}) => {
+  const accounts = new Map(Object.entries(fixtures.accounts || {}));
+  const transactions = new Map(Object.entries(fixtures.transactions || {}));
+  const topicMessages = new Map(Object.entries(fixtures.topicMessages || {}));
+  const contractResults = new Map(Object.entries(fixtures.contractResults || {}));
+  const contracts = new Map(Object.entries(fixtures.contracts || {}));
+
+  return {
+    async getAccount(accountId) {
+      const account = accounts.get(accountId);
+      return account ? { account: accountId, ...account } : null;
+    },
+
+    async getTransaction(transactionId) {
+      const id = toMirrorTransactionId(transactionId);
+      const transaction = transactions.get(id);
+      return transaction ? { transaction_id: id, ...transaction } : null;
+    },
+
+    async getTopicMessage(consensusTimestamp) {
+      const message = topicMessages.get(consensusTimestamp);
+      return message ? { consensus_timestamp: consensusTimestamp, ...message } : null;
+    },
+
+    async getContractResult(transactionId) {
+      return contractResults.get(toMirrorTransactionId(transactionId)) || null;
+    },
+
+    async getContract(contractId) {
+      const contract = contracts.get(contractId);
+      return contract ? { contract_id: contractId, ...contract } : null;
+    },
+
+    async getTopicMessages(topicId, { after, limit = 100 } = {}) {
+      const afterValue = after ? timestampToBigInt(after) : -1n;
+      return [...topicMessages.entries()]
+        .map(([consensusTimestamp, message]) => ({ consensus_timestamp: consensusTimestamp, ...message }))
+        .filter((message) => message.topic_id === topicId && timestampToBigInt(message.consensus_timestamp) > afterValue)
+        .sort((a, b) => (timestampToBigInt(a.consensus_timestamp) < timestampToBigInt(b.consensus_timestamp) ? -1 : 1))
+        .slice(0, limit);
+    },
+
+    async getLatestTopicMessage(topicId) {
+      const messages = await this.getTopicMessages(topicId, { limit: Infinity });
+      return messages[messages.length - 1] || null;
+    },
+
+    // Helpers for seeding the fake from scripts and tests
+    addAccount(accountId, account) {
+      accounts.set(accountId, account);
+    },
+
+    addTransaction(transactionId, transaction) {
+      transactions.set(toMirrorTransactionId(transactionId), transaction);
+    },
+
+    addTopicMessage(consensusTimestamp, message) {
+      topicMessages.set(consensusTimestamp, message);
+    },
+
+    addContractResult(transactionId, result) {
+      contractResults.set(toMirrorTransactionId(transactionId), result);
+    },
+
+    addContract(contractId, contract) {
+      contracts.set(contractId, contract);
+    },
+  };
+};
+
+const loadFixtures = (filePath) => {
+  if (!filePath) return {};
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+let mirrorNodeClient = null;
+
+/**
+ * Returns the configured mirror node client.
+ * MIRROR_NODE_MODE=local selects the in-memory fake (optionally seeded from MIRROR_NODE_FIXTURES);
+ * otherwise the REST API at MIRROR_NODE_URL (testnet by default) is used.
+ */
+export const getMirrorNodeClient = () => {
+  if (!mirrorNodeClient) {
+    mirrorNodeClient = process.env.MIRROR_NODE_MODE === 'local'
+      ? createLocalMirrorNodeClient(loadFixtures(process.env.MIRROR_NODE_FIXTURES))
+      : createHttpMirrorNodeClient(process.env.MIRROR_NODE_URL || DEFAULT_MIRROR_NODE_URL);
+  }
+  return mirrorNodeClient;
+};
+
+/**
+ * Replaces the mirror node client (e.g. with createLocalMirrorNodeClient() in tests).
+ * @param {Object} client
+ */
+export const setMirrorNodeClient = (client) => {
+  mirrorNodeClient = client;
+};
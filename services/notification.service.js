@@ -0,0 +1,352 @@
+import { Notification, NotificationPreference, Gig, Profile, Application, Invitation, Dispute } from '../db/models.js';
+import { sendEmail } from '../email_system/email_config.js';
+import { EMAIL_TEMPLATES } from '../email_system/templates.js';
+import { publishEvent } from './events.service.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Notifications are derived from the gig events of services/events.service.js: each event is
+ * mapped to the notifications of the accounts concerned, which are stored for the in-app
+ * notification center and/or emailed, as each recipient's preferences say.
+ */
+
+const FRONTEND_URL = 'https://frontendurl';
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'email', 'both'];
+
+// Only types with an email template of the same name (email_system/templates.js) can be delivered by email
+export const NOTIFICATION_TYPES = {
+  APPLICATION_RECEIVED: { defaultChannel: 'both' },
+  APPLICATION_ACCEPTED: { defaultChannel: 'both' },
+  APPLICATION_REJECTED: { defaultChannel: 'in_app' },
+  INVITATION_RECEIVED: { defaultChannel: 'both' },
+  INVITATION_ACCEPTED: { defaultChannel: 'both' },
+  INVITATION_REJECTED: { defaultChannel: 'in_app' },
+  NEW_MESSAGE: { defaultChannel: 'in_app' },
+  GIG_ASSIGNED: { defaultChannel: 'both' },
+  ESCROW_FUNDED: { defaultChannel: 'in_app' },
+  ESCROW_RELEASED: { defaultChannel: 'both' },
+  DELIVERABLE_SUBMITTED: { defaultChannel: 'both' },
+  DELIVERABLE_REVIEWED: { defaultChannel: 'both' },
+  DISPUTE_OPENED: { defaultChannel: 'both' },
+  DISPUTE_RESOLVED: { defaultChannel: 'both' },
+};
+
+const canEmail = (type) => Boolean(EMAIL_TEMPLATES[type]);
+
+// =================================================================
+// Mappers: event -> notifications ({ recipientId, type, title, body, emailData }).
+// Events without a mapper (typing...) or statuses nobody needs to hear about produce none.
+// =================================================================
+
+const EVENT_MAPPERS = {
+  application: async ({ data }, { gig, nameOf }) => {
+    const freelancerName = await nameOf(data.freelancerId);
+    const gigUrl = `${FRONTEND_URL}/gigs/${gig.gigRefId}`;
+
+    if (data.status === 'PENDING') {
+      const application = await Application.findById(data.applicationId).select('coverLetter');
+      return [{
+        recipientId: gig.clientId,
+        type: 'APPLICATION_RECEIVED',
+        title: `New application for "${gig.title}"`,
+        body: `${freelancerName} applied to your gig.`,
+        emailData: {
+          clientName: await nameOf(gig.clientId),
+          freelancerName,
+          gigTitle: gig.title,
+          gigRefId: gig.gigRefId,
+          coverLetter: application?.coverLetter,
+          actionUrl: `${gigUrl}/applications`
+        },
+      }];
+    }
+    if (data.status === 'ACCEPTED') {
+      return [{
+        recipientId: data.freelancerId,
+        type: 'APPLICATION_ACCEPTED',
+        title: `Your application for "${gig.title}" was accepted`,
+        body: 'The client will now assign the gig to you.',
+        emailData: { freelancerName, gigTitle: gig.title, gigRefId: gig.gigRefId, actionUrl: gigUrl },
+      }];
+    }
+    if (data.status === 'REJECTED') {
+      return [{
+        recipientId: data.freelancerId,
+        type: 'APPLICATION_REJECTED',
+        title: `Your application for "${gig.title}" was not accepted`,
+      }];
+    }
+    return [];
+  },
+
+  invitation: async ({ data }, { gig, nameOf }) => {
+    const freelancerName = await nameOf(data.freelancerId);
+    const clientName = await nameOf(gig.clientId);
+
+    if (data.status === 'PENDING') {
+      const invitation = await Invitation.findById(data.invitationId).select('message');
+      return [{
+        recipientId: data.freelancerId,
+        type: 'INVITATION_RECEIVED',
+        title: `You've been invited to work on "${gig.title}"`,
+        body: invitation?.message || `${clientName} invited you to their gig.`,
+        emailData: {
+          freelancerName,
+          clientName,
+          gigTitle: gig.title,
+          gigDescription: gig.description,
+          budget: gig.budget,
+          message: invitation?.message || 'No additional message',
+          actionUrl: `${FRONTEND_URL}/invitations/${data.invitationId}`
+        },
+      }];
+    }
+    if (data.status === 'ACCEPTED') {
+      return [{
+        recipientId: gig.clientId,
+        type: 'INVITATION_ACCEPTED',
+        title: `${freelancerName} accepted your invitation for "${gig.title}"`,
+        body: 'You can now assign the gig.',
+        emailData: { clientName, freelancerName, gigTitle: gig.title, gigRefId: gig.gigRefId, actionUrl: `${FRONTEND_URL}/gigs/${gig.gigRefId}` },
+      }];
+    }
+    if (data.status === 'REJECTED') {
+      return [{
+        recipientId: gig.clientId,
+        type: 'INVITATION_REJECTED',
+        title: `${freelancerName} declined your invitation for "${gig.title}"`,
+      }];
+    }
+    return [];
+  },
+
+  // Messages are end-to-end encrypted, so the notification cannot quote them
+  message: async ({ data }, { gig, nameOf }) => {
+    const senderName = await nameOf(data.senderId);
+    return [gig.clientId, gig.assignedFreelancerId]
+      .filter((accountId) => accountId && accountId !== data.senderId)
+      .map((recipientId) => ({
+        recipientId,
+        type: 'NEW_MESSAGE',
+        title: `New message on "${gig.title}"`,
+        body: `${senderName} sent you a message.`,
+      }));
+  },
+
+  escrow: async ({ data }, { gig, nameOf }) => {
+    if (!gig.assignedFreelancerId) return [];
+    const milestone = data.milestoneId ? gig.milestones.find((m) => m.milestoneId === data.milestoneId) : null;
+    if (data.milestoneId && !milestone) return [];
+    const funded = milestone ? `milestone "${milestone.title}" of "${gig.title}"` : `"${gig.title}"`;
+
+    // The escrow contract of the gig is created when the gig is assigned
+    if (data.state === 'Created' && !milestone) {
+      return [{
+        recipientId: gig.assignedFreelancerId,
+        type: 'GIG_ASSIGNED',
+        title: `You've been assigned to "${gig.title}"`,
+        body: 'The client will now fund the escrow.',
+        emailData: {
+          name: await nameOf(gig.assignedFreelancerId),
+          gigTitle: gig.title,
+          gigRefId: gig.gigRefId,
+          description: gig.description,
+          budget: gig.budget,
+          duration: gig.duration || 'Not specified',
+          actionUrl: `${FRONTEND_URL}/gigs/${gig.gigRefId}`
+        },
+      }];
+    }
+    if (data.state === 'Locked') {
+      return [{
+        recipientId: gig.assignedFreelancerId,
+        type: 'ESCROW_FUNDED',
+        title: `Escrow funded for ${funded}`,
+        body: `${data.lockedAmount} HBAR are locked until the work is approved.`,
+      }];
+    }
+    if (data.state === 'Released') {
+      return [{
+        recipientId: gig.assignedFreelancerId,
+        type: 'ESCROW_RELEASED',
+        title: `Payment released for ${funded}`,
+        body: `${data.lockedAmount} HBAR were released to you.`,
+        emailData: {
+          name: await nameOf(gig.assignedFreelancerId),
+          gigTitle: milestone ? `${gig.title} (${milestone.title})` : gig.title,
+          gigRefId: gig.gigRefId,
+          amount: data.lockedAmount,
+          viewPaymentUrl: `${FRONTEND_URL}/gigs/${gig.gigRefId}`
+        },
+      }];
+    }
+    return [];
+  },
+
+  // Also milestone submissions (milestoneId), whose approval carries no comment
+  deliverable: async ({ data }, { gig, nameOf }) => {
+    const milestone = data.milestoneId ? gig.milestones.find((m) => m.milestoneId === data.milestoneId) : null;
+    if (data.milestoneId && !milestone) return [];
+    const deliverable = milestone ? milestone.submission : gig.deliverables.find((d) => d.deliverableId === data.deliverableId);
+    const workOn = milestone ? `milestone "${milestone.title}" of "${gig.title}"` : `"${gig.title}"`;
+    const gigTitle = milestone ? `${gig.title} (${milestone.title})` : gig.title;
+    const freelancerName = await nameOf(data.submittedBy);
+    const gigUrl = `${FRONTEND_URL}/gigs/${gig.gigRefId}`;
+
+    if (data.status === 'SUBMITTED') {
+      return [{
+        recipientId: gig.clientId,
+        type: 'DELIVERABLE_SUBMITTED',
+        title: `New deliverable for ${workOn}`,
+        body: `${freelancerName} submitted work for your review.`,
+        emailData: {
+          clientName: await nameOf(gig.clientId),
+          freelancerName,
+          gigTitle,
+          notes: deliverable?.notes || 'No notes provided',
+          actionUrl: gigUrl
+        },
+      }];
+    }
+    const approved = data.status === 'APPROVED';
+    const comment = deliverable?.review?.comment;
+    return [{
+      recipientId: data.submittedBy,
+      type: 'DELIVERABLE_REVIEWED',
+      title: approved ? `Your work on ${workOn} was approved` : `Revisions requested on ${workOn}`,
+      body: comment,
+      emailData: {
+        freelancerName,
+        gigTitle,
+        approved,
+        comment: comment || 'No comment provided',
+        actionUrl: gigUrl
+      },
+    }];
+  },
+
+  dispute: async ({ data }, { gig, nameOf }) => {
+    const dispute = await Dispute.findOne({ disputeId: data.disputeId }).select('reason ruling');
+    const parties = [gig.clientId, gig.assignedFreelancerId].filter(Boolean);
+
+    // The party who opened the dispute knows; the other one can respond with evidence
+    if (data.status === 'OPEN') {
+      const openerName = await nameOf(data.openedBy);
+      return Promise.all(parties.filter((accountId) => accountId !== data.openedBy).map(async (recipientId) => ({
+        recipientId,
+        type: 'DISPUTE_OPENED',
+        title: `${openerName} opened a dispute on "${gig.title}"`,
+        body: dispute?.reason,
+        emailData: {
+          name: await nameOf(recipientId),
+          openerName,
+          gigTitle: gig.title,
+          reason: dispute?.reason,
+          actionUrl: `${FRONTEND_URL}/disputes/${data.disputeId}`
+        },
+      })));
+    }
+    if (data.status === 'RESOLVED') {
+      const notes = dispute?.ruling?.notes;
+      return Promise.all(parties.map(async (recipientId) => ({
+        recipientId,
+        type: 'DISPUTE_RESOLVED',
+        title: `The dispute on "${gig.title}" was resolved`,
+        body: data.outcome === 'RELEASE' ? 'The arbiter released the escrow to the freelancer.' : 'The arbiter refunded the escrow to the client.',
+        emailData: {
+          name: await nameOf(recipientId),
+          gigTitle: gig.title,
+          outcome: data.outcome,
+          notes: notes || 'No additional notes',
+          actionUrl: `${FRONTEND_URL}/gigs/${gig.gigRefId}`
+        },
+      })));
+    }
+    return [];
+  },
+};
+
+/**
+ * Delivery channel of a notification type for an account.
+ * @param {string} accountId
+ * @returns {Promise<Object>} Notification type -> channel, for every type.
+ */
+export const getNotificationPreferences = async (accountId) => {
+  const stored = await NotificationPreference.findOne({ userAccountId: accountId });
+  return Object.fromEntries(Object.entries(NOTIFICATION_TYPES).map(([type, { defaultChannel }]) => [
+    type,
+    stored?.channels?.get(type) || defaultChannel,
+  ]));
+};
+
+/**
+ * Changes the delivery channels of some notification types.
+ * @param {string} accountId
+ * @param {Object} channels Notification type -> 'in_app' | 'email' | 'both'.
+ * @returns {Promise<Object>} The preferences of every type after the change.
+ */
+export const updateNotificationPreferences = async (accountId, channels) => {
+  if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+    throw httpError(400, 'preferences must map notification types to channels.');
+  }
+  const update = {};
+  for (const [type, channel] of Object.entries(channels)) {
+    if (!NOTIFICATION_TYPES[type]) {
+      throw httpError(400, `Unknown notification type: ${type}.`);
+    }
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      throw httpError(400, `Channel must be one of ${NOTIFICATION_CHANNELS.join(', ')}.`);
+    }
+    if (channel !== 'in_app' && !canEmail(type)) {
+      throw httpError(400, `${type} notifications are not sent by email.`);
+    }
+    update[`channels.${type}`] = channel;
+  }
+
+  await NotificationPreference.updateOne({ userAccountId: accountId }, { $set: update }, { upsert: true });
+  return getNotificationPreferences(accountId);
+};
+
+const deliver = async (gig, notification, profileOf) => {
+  const { recipientId, type, title, body, emailData } = notification;
+  const channel = (await getNotificationPreferences(recipientId))[type];
+
+  if (channel !== 'email' || !canEmail(type)) {
+    const stored = await Notification.create({ recipientId, type, gigRefId: gig.gigRefId, title, body });
+    // Handlers must not see it: this runs in one of them, and notifications are not gig events
+    await publishEvent({ type: 'notification', gigRefId: gig.gigRefId, recipients: [recipientId], data: stored.toJSON() }, { runHandlers: false });
+  }
+
+  if (channel !== 'in_app' && canEmail(type) && emailData) {
+    const recipient = await profileOf(recipientId);
+    if (recipient?.email) {
+      sendEmail({ to: recipient.email, type, data: emailData })
+        .catch(err => console.error('Email error:', err));
+    }
+  }
+};
+
+/**
+ * Creates and sends the notifications of a gig event. Registered with onEventPublished, so it runs
+ * once per event, in the instance that published it.
+ * @param {{type: string, gigRefId: string, data: Object}} event
+ */
+export const notifyForEvent = async (event) => {
+  const mapper = EVENT_MAPPERS[event.type];
+  if (!mapper) return;
+  const gig = await Gig.findOne({ gigRefId: event.gigRefId });
+  if (!gig) return;
+
+  const profiles = new Map();
+  const profileOf = async (accountId) => {
+    if (!profiles.has(accountId)) profiles.set(accountId, await Profile.findOne({ userAccountId: accountId }));
+    return profiles.get(accountId);
+  };
+  const nameOf = async (accountId) => (await profileOf(accountId))?.name || accountId;
+
+  const notifications = await mapper(event, { gig, nameOf });
+  for (const notification of notifications) {
+    await deliver(gig, notification, profileOf);
+  }
+};
@@ -0,0 +1,57 @@
+import { Profile, ProfileHistory } from '../db/models.js';
+
+/**
+ * Pipeline stage setting each changed field unless a newer message already set it. Profiles merged
+ * before fields were tracked fall back to their overall hcsSequenceNumber.
+ * @param {Object} changes
+ * @param {number} sequenceNumber
+ */
+const mergeChangesStage = (changes, sequenceNumber) => {
+  const stage = { hcsSequenceNumber: { $max: ['$hcsSequenceNumber', sequenceNumber] } };
+  for (const [field, value] of Object.entries(changes).filter(([, value]) => value !== undefined)) {
+    const lastSet = { $ifNull: [`$fieldSequenceNumbers.${field}`, { $ifNull: ['$hcsSequenceNumber', -1] }] };
+    const isNewer = { $lt: [lastSet, sequenceNumber] };
+    stage[field] = { $cond: [isNewer, { $literal: value }, `$${field}`] };
+    stage[`fieldSequenceNumbers.${field}`] = { $max: [lastSet, sequenceNumber] };
+  }
+  return { $set: stage };
+};
+
+/**
+ * Merges a PROFILE_CREATE or PROFILE_UPDATE message into the account's profile and adds it to the
+ * profile history. The record-* routes and the HCS sync both go through here.
+ *
+ * Fields are merged in topic order, one by one: a message older than the last one merged (a replay,
+ * or the sync catching up after a record-* call) only sets the fields no newer message has set.
+ * @param {Object} message Validated message (see utils/hcsMessages.js).
+ * @param {{sequence_number: number, consensus_timestamp: string}} topicMessage Mirror node record of the message.
+ * @returns {Promise<boolean>} true when the profile was changed.
+ */
+export const applyProfileMessage = async (message, topicMessage) => {
+  // Roles are granted by admins only; the message schemas do not allow them
+  const { type, version, timestamp, userAccountId, ...changes } = message;
+  const sequenceNumber = topicMessage.sequence_number;
+
+  await ProfileHistory.updateOne(
+    { sequenceNumber },
+    { $setOnInsert: { userAccountId, type, changes, consensusTimestamp: topicMessage.consensus_timestamp } },
+    { upsert: true }
+  );
+
+  const { matchedCount, modifiedCount } = await Profile.updateOne(
+    { userAccountId },
+    [mergeChangesStage(changes, sequenceNumber)]
+  );
+  if (matchedCount > 0 || type !== 'PROFILE_CREATE') {
+    return modifiedCount > 0;
+  }
+
+  // No profile yet (unless a newer message created it meanwhile)
+  const fieldSequenceNumbers = Object.fromEntries(Object.keys(changes).map((field) => [field, sequenceNumber]));
+  const { upsertedCount } = await Profile.updateOne(
+    { userAccountId },
+    { $setOnInsert: { userAccountId, ...changes, hcsSequenceNumber: sequenceNumber, fieldSequenceNumbers } },
+    { upsert: true }
+  );
+  return upsertedCount > 0;
+};
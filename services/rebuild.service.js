@@ -0,0 +1,186 @@
+import fs from 'fs';
+import readline from 'readline';
+import { Gig, Profile, Message, Application, Invitation, Review, ProfileHistory, SyncState, QuarantinedMessage } from '../db/models.js';
+import { createLocalMirrorNodeClient } from './mirrorNode.service.js';
+import { getSyncedTopics } from './hcsSync.service.js';
+
+const PAGE_SIZE = 100;
+
+// Collections derived from the HCS topics. Everything else (escrow, milestones, deliverables,
+// disputes, rewards...) only exists in MongoDB and cannot be rebuilt from the chain. Admin-granted
+// profile roles are off-chain too; they are carried over with readGrantedRoles/restoreGrantedRoles.
+const REBUILT_MODELS = [Gig, Profile, Message, Application, Invitation, Review, ProfileHistory, SyncState, QuarantinedMessage];
+
+// Entities compared by the diff report, on the fields their topic messages define
+const COMPARED_ENTITIES = [
+  {
+    name: 'gigs',
+    model: Gig,
+    key: 'gigRefId',
+    fields: ['clientId', 'title', 'description', 'budget', 'duration', 'visibility', 'status', 'assignedFreelancerId'],
+  },
+  {
+    name: 'profiles',
+    model: Profile,
+    key: 'userAccountId',
+    fields: ['name', 'skills', 'portfolioUrl', 'email', 'profileType'],
+  },
+];
+
+/**
+ * Loads an NDJSON dump of mirror node topic message records (one record per line, as written by
+ * exportTopicDump) into a local mirror node client, so topics can be replayed offline.
+ * @param {string} filePath
+ * @returns {Promise<{mirrorNode: Object, count: number}>}
+ */
+export const loadTopicDump = async (filePath) => {
+  const mirrorNode = createLocalMirrorNodeClient();
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+  let lineNumber = 0;
+  let count = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (_) {
+      throw new Error(`${filePath}:${lineNumber}: not valid JSON`);
+    }
+    if (!record.consensus_timestamp || !record.topic_id || record.message === undefined) {
+      throw new Error(`${filePath}:${lineNumber}: a record needs consensus_timestamp, topic_id and message`);
+    }
+    const { consensus_timestamp: consensusTimestamp, ...message } = record;
+    mirrorNode.addTopicMessage(consensusTimestamp, message);
+    count++;
+  }
+  return { mirrorNode, count };
+};
+
+/**
+ * Writes every message of the synced topics to an NDJSON dump, topic by topic in consensus order.
+ * @param {{profileTopicId: string, gigsTopicId: string, messagesTopicId: string}} topicIds
+ * @param {string} filePath
+ * @param {Object} mirrorNode Mirror node client to read from.
+ * @returns {Promise<Object[]>} Per topic: { name, topicId, count }.
+ */
+export const exportTopicDump = async (topicIds, filePath, mirrorNode) => {
+  fs.writeFileSync(filePath, '');
+
+  const results = [];
+  for (const { name, topicId } of getSyncedTopics(topicIds)) {
+    let after = null;
+    let count = 0;
+    for (;;) {
+      const records = await mirrorNode.getTopicMessages(topicId, { after, limit: PAGE_SIZE });
+      if (records.length === 0) break;
+      fs.appendFileSync(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+      count += records.length;
+      after = records[records.length - 1].consensus_timestamp;
+      if (records.length < PAGE_SIZE) break;
+    }
+    results.push({ name, topicId, count });
+  }
+  return results;
+};
+
+/**
+ * Empties the collections derived from the topics, including the sync checkpoints.
+ */
+export const wipeRebuiltCollections = async () => {
+  for (const model of REBUILT_MODELS) {
+    await model.deleteMany({});
+  }
+};
+
+/**
+ * Reads the roles admins granted to profiles (profiles without granted roles derive them from profileType).
+ * @param {import('mongoose').Connection} connection
+ * @returns {Promise<Array<{userAccountId: string, roles: string[]}>>}
+ */
+export const readGrantedRoles = async (connection) => connection.collection(Profile.collection.collectionName)
+  .find({ roles: { $exists: true, $ne: null } }, { projection: { _id: 0, userAccountId: 1, roles: 1 } })
+  .toArray();
+
+/**
+ * Grants the roles read by readGrantedRoles() again on the rebuilt profiles.
+ * @param {Array<{userAccountId: string, roles: string[]}>} grants
+ * @returns {Promise<{restored: number, missing: string[]}>} missing: accounts whose profile is not on chain.
+ */
+export const restoreGrantedRoles = async (grants) => {
+  const missing = [];
+  for (const { userAccountId, roles } of grants) {
+    const { matchedCount } = await Profile.updateOne({ userAccountId }, { $set: { roles } });
+    if (!matchedCount) missing.push(userAccountId);
+  }
+  return { restored: grants.length - missing.length, missing };
+};
+
+/**
+ * Reads the compared fields of every gig and profile of a database.
+ * @param {import('mongoose').Connection} connection
+ * @returns {Promise<Object>} Per entity name: Map of key -> compared fields.
+ */
+export const snapshotEntities = async (connection) => {
+  const snapshot = {};
+  for (const { name, model, key, fields } of COMPARED_ENTITIES) {
+    const projection = Object.fromEntries([key, ...fields].map((field) => [field, 1]));
+    const documents = await connection.collection(model.collection.collectionName).find({}, { projection }).toArray();
+    snapshot[name] = new Map(documents.map((document) => [document[key], document]));
+  }
+  return snapshot;
+};
+
+// Absent, null and empty values are equivalent
+const normalize = (value) => (value === undefined || value === null || value === '' ? null : value);
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Compares the current database with the one rebuilt from the chain.
+ * @param {Object} current snapshotEntities() of the current database.
+ * @param {Object} rebuilt snapshotEntities() of the rebuilt database.
+ * @returns {Object} Per entity name: { missing, extra, conflicting }. missing: on chain but not in the
+ *   current database; extra: in the current database but not on chain; conflicting: in both, with
+ *   differing fields ({ key, fields: { field: { current, rebuilt } } }).
+ */
+export const diffSnapshots = (current, rebuilt) => Object.fromEntries(COMPARED_ENTITIES.map(({ name, fields }) => {
+  const missing = [...rebuilt[name].keys()].filter((key) => !current[name].has(key));
+  const extra = [...current[name].keys()].filter((key) => !rebuilt[name].has(key));
+
+  const conflicting = [];
+  for (const [key, currentDocument] of current[name]) {
+    const rebuiltDocument = rebuilt[name].get(key);
+    if (!rebuiltDocument) continue;
+    const differences = fields
+      .filter((field) => !sameValue(currentDocument[field], rebuiltDocument[field]))
+      .map((field) => [field, { current: normalize(currentDocument[field]), rebuilt: normalize(rebuiltDocument[field]) }]);
+    if (differences.length > 0) {
+      conflicting.push({ key, fields: Object.fromEntries(differences) });
+    }
+  }
+
+  return [name, { missing, extra, conflicting }];
+}));
+
+/**
+ * Human readable diff report.
+ * @param {Object} diff Result of diffSnapshots().
+ * @returns {string}
+ */
+export const formatDiffReport = (diff) => {
+  const lines = [];
+  for (const [name, { missing, extra, conflicting }] of Object.entries(diff)) {
+    lines.push(`${name}: ${missing.length} missing, ${extra.length} extra, ${conflicting.length} conflicting`);
+    for (const key of missing) lines.push(`  missing      ${key} (on chain, not in the database)`);
+    for (const key of extra) lines.push(`  extra        ${key} (in the database, not on chain)`);
+    for (const { key, fields } of conflicting) {
+      lines.push(`  conflicting  ${key}`);
+      for (const [field, { current, rebuilt }] of Object.entries(fields)) {
+        lines.push(`    ${field}: database=${JSON.stringify(current)} chain=${JSON.stringify(rebuilt)}`);
+      }
+    }
+  }
+  return lines.join('\n');
+};
@@ -1,3 +1,6 @@
+// XP awarded to the freelancer when a gig's escrow is released to them
+export const GIG_COMPLETION_XP = 100;
+
 export const rewardTiers = {
   BRONZE_BADGE: {
     xpRequired: 100,
@@ -0,0 +1,263 @@
+import { Client, ContractCreateTransaction, ContractExecuteTransaction, TopicMessageSubmitTransaction, TransactionId } from '@hashgraph/sdk';
+import { PreparedTransaction } from '../db/models.js';
+import { getMirrorNodeClient, toMirrorTransactionId } from './mirrorNode.service.js';
+import { httpError } from '../utils/httpError.js';
+
+// Abandoned preparations are purged after this long (a frozen transaction is only valid for 2 minutes anyway)
+const PREPARED_TTL_MS = 24 * 60 * 60 * 1000;
+
+// The mirror node lags consensus by a few seconds
+const MIRROR_ATTEMPTS = 5;
+const MIRROR_RETRY_DELAY_MS = 2000;
+
+// Pages of later topic messages searched for the remaining chunks of a chunked message
+const MAX_CHUNK_PAGES = 10;
+
+const hexOf = (bytes) => `0x${Buffer.from(bytes || []).toString('hex')}`;
+
+/**
+ * What the mirror node must report for a prepared (frozen) transaction.
+ * @param {import('@hashgraph/sdk').Transaction} transaction
+ */
+const describeTransaction = (transaction) => {
+  if (transaction instanceof TopicMessageSubmitTransaction) {
+    return {
+      name: 'CONSENSUSSUBMITMESSAGE',
+      entityId: transaction.topicId.toString(),
+      message: Buffer.from(transaction.message).toString('base64'),
+    };
+  }
+  if (transaction instanceof ContractExecuteTransaction) {
+    return {
+      name: 'CONTRACTCALL',
+      entityId: transaction.contractId.toString(),
+      functionParameters: hexOf(transaction.functionParameters),
+      amount: transaction.payableAmount ? Number(transaction.payableAmount.toTinybars()) : 0,
+    };
+  }
+  if (transaction instanceof ContractCreateTransaction) {
+    // The created contract must come from the prepared bytecode (file or initcode) and constructor arguments
+    return {
+      name: 'CONTRACTCREATEINSTANCE',
+      fileId: transaction.bytecodeFileId ? transaction.bytecodeFileId.toString() : undefined,
+      initcode: transaction.bytecode ? hexOf(transaction.bytecode) : undefined,
+      functionParameters: hexOf(transaction.constructorParameters),
+    };
+  }
+  throw new Error(`Unsupported transaction type for verification: ${transaction.constructor.name}`);
+};
+
+const fetchWithRetry = async (fetch) => {
+  for (let attempt = 1; attempt <= MIRROR_ATTEMPTS; attempt++) {
+    const result = await fetch();
+    if (result) return result;
+    if (attempt < MIRROR_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, MIRROR_RETRY_DELAY_MS));
+    }
+  }
+  return null;
+};
+
+const sameTransactionId = (a, b) => Boolean(a && b)
+  && a.account_id === b.account_id
+  && a.transaction_valid_start === b.transaction_valid_start
+  && (a.nonce || 0) === (b.nonce || 0);
+
+/**
+ * Reassembles a message the SDK split into chunks (over 1024 bytes), given its first chunk and
+ * any others already at hand: the missing chunks are separate transactions, found among the
+ * topic's later messages by chunk_info.
+ * @param {Object} mirrorNode
+ * @param {Object[]} knownChunks Mirror node records of the message, its first chunk first.
+ * @returns {Promise<Object|null>} The first chunk with the whole message, or null while chunks are missing.
+ */
+export const reassembleTopicMessage = async (mirrorNode, knownChunks) => {
+  const [firstChunk] = knownChunks;
+  const { total, initial_transaction_id: initialTransactionId } = firstChunk.chunk_info;
+  const chunks = [...knownChunks];
+  let after = knownChunks[knownChunks.length - 1].consensus_timestamp;
+  for (let page = 0; page < MAX_CHUNK_PAGES && chunks.length < total; page++) {
+    const messages = await mirrorNode.getTopicMessages(firstChunk.topic_id, { after });
+    if (messages.length === 0) break;
+    chunks.push(...messages.filter((message) => sameTransactionId(message.chunk_info?.initial_transaction_id, initialTransactionId)));
+    after = messages[messages.length - 1].consensus_timestamp;
+  }
+  if (chunks.length < total) return null;
+
+  const message = Buffer.concat(
+    chunks
+      .sort((a, b) => a.chunk_info.number - b.chunk_info.number)
+      .map((chunk) => Buffer.from(chunk.message, 'base64'))
+  ).toString('base64');
+  return { ...firstChunk, message };
+};
+
+/**
+ * Stores a transaction handed out by a prepare-* endpoint so its record-* call can be verified.
+ * @param {Object} params
+ * @param {import('@hashgraph/sdk').Transaction} params.transaction Frozen, unsigned transaction.
+ * @param {string} params.kind One of the PreparedTransaction kinds.
+ * @param {string} params.payerAccountId Account expected to sign and pay.
+ * @param {string} [params.gigRefId]
+ * @param {string} [params.milestoneId]
+ * @param {Object} [params.payload] Application data persisted once the transaction is recorded.
+ * @returns {Promise<string>} The transaction ID (SDK format) the client must send back.
+ */
+export const registerPreparedTransaction = async ({ transaction, kind, payerAccountId, gigRefId, milestoneId, payload }) => {
+  const transactionId = transaction.transactionId.toString();
+  await PreparedTransaction.create({
+    transactionId: toMirrorTransactionId(transactionId),
+    kind,
+    payerAccountId,
+    gigRefId,
+    milestoneId,
+    payload,
+    expected: describeTransaction(transaction),
+    expiresAt: new Date(Date.now() + PREPARED_TTL_MS),
+  });
+  return transactionId;
+};
+
+/**
+ * Prepares an HCS message submission paid by the given account: freezes the transaction and
+ * registers it, with the message as payload.
+ * @param {Object} params
+ * @param {string} params.topicId
+ * @param {Object} params.message Message built with createHcsMessage().
+ * @param {string} params.kind
+ * @param {string} params.payerAccountId
+ * @param {string} [params.gigRefId]
+ * @returns {Promise<{encodedTransaction: string, transactionId: string}>}
+ */
+export const prepareTopicMessage = async ({ topicId, message, kind, payerAccountId, gigRefId }) => {
+  const transaction = new TopicMessageSubmitTransaction({ topicId, message: JSON.stringify(message) })
+    .setTransactionId(TransactionId.generate(payerAccountId))
+    .freezeWith(Client.forTestnet());
+
+  const transactionId = await registerPreparedTransaction({ transaction, kind, payerAccountId, gigRefId, payload: message });
+  return { encodedTransaction: Buffer.from(transaction.toBytes()).toString('base64'), transactionId };
+};
+
+/**
+ * Checks a record-* call against the mirror node before anything is persisted: the transaction
+ * must have been prepared for this action and payer, have succeeded, have been paid by the
+ * expected account and carry exactly the prepared message, contract call or contract create
+ * (bytecode file or initcode, and constructor arguments). Nothing is written;
+ * call markTransactionsRecorded() once every transaction of the record call has been verified.
+ * @param {Object} params
+ * @param {string} params.transactionId SDK or mirror node format.
+ * @param {string} params.kind
+ * @param {string} params.payerAccountId
+ * @param {string} [params.gigRefId]
+ * @param {string} [params.milestoneId]
+ * @returns {Promise<{prepared: Object, transaction: Object, topicMessage?: Object, contractResult?: Object}>}
+ */
+export const verifyPreparedTransaction = async ({ transactionId, kind, payerAccountId, gigRefId, milestoneId }) => {
+  if (!transactionId) {
+    throw httpError(400, 'transactionId is required.');
+  }
+  const mirrorId = toMirrorTransactionId(transactionId);
+
+  const prepared = await PreparedTransaction.findOne({ transactionId: mirrorId });
+  if (!prepared) {
+    throw httpError(404, 'Unknown transaction; it must be prepared through this API first.');
+  }
+  if (prepared.kind !== kind || (gigRefId && prepared.gigRefId !== gigRefId) || (milestoneId && prepared.milestoneId !== milestoneId)) {
+    throw httpError(400, 'This transaction was not prepared for this action.');
+  }
+  if (prepared.payerAccountId !== payerAccountId) {
+    throw httpError(403, 'This transaction was prepared for another account.');
+  }
+  if (prepared.status === 'RECORDED') {
+    throw httpError(409, 'This transaction has already been recorded.');
+  }
+
+  const mirrorNode = getMirrorNodeClient();
+  const transaction = await fetchWithRetry(() => mirrorNode.getTransaction(mirrorId));
+  if (!transaction) {
+    throw httpError(404, `Transaction ${transactionId} was not found on the mirror node.`);
+  }
+  if (transaction.result !== 'SUCCESS') {
+    throw httpError(422, `Transaction ${transactionId} did not succeed (${transaction.result}).`);
+  }
+  if (!transaction.transaction_id?.startsWith(`${payerAccountId}-`)) {
+    throw httpError(422, `Transaction ${transactionId} was not paid by ${payerAccountId}.`);
+  }
+
+  const { expected } = prepared;
+  const mismatch = () => httpError(422, `Transaction ${transactionId} does not match the prepared transaction.`);
+  if (transaction.name !== expected.name || (expected.entityId && transaction.entity_id !== expected.entityId)) {
+    throw mismatch();
+  }
+
+  const verified = { prepared, transaction };
+  if (expected.name === 'CONSENSUSSUBMITMESSAGE') {
+    const topicMessage = await fetchWithRetry(async () => {
+      const message = await mirrorNode.getTopicMessage(transaction.consensus_timestamp);
+      return message?.chunk_info?.total > 1 ? reassembleTopicMessage(mirrorNode, [message]) : message;
+    });
+    if (!topicMessage || topicMessage.message !== expected.message) {
+      throw mismatch();
+    }
+    verified.topicMessage = topicMessage;
+  }
+  if (expected.name === 'CONTRACTCREATEINSTANCE') {
+    const contract = await fetchWithRetry(() => mirrorNode.getContract(transaction.entity_id));
+    const contractResult = await fetchWithRetry(() => mirrorNode.getContractResult(mirrorId));
+    if (
+      !contract ||
+      !contractResult ||
+      (expected.fileId && contract.file_id !== expected.fileId) ||
+      (expected.initcode && String(contract.bytecode).toLowerCase() !== expected.initcode) ||
+      String(contractResult.function_parameters).toLowerCase() !== expected.functionParameters
+    ) {
+      throw mismatch();
+    }
+    verified.contractResult = contractResult;
+  }
+  if (expected.name === 'CONTRACTCALL') {
+    const contractResult = await fetchWithRetry(() => mirrorNode.getContractResult(mirrorId));
+    if (
+      !contractResult ||
+      String(contractResult.function_parameters).toLowerCase() !== expected.functionParameters ||
+      Number(contractResult.amount || 0) !== expected.amount
+    ) {
+      throw mismatch();
+    }
+    verified.contractResult = contractResult;
+  }
+
+  return verified;
+};
+
+/**
+ * The contract created by a verified contract create transaction, which verification has already
+ * found on the mirror node. Gig and milestone escrows are both resolved this way.
+ * @param {Object} verified Result of verifyPreparedTransaction() for a contract create.
+ * @returns {string} The contract ID, e.g. 0.0.5678.
+ */
+export const getCreatedContractId = (verified) => {
+  if (verified.transaction.name !== 'CONTRACTCREATEINSTANCE' || !verified.transaction.entity_id) {
+    throw httpError(422, `Transaction ${verified.prepared.transactionId} did not create a contract.`);
+  }
+  return verified.transaction.entity_id;
+};
+
+/**
+ * Marks verified transactions as RECORDED. Claims are atomic, so concurrent record calls for the
+ * same transaction cannot both succeed.
+ * @param {...Object} verifiedTransactions Results of verifyPreparedTransaction().
+ */
+export const markTransactionsRecorded = async (...verifiedTransactions) => {
+  for (const verified of verifiedTransactions) {
+    const recorded = await PreparedTransaction.findOneAndUpdate(
+      { transactionId: verified.prepared.transactionId, status: 'PENDING' },
+      { status: 'RECORDED', consensusTimestamp: verified.transaction.consensus_timestamp, recordedAt: new Date(), $unset: { expiresAt: 1 } },
+      { new: true }
+    );
+    if (!recorded) {
+      throw httpError(409, 'This transaction has already been recorded.');
+    }
+    verified.prepared = recorded;
+  }
+};
@@ -0,0 +1,479 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { Webhook, WebhookDelivery } from '../db/models.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Outbound webhooks. Accounts subscribe URLs to webhook events, which are derived from the gig
+ * events of services/events.service.js: a webhook receives the events its owner is a recipient of.
+ * Deliveries are queued in the WebhookDelivery collection, which doubles as the delivery log, and
+ * POSTed by a worker with an HMAC-SHA256 signature. Failed deliveries are retried with exponential
+ * backoff, like queued emails (services/emailOutbox.service.js).
+ *
+ * Signature: X-HireChain-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">,
+ * keyed with the webhook's secret.
+ *
+ * Webhook URLs must be https and resolve to public addresses only, when registered and again
+ * whenever a delivery connects, so that a webhook cannot reach this server's own network (SSRF)
+ * even when its DNS changes after registration. Only the status of the endpoint's responses is
+ * kept. WEBHOOKS_ALLOW_LOCAL=true lifts these limits for local development, outside production.
+ */
+
+const DEFAULT_INTERVAL_MS = 10000;
+const BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_WEBHOOKS_PER_ACCOUNT = 10;
+
+// Retries after 1, 2, 4, 8 and 16 minutes, then the delivery has failed
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 60000;
+
+// A worker that crashed mid-delivery releases it after this long
+const SEND_LOCK_MS = 5 * 60000;
+
+// Gig event -> webhook event name (undefined: not sent to webhooks)
+const WEBHOOK_EVENT_NAMES = {
+  gig_created: () => 'gig.created',
+  gig_updated: () => 'gig.updated',
+  application: ({ status }) => ({ PENDING: 'application.submitted', ACCEPTED: 'application.accepted', REJECTED: 'application.rejected' })[status],
+  invitation: ({ status }) => ({ PENDING: 'invitation.sent', ACCEPTED: 'invitation.accepted', REJECTED: 'invitation.rejected' })[status],
+  escrow: ({ state }) => `escrow.${state.toLowerCase()}`,
+  deliverable: ({ status }) => ({ SUBMITTED: 'deliverable.submitted', APPROVED: 'deliverable.approved', REVISION_REQUESTED: 'deliverable.revision_requested' })[status],
+  dispute: ({ status }) => ({ OPEN: 'dispute.opened', RESOLVED: 'dispute.resolved' })[status],
+  review: () => 'review.created',
+};
+
+export const WEBHOOK_EVENTS = [
+  'gig.created',
+  'gig.updated',
+  'application.submitted',
+  'application.accepted',
+  'application.rejected',
+  'invitation.sent',
+  'invitation.accepted',
+  'invitation.rejected',
+  'escrow.created',
+  'escrow.initialized',
+  'escrow.locked',
+  'escrow.released',
+  'escrow.cancelled',
+  'deliverable.submitted',
+  'deliverable.approved',
+  'deliverable.revision_requested',
+  'dispute.opened',
+  'dispute.resolved',
+  'review.created',
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signs a raw payload for the X-HireChain-Signature header.
+ * @param {string} secret
+ * @param {string} body The exact request body.
+ * @param {number} [timestamp] Unix seconds.
+ * @returns {string}
+ */
+export const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// =================================================================
+// Endpoint addresses
+// =================================================================
+
+const allowLocal = () => process.env.WEBHOOKS_ALLOW_LOCAL === 'true' && process.env.NODE_ENV !== 'production';
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// BlockList also checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedAddressError = () => httpError(400, 'url must resolve to public addresses only.');
+
+// dns.lookup that refuses private and reserved addresses. Deliveries connect through it, so the
+// address checked is the one connected to, however the host resolves by then.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowLocal() && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Checks a webhook URL: https (unless WEBHOOKS_ALLOW_LOCAL) and resolving to public addresses only
+const validateUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    throw httpError(400, 'url must be an absolute URL.');
+  }
+  if (parsed.protocol !== 'https:' && !(allowLocal() && parsed.protocol === 'http:')) {
+    throw httpError(400, 'url must be an https URL.');
+  }
+  if (parsed.username || parsed.password) {
+    throw httpError(400, 'url must not contain credentials.');
+  }
+  if (allowLocal()) return parsed.toString();
+
+  // IP literals are never looked up, so they are checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw blockedAddressError();
+    return parsed.toString();
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (_) {
+    throw httpError(400, `url host ${host} could not be resolved.`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) throw blockedAddressError();
+  return parsed.toString();
+};
+
+// =================================================================
+// Subscriptions
+// =================================================================
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw httpError(400, 'events must be a non-empty array of event names (or ["*"]).');
+  }
+  const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown webhook events: ${unknown.join(', ')}.`);
+  }
+  return [...new Set(events)];
+};
+
+const findOwnWebhook = async (ownerId, webhookId, { withSecret = false } = {}) => {
+  const query = Webhook.findOne({ _id: webhookId, ownerId });
+  const webhook = await (withSecret ? query.select('+secret') : query);
+  if (!webhook) {
+    throw httpError(404, 'Webhook not found.');
+  }
+  return webhook;
+};
+
+/**
+ * @param {string} ownerId
+ * @returns {Promise<Object[]>} The account's webhooks, without their secrets.
+ */
+export const listWebhooks = (ownerId) => Webhook.find({ ownerId }).sort({ createdAt: 1 });
+
+/**
+ * Registers a webhook.
+ * @param {string} ownerId
+ * @param {{url: string, events: string[], description?: string}} webhook
+ * @returns {Promise<{webhook: Object, secret: string}>} The secret is only ever returned here and on rotation.
+ */
+export const createWebhook = async (ownerId, { url, events, description } = {}) => {
+  const webhook = { ownerId, url: await validateUrl(url), events: validateEvents(events), description, secret: generateSecret() };
+  if (await Webhook.countDocuments({ ownerId }) >= MAX_WEBHOOKS_PER_ACCOUNT) {
+    throw httpError(409, `An account can register up to ${MAX_WEBHOOKS_PER_ACCOUNT} webhooks.`);
+  }
+  const created = await Webhook.create(webhook);
+  return { webhook: await Webhook.findById(created._id), secret: webhook.secret };
+};
+
+/**
+ * Changes some fields of a webhook.
+ * @param {string} ownerId
+ * @param {string} webhookId
+ * @param {{url?: string, events?: string[], description?: string, active?: boolean}} changes
+ * @returns {Promise<Object>} The webhook after the change.
+ */
+export const updateWebhook = async (ownerId, webhookId, { url, events, description, active } = {}) => {
+  const webhook = await findOwnWebhook(ownerId, webhookId);
+  if (url !== undefined) webhook.url = await validateUrl(url);
+  if (events !== undefined) webhook.events = validateEvents(events);
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw httpError(400, 'active must be a boolean.');
+    }
+    webhook.active = active;
+  }
+  await webhook.save();
+  return webhook;
+};
+
+/**
+ * Deletes a webhook with its delivery log.
+ * @param {string} ownerId
+ * @param {string} webhookId
+ * @returns {Promise<void>}
+ */
+export const deleteWebhook = async (ownerId, webhookId) => {
+  const webhook = await findOwnWebhook(ownerId, webhookId);
+  await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+  await webhook.deleteOne();
+};
+
+/**
+ * Replaces the signing secret of a webhook. Deliveries still queued are signed with the new one.
+ * @param {string} ownerId
+ * @param {string} webhookId
+ * @returns {Promise<string>} The new secret.
+ */
+export const rotateWebhookSecret = async (ownerId, webhookId) => {
+  const webhook = await findOwnWebhook(ownerId, webhookId);
+  const secret = generateSecret();
+  await Webhook.updateOne({ _id: webhook._id }, { $set: { secret } });
+  return secret;
+};
+
+// =================================================================
+// Delivery
+// =================================================================
+
+const buildPayload = (eventId, event, createdAt, data) => ({ id: eventId, event, createdAt, data });
+
+// POSTs a delivery once; returns the outcome to store, whatever happened. The URL is checked
+// again, as it may have been registered before the current rules.
+const attemptDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  try {
+    await validateUrl(webhook.url);
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HireChain-Webhooks/1.0',
+        'X-HireChain-Event': delivery.event,
+        'X-HireChain-Delivery': String(delivery._id),
+        'X-HireChain-Signature': signWebhookPayload(webhook.secret, body),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      // The body is never read or kept, only the status
+      responseType: 'stream',
+      validateStatus: () => true,
+    });
+    response.data.destroy();
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      responseStatus: response.status,
+      durationMs: Date.now() - startedAt,
+      lastError: ok ? null : `HTTP ${response.status}`,
+    };
+  } catch (error) {
+    return { ok: false, responseStatus: null, durationMs: Date.now() - startedAt, lastError: error.message };
+  }
+};
+
+/**
+ * Queues the deliveries of a gig event to the active webhooks of its recipients that subscribed to
+ * it. Registered with onEventPublished, so it runs once per event, in the instance that published it.
+ * @param {{type: string, gigRefId: string, recipients: string[], data: Object, at: string}} event
+ */
+export const queueWebhookDeliveries = async (event) => {
+  const name = WEBHOOK_EVENT_NAMES[event.type]?.(event.data);
+  if (!name) return;
+  const webhooks = await Webhook.find({
+    ownerId: { $in: event.recipients },
+    active: true,
+    events: { $in: [name, '*'] },
+  });
+  if (webhooks.length === 0) return;
+
+  const eventId = uuidv4();
+  const payload = buildPayload(eventId, name, event.at, { gigRefId: event.gigRefId, ...event.data });
+  await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+    webhookId: webhook._id,
+    ownerId: webhook.ownerId,
+    eventId,
+    event: name,
+    payload,
+  })));
+};
+
+const claimNextDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+        { status: 'SENDING', lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const sendClaimedDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  // Deliveries of deleted or paused webhooks are dropped
+  if (!webhook || !webhook.active) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'FAILED', lastError: webhook ? 'Webhook is inactive.' : 'Webhook was deleted.' }, $unset: { lockedUntil: 1 } }
+    );
+    return 'failed';
+  }
+
+  const { ok, ...outcome } = await attemptDelivery(webhook, delivery);
+  if (ok) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { ...outcome, status: 'SUCCEEDED', deliveredAt: new Date() }, $unset: { lockedUntil: 1 } }
+    );
+    return 'succeeded';
+  }
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { ...outcome, status: 'FAILED' }, $unset: { lockedUntil: 1 } });
+    console.error(`Webhook delivery ${delivery._id} to ${webhook.url} failed after ${delivery.attempts} attempt(s): ${outcome.lastError}`);
+    return 'failed';
+  }
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (delivery.attempts - 1);
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    { $set: { ...outcome, status: 'PENDING', nextAttemptAt: new Date(Date.now() + delay) }, $unset: { lockedUntil: 1 } }
+  );
+  return 'retried';
+};
+
+/**
+ * Sends the deliveries that are due, one at a time.
+ * @param {Object} [options]
+ * @param {number} [options.limit] Maximum number of deliveries to process.
+ * @returns {Promise<{succeeded: number, retried: number, failed: number}>}
+ */
+export const processWebhookDeliveries = async ({ limit = BATCH_SIZE } = {}) => {
+  const counts = { succeeded: 0, retried: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const delivery = await claimNextDelivery();
+    if (!delivery) break;
+    counts[await sendClaimedDelivery(delivery)]++;
+  }
+  return counts;
+};
+
+/**
+ * Processes the delivery queue periodically until stopped. A batch that found work is followed by
+ * the next one right away.
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs]
+ * @returns {{stop: function(): void}}
+ */
+export const startWebhookWorker = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let stopped = false;
+  let timer = null;
+
+  const run = async () => {
+    let delay = intervalMs;
+    try {
+      const { succeeded, retried, failed } = await processWebhookDeliveries();
+      if (succeeded + retried + failed === BATCH_SIZE) delay = 0;
+    } catch (error) {
+      console.error('Webhook worker failed:', error.message);
+    }
+    if (!stopped) timer = setTimeout(run, delay);
+  };
+
+  timer = setTimeout(run, 0);
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+/**
+ * Sends a ping event to a webhook right away, without retries, and logs it with its deliveries.
+ * Paused webhooks can be pinged too.
+ * @param {string} ownerId
+ * @param {string} webhookId
+ * @returns {Promise<Object>} The logged delivery, with the response status of the endpoint.
+ */
+export const pingWebhook = async (ownerId, webhookId) => {
+  const webhook = await findOwnWebhook(ownerId, webhookId, { withSecret: true });
+  const eventId = uuidv4();
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    ownerId,
+    eventId,
+    event: 'ping',
+    payload: buildPayload(eventId, 'ping', new Date().toISOString(), { webhookId: String(webhook._id) }),
+    status: 'SENDING',
+    attempts: 1,
+  });
+  const { ok, ...outcome } = await attemptDelivery(webhook, delivery);
+  delivery.set({ ...outcome, status: ok ? 'SUCCEEDED' : 'FAILED', deliveredAt: ok ? new Date() : undefined });
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Lists the delivery log of a webhook, newest first.
+ * @param {string} ownerId
+ * @param {string} webhookId
+ * @param {{status?: string, limit?: number}} [options]
+ * @returns {Promise<Object[]>}
+ */
+export const listWebhookDeliveries = async (ownerId, webhookId, { status, limit = 50 } = {}) => {
+  const webhook = await findOwnWebhook(ownerId, webhookId);
+  const query = { webhookId: webhook._id };
+  if (status) query.status = status;
+  return WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(Math.min(parseInt(limit) || 50, 200));
+};
+
+/**
+ * Queues a finished delivery again, with a fresh set of attempts. The payload is unchanged, so
+ * receivers can recognize the event by its id.
+ * @param {string} ownerId
+ * @param {string} webhookId
+ * @param {string} deliveryId
+ * @returns {Promise<Object>} The delivery.
+ */
+export const redeliverWebhook = async (ownerId, webhookId, deliveryId) => {
+  const webhook = await findOwnWebhook(ownerId, webhookId);
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, webhookId: webhook._id, status: { $in: ['SUCCEEDED', 'FAILED'] } },
+    { $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+  if (delivery) return delivery;
+  if (await WebhookDelivery.exists({ _id: deliveryId, webhookId: webhook._id })) {
+    throw httpError(409, 'This delivery is already waiting to be sent.');
+  }
+  throw httpError(404, 'Delivery not found.');
+};
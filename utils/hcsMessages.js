@@ -0,0 +1,241 @@
+import { z } from 'zod';
+import { isValidHederaId } from './validation.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Registry of the JSON messages published to the HCS topics. Every message carries its `type` and
+ * the `version` of its schema. Producers (the prepare-* routes) build messages with
+ * createHcsMessage() and consumers (the HCS sync) read them with parseHcsMessage(), so both sides
+ * validate against the same definition.
+ *
+ * Messages published before versioning have no `version` and are read as version 0. To change a
+ * message: bump `version`, update `schema` and, if older messages need reshaping, add a migration
+ * keyed by the version it upgrades from. Versions without a migration are upgraded as they are.
+ */
+
+const accountId = z.string().refine(isValidHederaId, 'must be a Hedera account ID (0.0.x)');
+const text = z.string().trim().min(1);
+const isoTimestamp = z.string().datetime({ offset: true });
+const base64 = z.string().regex(/^[A-Za-z0-9+/]+={0,2}$/, 'must be base64');
+
+export const PROFILE_UPDATE_FIELDS = ['name', 'skills', 'portfolioUrl', 'email'];
+
+const GIG_STATUSES = ['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'COMPLETED_BY_ARBITER', 'CANCELLED_BY_ARBITER', 'FINALIZED'];
+
+const envelope = (type, version) => z.object({ type: z.literal(type), version: z.literal(version) });
+
+// Accept/reject of an application (which names the responding client) or invitation
+const responseSchema = (type, responderField) => envelope(type, 1).extend({
+  gigRefId: text,
+  freelancerId: accountId,
+  ...(responderField ? { [responderField]: accountId } : {}),
+  timestamp: isoTimestamp,
+}).strict();
+
+const MESSAGE_TYPES = {
+  GIG_CREATE: {
+    version: 1,
+    schema: envelope('GIG_CREATE', 1).extend({
+      gigRefId: text,
+      clientId: accountId,
+      title: text,
+      description: text,
+      duration: z.union([z.string(), z.number()]).optional(),
+      budget: text,
+      status: z.literal('OPEN'),
+      visibility: z.enum(['PUBLIC', 'PRIVATE']),
+    }).strict(),
+    migrations: {
+      // Gigs created before private gigs existed are public
+      0: (message) => ({ ...message, visibility: message.visibility || 'PUBLIC' }),
+    },
+  },
+
+  GIG_UPDATE: {
+    version: 1,
+    schema: envelope('GIG_UPDATE', 1).extend({
+      gigRefId: text,
+      clientId: accountId,
+      status: z.enum(GIG_STATUSES).optional(),
+      assignedFreelancerId: accountId.nullable().optional(),
+      timestamp: isoTimestamp,
+    }).strict(),
+  },
+
+  PROFILE_CREATE: {
+    version: 1,
+    schema: envelope('PROFILE_CREATE', 1).extend({
+      userAccountId: accountId,
+      name: text,
+      skills: z.array(text).min(1),
+      portfolioUrl: z.string().optional(),
+      email: text,
+      profileType: text,
+    }).strict(),
+    migrations: {
+      // Older clients sent skills as a single string
+      0: (message) => ({ ...message, skills: typeof message.skills === 'string' ? [message.skills] : message.skills }),
+    },
+  },
+
+  // Partial update: only the fields present are changed (roles and profileType cannot be changed)
+  PROFILE_UPDATE: {
+    version: 1,
+    schema: envelope('PROFILE_UPDATE', 1).extend({
+      userAccountId: accountId,
+      name: text.optional(),
+      skills: z.array(text).min(1).optional(),
+      portfolioUrl: z.string().optional(),
+      email: text.optional(),
+      timestamp: isoTimestamp,
+    }).strict().refine(
+      (message) => PROFILE_UPDATE_FIELDS.some((field) => message[field] !== undefined),
+      `PROFILE_UPDATE must change at least one of ${PROFILE_UPDATE_FIELDS.join(', ')}`
+    ),
+  },
+
+  // content is the base64 ciphertext under the gig's chat key keyVersion (see services/chat.service.js)
+  GIG_MESSAGE: {
+    version: 2,
+    schema: envelope('GIG_MESSAGE', 2).extend({
+      gigRefId: text,
+      senderId: accountId,
+      content: text,
+      keyVersion: z.number().int().min(0),
+      iv: base64.optional(),
+      timestamp: isoTimestamp,
+    }).strict().refine(
+      (message) => message.keyVersion === 0 || (message.iv !== undefined && base64.safeParse(message.content).success),
+      'encrypted GIG_MESSAGE needs a base64 content and iv'
+    ),
+    migrations: {
+      // Chat messages used to be published as the whole MongoDB document (_id, __v, createdAt...)
+      0: ({ type, gigRefId, senderId, content, timestamp }) => ({ type, gigRefId, senderId, content, timestamp }),
+      // Messages from before end-to-end encryption are plaintext (key version 0)
+      1: (message) => ({ ...message, keyVersion: 0 }),
+    },
+  },
+
+  // Applications and invitations are identified by gig and freelancer (one of each per pair)
+  APPLICATION_SUBMIT: {
+    version: 1,
+    schema: envelope('APPLICATION_SUBMIT', 1).extend({
+      gigRefId: text,
+      freelancerId: accountId,
+      coverLetter: text,
+      proposedRate: z.union([z.string(), z.number()]).optional(),
+      timestamp: isoTimestamp,
+    }).strict(),
+  },
+
+  APPLICATION_ACCEPT: {
+    version: 1,
+    schema: responseSchema('APPLICATION_ACCEPT', 'clientId'),
+  },
+
+  APPLICATION_REJECT: {
+    version: 1,
+    schema: responseSchema('APPLICATION_REJECT', 'clientId'),
+  },
+
+  INVITATION_SEND: {
+    version: 1,
+    schema: envelope('INVITATION_SEND', 1).extend({
+      gigRefId: text,
+      freelancerId: accountId,
+      clientId: accountId,
+      message: z.string().optional(),
+      timestamp: isoTimestamp,
+    }).strict(),
+  },
+
+  INVITATION_ACCEPT: {
+    version: 1,
+    schema: responseSchema('INVITATION_ACCEPT'),
+  },
+
+  INVITATION_REJECT: {
+    version: 1,
+    schema: responseSchema('INVITATION_REJECT'),
+  },
+
+  REVIEW_CREATE: {
+    version: 1,
+    schema: envelope('REVIEW_CREATE', 1).extend({
+      gigRefId: text,
+      reviewerId: accountId,
+      revieweeId: accountId,
+      rating: z.number().int().min(1).max(5),
+      comment: z.string().optional(),
+      reviewType: z.enum(['CLIENT_TO_FREELANCER', 'FREELANCER_TO_CLIENT']),
+      timestamp: isoTimestamp,
+    }).strict(),
+  },
+};
+
+const formatIssues = (error) => error.issues
+  .map((issue) => `${issue.path.length > 0 ? issue.path.join('.') : 'message'}: ${issue.message}`)
+  .join('; ');
+
+/**
+ * Builds a message of the current version for publishing. Throws a 400 error when the fields do
+ * not match the schema, so invalid messages never reach a topic.
+ * @param {string} type A registered message type.
+ * @param {Object} fields Message fields, without type and version.
+ * @returns {Object} The validated message.
+ */
+export const createHcsMessage = (type, fields) => {
+  const definition = MESSAGE_TYPES[type];
+  if (!definition) {
+    throw new Error(`Unknown HCS message type: ${type}`);
+  }
+  const result = definition.schema.safeParse({ ...fields, type, version: definition.version });
+  if (!result.success) {
+    throw httpError(400, `Invalid ${type} message: ${formatIssues(result.error)}`);
+  }
+  return result.data;
+};
+
+/**
+ * Decodes a message read from a topic: parses the JSON, upgrades older versions through the
+ * type's migrations and validates the result against the current schema.
+ * @param {string} json Raw message contents.
+ * @returns {{success: true, message: Object} | {success: false, error: string, message: (Object|null)}}
+ *   On failure, `message` is the decoded JSON (null when it is not JSON).
+ */
+export const parseHcsMessage = (json) => {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (_) {
+    return { success: false, error: 'Message is not valid JSON.', message: null };
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { success: false, error: 'Message is not a JSON object.', message: null };
+  }
+
+  const definition = MESSAGE_TYPES[raw.type];
+  if (!definition) {
+    return { success: false, error: `Unknown message type: ${raw.type}.`, message: raw };
+  }
+
+  let version = raw.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    return { success: false, error: `Invalid message version: ${raw.version}.`, message: raw };
+  }
+  if (version > definition.version) {
+    return { success: false, error: `${raw.type} version ${version} is newer than the supported version ${definition.version}.`, message: raw };
+  }
+
+  let message = raw;
+  for (; version < definition.version; version++) {
+    const migrate = definition.migrations?.[version];
+    message = { ...(migrate ? migrate(message) : message), version: version + 1 };
+  }
+
+  const result = definition.schema.safeParse(message);
+  if (!result.success) {
+    return { success: false, error: `Invalid ${raw.type} message: ${formatIssues(result.error)}`, message: raw };
+  }
+  return { success: true, message: result.data };
+};
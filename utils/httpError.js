@@ -0,0 +1,12 @@
+/**
+ * Creates an Error carrying an HTTP status, understood by the route handlers
+ * and the centralized errorHandler (err.status).
+ * @param {number} status HTTP status code.
+ * @param {string} message Human readable error message.
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,17 @@
+/**
+ * Who a gig participant reviews: the client reviews the assigned freelancer and the freelancer
+ * reviews the client.
+ * @param {{clientId: string, assignedFreelancerId?: string}} gig
+ * @param {string} reviewerId
+ * @returns {{reviewType: string, revieweeId: string}|null} null when the reviewer is not a participant.
+ */
+export const resolveReviewee = (gig, reviewerId) => {
+  if (reviewerId === gig.clientId) {
+    // Self review when no freelancer is assigned, for quick debugging
+    return { reviewType: 'CLIENT_TO_FREELANCER', revieweeId: gig.assignedFreelancerId || reviewerId };
+  }
+  if (gig.assignedFreelancerId && reviewerId === gig.assignedFreelancerId) {
+    return { reviewType: 'FREELANCER_TO_CLIENT', revieweeId: gig.clientId };
+  }
+  return null;
+};
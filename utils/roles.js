@@ -0,0 +1,66 @@
+// =================================================================
+// Roles & permissions
+// =================================================================
+
+export const ROLES = ['freelancer', 'client', 'arbiter', 'admin'];
+
+/**
+ * Permission -> roles allowed to exercise it. Routes check permissions, never roles directly,
+ * so that granting a role is the only thing needed to open up a capability.
+ */
+export const PERMISSIONS = {
+  'gigs:manage': ['client', 'admin'],
+  'applications:submit': ['freelancer'],
+  'invitations:respond': ['freelancer'],
+  'gig-alerts:subscribe': ['freelancer'],
+  'escrow:arbitrate': ['arbiter', 'admin'],
+  'roles:manage': ['admin'],
+  'audit:read': ['admin'],
+  'system:read': ['admin'],
+  'email:manage': ['admin'],
+};
+
+// Profiles created before roles existed only carry a profileType ("hirer" is used by older clients)
+const PROFILE_TYPE_ROLES = {
+  freelancer: ['freelancer'],
+  client: ['client'],
+  hirer: ['client'],
+};
+
+/**
+ * Roles implied by a profile's profileType.
+ * @param {string} profileType
+ * @returns {string[]}
+ */
+export const rolesForProfileType = (profileType) => [...(PROFILE_TYPE_ROLES[profileType] || [])];
+
+// Accounts listed in ADMIN_ACCOUNT_IDS are always admins, so a fresh deployment can grant roles
+const bootstrapAdmins = () => (process.env.ADMIN_ACCOUNT_IDS || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+/**
+ * Resolves the roles an account holds: stored roles, or the ones implied by its profileType
+ * when roles have never been stored, plus admin for bootstrap admin accounts.
+ * @param {{userAccountId: string, roles?: string[], profileType?: string}} profile
+ * @returns {string[]}
+ */
+export const getEffectiveRoles = (profile) => {
+  if (!profile) return [];
+  const roles = profile.roles ? [...profile.roles] : rolesForProfileType(profile.profileType);
+  if (bootstrapAdmins().includes(profile.userAccountId) && !roles.includes('admin')) {
+    roles.push('admin');
+  }
+  return roles;
+};
+
+/**
+ * @param {Object} profile
+ * @param {string} permission A key of PERMISSIONS.
+ * @returns {boolean}
+ */
+export const hasPermission = (profile, permission) => {
+  const allowed = PERMISSIONS[permission] || [];
+  return getEffectiveRoles(profile).some((role) => allowed.includes(role));
+};
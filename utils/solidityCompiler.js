@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import solc from 'solc';
@@ -16,3 +17,7 @@ if (!output.contracts || !output.contracts['Escrow.sol'] || !output.contracts['E
 }
 
 export const escrowBytecode = output.contracts['Escrow.sol']['HireChainEscrow'].evm.bytecode.object;
+
+// Identifies the compiled artifact, so the uploaded bytecode file is reused until Escrow.sol changes
+export const escrowBytecodeHash = crypto.createHash('sha256').update(escrowBytecode).digest('hex');
+export const solcVersion = solc.version();
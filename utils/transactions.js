@@ -1,27 +1,22 @@
-import axios from 'axios';
+import { getMirrorNodeClient } from '../services/mirrorNode.service.js';
 
+/**
+ * Resolves the entity (e.g. contract) created by a transaction, waiting for the mirror node to catch up.
+ * @param {string} transactionId SDK or mirror node format.
+ * @returns {Promise<string>} The entity ID, e.g. 0.0.5678.
+ */
 export async function getEntityIdFromTransaction(transactionId) {
-  const input = transactionId;
-  const regex = /@(\d+)\.(\d+)/;
-  const replacement = '-$1-$2';
-  const formattedId = input.replace(regex, replacement);
-  const url = `https://testnet.mirrornode.hedera.com/api/v1/transactions/${formattedId}`;
+  const mirrorNode = getMirrorNodeClient();
 
   for (let i = 0; i < 5; i++) {
-    try {
-      const response = await axios.get(url);
-      if (response.data && response.data?.transactions && response.data?.transactions[0]?.entity_id) {
-        return response.data.transactions[0]?.entity_id;
-      } else {
-        throw new Error(`Transaction failed with status: ${response.data.result}`);
-      }
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      } else {
-        throw error;
+    const transaction = await mirrorNode.getTransaction(transactionId);
+    if (transaction) {
+      if (transaction.result === 'SUCCESS' && transaction.entity_id) {
+        return transaction.entity_id;
       }
+      throw new Error(`Transaction failed with status: ${transaction.result}`);
     }
+    await new Promise((resolve) => setTimeout(resolve, 2000));
   }
   throw new Error(`Could not find a successful transaction record for ${transactionId} after multiple attempts.`);
 }
@@ -0,0 +1,10 @@
+// Simple validation for Hedera account IDs
+export function isValidHederaId(accountId) {
+  if (!accountId || typeof accountId !== 'string') return false;
+  // Basic format validation for Hedera account ID (e.g., 0.0.1234)
+  const parts = accountId.split('.');
+  return parts.length === 3 &&
+         !isNaN(parts[0]) &&
+         !isNaN(parts[1]) &&
+         !isNaN(parts[2]);
+}